@@ -1,4 +1,5 @@
 const { processPendingEmails } = require('../../services/emailScheduler');
+const { connectToDatabase } = require('../../services/db');
 
 /**
  * Vercel Cron Job Handler
@@ -23,6 +24,7 @@ module.exports = async (req, res) => {
   console.log(`Time: ${new Date().toISOString()}`);
   
   try {
+    await connectToDatabase();
     const results = await processPendingEmails();
     
     console.log('✓ Cron job completed successfully\n');
@@ -0,0 +1,48 @@
+const { processOutbox } = require('../../services/outbox');
+const { connectToDatabase } = require('../../services/db');
+
+/**
+ * Vercel Cron Job Handler
+ * Delivers queued and retrying transactional emails from the outbox
+ * 
+ * Vercel Cron Schedule: every 15 minutes (see vercel.json)
+ */
+module.exports = async (req, res) => {
+  // Verify this is a valid cron request
+  const authHeader = req.headers['authorization'];
+  const expectedAuth = `Bearer ${process.env.CRON_SECRET}`;
+  
+  if (authHeader !== expectedAuth) {
+    console.error('Unauthorized cron request');
+    return res.status(401).json({ 
+      success: false, 
+      error: 'Unauthorized' 
+    });
+  }
+  
+  console.log('\n📮 Starting outbox delivery cron job...');
+  console.log(`Time: ${new Date().toISOString()}`);
+  
+  try {
+    await connectToDatabase();
+    const results = await processOutbox();
+    
+    console.log(`✓ Outbox cron completed: ${results.sent} sent, ${results.failed} failed, ${results.dead} dead\n`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Outbox processing completed',
+      results: results,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('✗ Outbox cron failed:', error);
+    
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -4,9 +4,7 @@ const helmet = require("helmet");
 const cloudinary = require("cloudinary");
 const SellingPartnerAPI = require("amazon-sp-api");
 const path = require("path");
-const { Parser } = require("json2csv");
 const ejs = require("ejs");
-const PDFDocument = require('pdfkit');
 
 
 const app = express();
@@ -26,114 +24,32 @@ const allowedOrigins = [
   // "http://localhost:5173",
 ];
 
-const nodemailer = require("nodemailer");
 const createDOMPurify = require("dompurify");
 const { JSDOM } = require("jsdom");
 const window = new JSDOM("").window;
 const DOMPurify = createDOMPurify(window);
 
 const mongoose = require("mongoose");
-
-// MongoDB connection optimization
-let cachedConnection = null;
-
-async function connectToDatabase() {
-  if (cachedConnection) {
-    return cachedConnection;
-  }
-
-  mongoose.connection.on("connected", () => console.log("MongoDB connected"));
-  mongoose.connection.on("error", (err) =>
-    console.error("MongoDB connection error:", err)
-  );
-
-  try {
-    const conn = await mongoose.connect(process.env.MONGODB_URI, {
-      serverSelectionTimeoutMS: 5000,
-      socketTimeoutMS: 45000,
-      connectTimeoutMS: 10000,
-      maxPoolSize: 10,
-    });
-
-    cachedConnection = conn;
-    return conn;
-  } catch (error) {
-    console.error("MongoDB connection error:", error);
-    throw error;
-  }
-}
-
-const Schema = mongoose.Schema;
-
-const OrderSchema = new Schema({
-  name: String,
-  language: String,
-  email: { type: String, required: true },
-  orderId: { type: String, unique: true },
-  fullName: String,
-  country: String,
-  streetAddress: String,
-  city: String,
-  state: String,
-  zipCode: String,
- 
-  createdAt: { type: Date, default: Date.now },
-});
-
-const TicketClaimSchema = new Schema({
-  orderId: { type: String, required: true, unique: true },
-  name: { type: String, required: true },
-  email: { type: String, required: true },
- 
-  asin: { type: String }, // Product ASIN
-  productName: { type: String }, // Product name from Amazon
-  productUrl: { type: String }, // Amazon product URL
-  createdAt: { type: Date, default: Date.now },
-});
-
-let Order;
-let TicketClaim;
-let FeedbackTracker;
-
-if (mongoose.models.Order) {
-  Order = mongoose.model("Order");
-} else {
-  Order = mongoose.model("Order", OrderSchema);
-}
-
-if (mongoose.models.TicketClaim) {
-  TicketClaim = mongoose.model("TicketClaim");
-} else {
-  TicketClaim = mongoose.model("TicketClaim", TicketClaimSchema);
-}
-
-// Import FeedbackTracker model
-FeedbackTracker = require('./models/FeedbackTracker');
-
-const handlebars = require("nodemailer-express-handlebars");
-
-// Create a transporter object using the default SMTP transport
-let transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.GMAIL_USER, // Your Gmail address
-    pass: process.env.GMAIL_PASS, // Your Gmail password or App Password
-  },
-});
-
-transporter.use(
-  "compile",
-  handlebars({
-    viewEngine: {
-      extName: ".html", // handlebars extension
-      partialsDir: path.join(__dirname, "views/email"),
-      layoutsDir: path.join(__dirname, "views/email"),
-      defaultLayout: "reward.html", // email template file
-    },
-    viewPath: path.join(__dirname, "views/email"),
-    extName: ".html",
-  })
-);
+const { getSequence, listSequences } = require("./services/sequences");
+const campaigns = require("./services/campaigns");
+const eligibility = require("./services/eligibility");
+const validation = require("./services/validation");
+
+// MongoDB connection (shared with the cron handlers)
+const { connectToDatabase } = require("./services/db");
+
+// Import models
+const Order = require('./models/Order');
+const TicketClaim = require('./models/TicketClaim');
+const FeedbackTracker = require('./models/FeedbackTracker');
+const OutboxMessage = require('./models/OutboxMessage');
+const AuditLog = require('./models/AuditLog');
+const Campaign = require('./models/Campaign');
+
+// Shared mail provider (Gmail, SMTP, Resend or file sink - see services/mailProvider.js)
+const mailProvider = require("./services/mailProvider");
+const outbox = require("./services/outbox");
+const webhooks = require("./services/webhooks");
 
 // Enable various security headers with relaxed CSP for admin dashboard
 app.use(
@@ -167,6 +83,8 @@ app.use(
 const limiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 100, // limit each IP to 100 requests per windowMs
+  // Email pixels and tracked links arrive through shared mail proxies; their tokens are signed
+  skip: (req) => req.path.startsWith("/email/"),
 });
 
 // Apply rate limiter to all requests
@@ -174,21 +92,72 @@ app.use(limiter);
 
 app.use(
   cors({
-    origin: function (origin, callback) {
+    origin: async function (origin, callback) {
       if (!origin) return callback(null, true);
-      if (allowedOrigins.indexOf(origin) === -1) {
-        var msg =
-          "The CORS policy for this site does not allow access from the specified Origin.";
-        return callback(new Error(msg), false);
+      if (allowedOrigins.indexOf(origin) !== -1) return callback(null, true);
+
+      // Frontends of campaigns configured in the admin
+      try {
+        await connectToDatabase();
+        const campaignOrigins = await campaigns.getCampaignOrigins();
+        if (campaignOrigins.indexOf(origin) !== -1) return callback(null, true);
+      } catch (error) {
+        console.error("Error loading campaign origins:", error);
       }
-      return callback(null, true);
+
+      var msg =
+        "The CORS policy for this site does not allow access from the specified Origin.";
+      return callback(new Error(msg), false);
     },
   })
 );
 
+// Admin sessions live in MongoDB, so connect before any admin route authenticates
+app.use(["/admin", "/api/admin", "/api/ticket-claims", "/download-claims", "/download-orders"], async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Import admin routes
 const feedbackAdminRoutes = require('./routes/admin/feedback');
 app.use('/api/admin', feedbackAdminRoutes);
+const outboxAdminRoutes = require('./routes/admin/outbox');
+app.use('/api/admin', outboxAdminRoutes);
+const sequenceAdminRoutes = require('./routes/admin/sequences');
+app.use('/api/admin', sequenceAdminRoutes);
+const campaignAdminRoutes = require('./routes/admin/campaigns');
+app.use('/api/admin', campaignAdminRoutes);
+const userAdminRoutes = require('./routes/admin/users');
+app.use('/api/admin', userAdminRoutes);
+const auditAdminRoutes = require('./routes/admin/audit');
+app.use('/api/admin', auditAdminRoutes);
+const suppressionAdminRoutes = require('./routes/admin/suppressions');
+app.use('/api/admin', suppressionAdminRoutes);
+const orderAdminRoutes = require('./routes/admin/orders');
+app.use('/api/admin', orderAdminRoutes);
+const drawAdminRoutes = require('./routes/admin/draws');
+app.use('/api/admin', drawAdminRoutes);
+const fraudReviewAdminRoutes = require('./routes/admin/fraudReviews');
+app.use('/api/admin', fraudReviewAdminRoutes);
+const exportAdminRoutes = require('./routes/admin/exports');
+app.use('/api/admin', exportAdminRoutes);
+const webhookAdminRoutes = require('./routes/admin/webhooks');
+app.use('/api/admin', webhookAdminRoutes);
+
+// Admin authentication (sessions, roles and the optional ADMIN_SECRET_TOKEN fallback)
+const { verifyAdminAuth, verifyAdminPage, requireRole } = require("./middleware/adminAuth");
+const adminSessions = require("./services/adminSessions");
+const audit = require("./services/audit");
+const emailLinks = require("./services/emailLinks");
+const suppressions = require("./services/suppressions");
+const emailTracking = require("./services/emailTracking");
+const fraud = require("./services/fraud");
+const filters = require("./services/filters");
+const claimReport = require("./services/claimReport");
 
 // Import email scheduler
 const { processPendingEmails, sendFeedbackEmail } = require('./services/emailScheduler');
@@ -205,44 +174,43 @@ let sellingPartner = new SellingPartnerAPI({
   },
 });
 
+// Check an Amazon order against the campaign's eligibility rules before the
+// customer fills in the rest of the form ("campaign" or "flow" pick the rules)
 app.post("/validate-order-id", async (req, res) => {
   const { orderId } = req.body;
   console.log(req.body);
   try {
-    const order = await sellingPartner.callAPI({
-      operation: "getOrder",
-      endpoint: "orders",
-      path: {
-        orderId: orderId,
-      },
-    });
+    await connectToDatabase();
 
-    if (Object.keys(order).length > 0) {
-      // Get the order items
-      const orderItems = await sellingPartner.callAPI({
-        operation: "getOrderItems",
-        endpoint: "orders",
-        path: {
-          orderId: orderId,
-        },
+    const { campaign, error: campaignError } = await campaigns.resolveCampaign({
+      flow: Campaign.schema.path("flow").enumValues.includes(req.body.flow) ? req.body.flow : undefined,
+      campaignKey: req.body.campaign,
+      origin: req.get("origin"),
+    });
+    if (campaignError) {
+      return res.status(400).send({
+        valid: false,
+        errorCode: campaignError.code,
+        message: campaignError.message,
       });
+    }
 
-      // Extract the ASINs and product info from the order items
-      const asins = orderItems.OrderItems.map((item) => item.ASIN);
-      const products = orderItems.OrderItems.map((item) => ({
-        asin: item.ASIN,
-        title: item.Title,
-        quantity: item.QuantityOrdered
-      }));
-
-      res.status(200).send({ 
-        valid: true, 
-        asins: asins,
-        products: products
+    const { products, asins, failure } = await eligibility.verifyOrder(sellingPartner, orderId, campaign);
+    if (failure) {
+      return res.status(eligibility.getFailureStatus(failure)).send({
+        valid: false,
+        errorCode: failure.code,
+        rule: failure.rule,
+        message: failure.message,
       });
-    } else {
-      res.status(404).send({ valid: false });
     }
+
+    res.status(200).send({ 
+      valid: true, 
+      asins: asins,
+      products: products,
+      campaign: campaign ? campaign.key : null,
+    });
   } catch (error) {
     console.error(error);
     res
@@ -253,45 +221,80 @@ app.post("/validate-order-id", async (req, res) => {
 
 
 app.post("/submit-review", async (req, res) => {
-  const formData = req.body;
+  const { value: formData, errors } = validation.validate(validation.SUBMIT_REVIEW_SCHEMA, req.body);
 
   if (formData) {
     try {
       await connectToDatabase();
 
-      // Process form data to extract country and state names
+      // Campaign from the "campaign" field, or the frontend it was sent from
+      const { campaign, error: campaignError } = await campaigns.resolveCampaign({
+        flow: "free-gift",
+        campaignKey: formData.campaign,
+        origin: req.get("origin"),
+      });
+      if (campaignError) {
+        return res.status(400).json({
+          success: false,
+          message: "Error: " + campaignError.message,
+          errorCode: campaignError.code,
+        });
+      }
+
+      // Same order checks as /validate-order-id - the client's word isn't enough
+      const { failure } = await eligibility.verifyOrder(sellingPartner, formData.orderId, campaign, { asin: formData.asin });
+      if (failure) {
+        return res.status(eligibility.getFailureStatus(failure)).json({
+          success: false,
+          message: "Error: " + failure.message,
+          errorCode: failure.code,
+          rule: failure.rule,
+        });
+      }
+
+      // Country and state arrive normalized (services/validation.js)
       const processedData = {
         ...formData,
-        country: formData.country?.name || formData.country,
-        state: formData.state?.name || formData.state,
+        campaignKey: campaign.key,
         reviewStatus: "pending",
         reviewSubmittedAt: new Date(),
+        status: "active",
+        ip: audit.getClientIp(req),
+        fingerprints: fraud.getFingerprints("Order", formData),
       };
 
       const order = new Order(processedData);
 
       await order.save();
 
+      // Repeat entries are flagged for the admin review queue; the customer sees no difference
+      try {
+        const screening = await fraud.screen("Order", order);
+        if (screening.flagged) console.log(`Order ${order.orderId} flagged as a possible duplicate (score ${screening.score})`);
+      } catch (fraudError) {
+        console.error("Error screening order for duplicates (non-critical):", fraudError);
+      }
+
       // Email to the user
       let userMailOptions = {
-        from: process.env.GMAIL_USER,
         to: formData.email,
-        subject: "Study Key FREE gift",
-        template: "reward",
+        subject: campaign.confirmation.subject,
+        template: campaign.confirmation.template,
         context: {
-          name: formData.name,
+          ...campaign.confirmation.context,
+          name: formData.name || formData.fullName, // "name" is optional on this form
         },
       };
 
       // Admin notification email
       let adminMailOptions = {
-        from: process.env.GMAIL_USER,
-        to: process.env.GMAIL_USER,
-        subject: "New Testimonial Claimed",
+        to: mailProvider.getAdminAddress(),
+        subject: campaign.adminNotificationSubject || `New claim: ${campaign.name}`,
         html: DOMPurify.sanitize(`
           <h1>New Order Submission</h1>
           <div style="font-family: Arial, sans-serif; line-height: 1.6;">
             <h3>Order Information</h3>
+            <p><strong>Campaign:</strong> ${campaign.name}</p>
             <p><strong>Order ID:</strong> ${processedData.orderId || 'N/A'}</p>
             <p><strong>Full Name:</strong> ${processedData.fullName || 'N/A'}</p>
             <p><strong>Email:</strong> ${processedData.email || 'N/A'}</p>
@@ -312,35 +315,24 @@ app.post("/submit-review", async (req, res) => {
         `),
       };
 
-      await Promise.all([
-        new Promise((resolve, reject) => {
-          transporter.sendMail(userMailOptions, (error, info) => {
-            if (error) {
-              console.error("Error sending email to user:", error);
-              reject(error);
-            } else {
-              console.log("Email sent to user:", info);
-              resolve(info);
-            }
-          });
-        }),
-        new Promise((resolve, reject) => {
-          transporter.sendMail(adminMailOptions, (error, info) => {
-            if (error) {
-              console.error("Error sending email to admin:", error);
-              reject(error);
-            } else {
-              console.log("Email sent to admin:", info);
-              resolve(info);
-            }
-          });
-        }),
-      ]);
+      // Queue emails in the outbox; delivery (and retries) happen after we respond
+      let queuedMessages = [];
+      try {
+        queuedMessages = await outbox.enqueue([
+          { type: "order-confirmation", orderId: processedData.orderId, mailOptions: userMailOptions },
+          { type: "order-admin-notification", orderId: processedData.orderId, mailOptions: adminMailOptions },
+        ]);
+      } catch (outboxError) {
+        console.error("Error queuing emails (non-critical):", outboxError);
+        // Don't fail the request - the claim itself is stored
+      }
 
       res.status(200).json({
         success: true,
         message: "Submission successful",
       });
+
+      outbox.deliverInBackground(queuedMessages);
     } catch (err) {
       console.error("Upload error:", err);
       if (err.code === 11000 && err.keyPattern && err.keyPattern.orderId) {
@@ -356,7 +348,9 @@ app.post("/submit-review", async (req, res) => {
       });
     }
   } else {
-    res.status(400).json({ success: false, message: "Invalid form data" });
+    res.status(400).json(
+      createErrorResponse(ErrorTypes.INVALID_DATA, "Please correct the highlighted fields.", errors)
+    );
   }
 });
 
@@ -364,26 +358,49 @@ app.post("/submit-review", async (req, res) => {
 const ErrorTypes = {
   DUPLICATE_CLAIM: 'DUPLICATE_CLAIM',
   INVALID_DATA: 'INVALID_DATA',
-  SERVER_ERROR: 'SERVER_ERROR'
+  SERVER_ERROR: 'SERVER_ERROR',
+  CAMPAIGN_NOT_FOUND: campaigns.CAMPAIGN_ERRORS.NOT_FOUND,
+  CAMPAIGN_INACTIVE: campaigns.CAMPAIGN_ERRORS.INACTIVE,
+  ...eligibility.ELIGIBILITY_ERRORS
 };
 
-// Error response helper
-const createErrorResponse = (type, message) => ({
+// Error response helper (fields: per-field messages for INVALID_DATA)
+const createErrorResponse = (type, message, fields) => ({
   success: false,
   error: {
     type,
     message,
+    ...(fields && { fields }),
   },
 });
 
 app.post("/claim-ticket", async (req, res) => {
-  const formData = req.body;
+  const { value: formData, errors } = validation.validate(validation.CLAIM_TICKET_SCHEMA, req.body);
 
-  console.log(formData);
+  console.log(req.body);
   if (formData) {
     try {
       await connectToDatabase();
 
+      // Campaign from the "campaign" field, or the frontend it was sent from
+      const { campaign, error: campaignError } = await campaigns.resolveCampaign({
+        flow: "ticket-draw",
+        campaignKey: formData.campaign,
+        origin: req.get("origin"),
+      });
+      if (campaignError) {
+        return res.status(400).json(createErrorResponse(campaignError.code, campaignError.message));
+      }
+
+      // Same order checks as /validate-order-id - the client's word isn't enough
+      const { failure } = await eligibility.verifyOrder(sellingPartner, formData.orderId, campaign, { asin: formData.asin });
+      if (failure) {
+        return res.status(eligibility.getFailureStatus(failure)).json({
+          ...createErrorResponse(failure.code, failure.message),
+          rule: failure.rule,
+        });
+      }
+
       // Handle ASIN - convert array to string if needed
       let asin = formData.asin;
       if (Array.isArray(asin) && asin.length > 0) {
@@ -400,32 +417,52 @@ app.post("/claim-ticket", async (req, res) => {
 
       const ticketClaim = new TicketClaim({
         ...formData,
+        campaignKey: campaign.key,
         asin: asin,
         productUrl,
+        status: "active",
+        ip: audit.getClientIp(req),
+        fingerprints: fraud.getFingerprints("TicketClaim", formData),
       });
 
       await ticketClaim.save();
 
-      // Create feedback tracker for automated emails
+      // Repeat entries are flagged (and left out of draws) until an admin reviews them
+      try {
+        const screening = await fraud.screen("TicketClaim", ticketClaim);
+        if (screening.flagged) console.log(`Ticket claim ${ticketClaim.orderId} flagged as a possible duplicate (score ${screening.score})`);
+      } catch (fraudError) {
+        console.error("Error screening ticket claim for duplicates (non-critical):", fraudError);
+      }
+
+      // Create feedback tracker for automated emails (campaigns without a sequence skip this)
       try {
         const submissionDate = new Date();
-        const feedbackTracker = new FeedbackTracker({
-          orderId: formData.orderId,
-          customerEmail: formData.email,
-          customerName: formData.name,
-         
-          asin: asin,
-          productName: formData.productName,
-          productUrl: productUrl,
-          reviewUrl: reviewUrl,
-          submissionDate: submissionDate,
-          emailSchedule: FeedbackTracker.createScheduledDates(submissionDate),
-          status: 'pending',
-          isActive: true
-        });
-        
-        await feedbackTracker.save();
-        console.log('✓ Feedback tracker created for order:', formData.orderId);
+        const sequence = campaign.sequenceKey && await getSequence(campaign.sequenceKey);
+        if (campaign.sequenceKey && !sequence) {
+          console.warn(`Sequence "${campaign.sequenceKey}" not found for campaign ${campaign.key}`);
+        }
+        if (sequence) {
+          const feedbackTracker = new FeedbackTracker({
+            orderId: formData.orderId,
+            customerEmail: formData.email,
+            customerName: formData.name,
+
+            asin: asin,
+            productName: formData.productName,
+            productUrl: productUrl,
+            reviewUrl: reviewUrl,
+            submissionDate: submissionDate,
+            campaignKey: campaign.key,
+            sequenceKey: sequence.key,
+            emailSteps: FeedbackTracker.createEmailSteps(sequence, submissionDate),
+            status: 'pending',
+            isActive: true
+          });
+
+          await feedbackTracker.save();
+          console.log('✓ Feedback tracker created for order:', formData.orderId);
+        }
       } catch (trackerError) {
         console.error('Error creating feedback tracker (non-critical):', trackerError);
         // Don't fail the request if tracker creation fails
@@ -433,63 +470,54 @@ app.post("/claim-ticket", async (req, res) => {
 
       // Email to the user
       let userMailOptions = {
-        from: process.env.GMAIL_USER,
         to: formData.email,
-        subject: "Disney Ticket Draw Entry Confirmation",
-        template: "ticket-claim",
+        subject: campaign.confirmation.subject,
+        template: campaign.confirmation.template,
         context: {
+          ...campaign.confirmation.context,
           name: formData.name,
-          socialLinks: {
-            instagram: "https://instagram.com/yourhandle",
-            facebook: "https://facebook.com/yourpage",
-            twitter: "https://twitter.com/yourhandle",
-          },
         },
       };
 
       // Admin notification email
       let adminMailOptions = {
-        from: process.env.GMAIL_USER,
-        to: process.env.GMAIL_USER,
-        subject: "New Disney Ticket Claimed",
+        to: mailProvider.getAdminAddress(),
+        subject: campaign.adminNotificationSubject || `New claim: ${campaign.name}`,
         html: DOMPurify.sanitize(`
           <h1>New Ticket Claim Submission</h1>
-          ${Object.entries(formData)
-            .map(([key, value]) => `<p><strong>${key}:</strong> ${value}</p>`)
-            .join("")}
-          
+          <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+            <p><strong>Campaign:</strong> ${campaign.name}</p>
+            <p><strong>Order ID:</strong> ${formData.orderId}</p>
+            <p><strong>Name:</strong> ${formData.name}</p>
+            <p><strong>Email:</strong> ${formData.email}</p>
+            <p><strong>Phone Number:</strong> ${formData.phoneNumber || 'N/A'}</p>
+            <p><strong>ASIN:</strong> ${asin || 'N/A'}</p>
+            <p><strong>Product:</strong> ${formData.productName || 'N/A'}</p>
+          </div>
         `),
       };
 
-      await Promise.all([
-        new Promise((resolve, reject) => {
-          transporter.sendMail(userMailOptions, (error, info) => {
-            if (error) {
-              console.error("Error sending email to user:", error);
-              reject(error);
-            } else {
-              console.log("Email sent to user:", info);
-              resolve(info);
-            }
-          });
-        }),
-        new Promise((resolve, reject) => {
-          transporter.sendMail(adminMailOptions, (error, info) => {
-            if (error) {
-              console.error("Error sending email to admin:", error);
-              reject(error);
-            } else {
-              console.log("Email sent to admin:", info);
-              resolve(info);
-            }
-          });
-        }),
-      ]);
+      // Queue emails in the outbox; delivery (and retries) happen after we respond
+      let queuedMessages = [];
+      try {
+        queuedMessages = await outbox.enqueue([
+          { type: "ticket-claim-confirmation", orderId: formData.orderId, mailOptions: userMailOptions },
+          { type: "ticket-claim-admin-notification", orderId: formData.orderId, mailOptions: adminMailOptions },
+        ]);
+      } catch (outboxError) {
+        console.error("Error queuing emails (non-critical):", outboxError);
+        // Don't fail the request - the claim itself is stored
+      }
+
+      // Let subscribed tools know (queued and retried like the emails)
+      await webhooks.publish("ticket-claim.created", webhooks.describeClaim(ticketClaim));
 
       res.status(200).json({
         success: true,
         message: "Ticket claim submitted successfully",
       });
+
+      outbox.deliverInBackground(queuedMessages);
     } catch (err) {
       console.error("Upload error:", err);
 
@@ -532,28 +560,22 @@ app.post("/claim-ticket", async (req, res) => {
     return res.status(400).json(
       createErrorResponse(
         ErrorTypes.INVALID_DATA,
-        "Please provide all required information."
+        "Please correct the highlighted fields.",
+        errors
       )
     );
   }
 });
 
-// Admin API endpoints for ticket claims
-app.get("/api/ticket-claims", async (req, res) => {
+// Admin API endpoints for ticket claims (same filters as /admin)
+app.get("/api/ticket-claims", verifyAdminAuth, async (req, res) => {
   try {
     await connectToDatabase();
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const search = req.query.search || "";
     const skip = (page - 1) * limit;
 
-    const query = {
-      $or: [
-        { orderId: { $regex: search, $options: "i" } },
-        { name: { $regex: search, $options: "i" } },
-        { email: { $regex: search, $options: "i" } },
-      ],
-    };
+    const query = filters.buildClaimQuery(req.query);
 
     const [claims, total] = await Promise.all([
       TicketClaim.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
@@ -576,45 +598,189 @@ app.get("/api/ticket-claims", async (req, res) => {
   }
 });
 
-// Admin authentication middleware - Single token approach
-const verifyAdminToken = (req, res, next) => {
-  const token = req.headers["x-admin-token"] || req.query.token;
+// Unsubscribe from feedback emails - signed link in every email (GET) and the
+// List-Unsubscribe one-click POST sent by mail clients
+const handleUnsubscribe = (source) => async (req, res) => {
+  const link = emailLinks.verifyUnsubscribeToken(req.params.token);
+  if (!link) {
+    if (source === "one-click") return res.status(400).send("Invalid unsubscribe link");
+    return res.status(400).render("unsubscribe", { success: false, email: null });
+  }
 
-  if (!token || token !== process.env.ADMIN_SECRET_TOKEN) {
-    return res.status(401).render("error", {
-      message: "Unauthorized access. Please provide a valid admin token.",
-      token: null, // Explicitly set token to null for unauthorized access
+  try {
+    await connectToDatabase();
+    const { created } = await suppressions.suppress(link.email, {
+      reason: "unsubscribe",
+      source,
+      orderId: link.orderId,
     });
-  }
+    if (created) {
+      console.log(`Unsubscribed ${link.email} (${source}, order ${link.orderId || "n/a"})`);
+    }
 
-  // Add token to res.locals for all subsequent middleware and routes
-  res.locals.token = token;
-  next();
+    if (source === "one-click") return res.status(200).send("Unsubscribed");
+    res.render("unsubscribe", { success: true, email: link.email });
+  } catch (error) {
+    console.error("Error unsubscribing:", error);
+    if (source === "one-click") return res.status(500).send("Could not unsubscribe");
+    res.status(500).render("unsubscribe", { success: false, email: link.email });
+  }
 };
 
-// Delete ticket claim by Order ID (must be after verifyAdminToken)
-app.delete("/api/admin/ticket-claims/:orderId", verifyAdminToken, async (req, res) => {
+app.get("/unsubscribe/:token", handleUnsubscribe("link"));
+app.post("/unsubscribe/:token", express.urlencoded({ extended: false }), handleUnsubscribe("one-click"));
+
+// Vercel cron jobs (vercel.json routes every path to this app). Each handler
+// checks the CRON_SECRET bearer token and connects to the database itself.
+app.get("/api/cron/process-emails", require("./api/cron/process-emails"));
+app.get("/api/cron/process-outbox", require("./api/cron/process-outbox"));
+app.get("/api/cron/process-webhooks", require("./api/cron/process-webhooks"));
+
+// Open pixel for feedback emails - always answers with the image
+app.get("/email/open/:token", async (req, res) => {
+  const open = emailTracking.verifyTrackingToken(req.params.token, "open");
+  if (open) {
+    try {
+      await connectToDatabase();
+      await emailTracking.recordOpen(open.orderId, open.stepKey);
+    } catch (error) {
+      console.error("Error recording email open:", error);
+    }
+  }
+
+  res.set({
+    "Content-Type": "image/gif",
+    "Cache-Control": "no-store, no-cache, must-revalidate, private",
+    "Cross-Origin-Resource-Policy": "cross-origin", // Webmail loads it from its own origin
+  });
+  res.send(emailTracking.PIXEL);
+});
+
+// Tracked link in feedback emails - counts the click, then redirects to the signed URL
+app.get("/email/click/:token", async (req, res) => {
+  const click = emailTracking.verifyTrackingToken(req.params.token, "click");
+  if (!click) {
+    return res.status(400).send("Invalid link");
+  }
+
+  try {
+    await connectToDatabase();
+    await emailTracking.recordClick(click.orderId, click.stepKey, click.label);
+  } catch (error) {
+    console.error("Error recording email click:", error);
+  }
+
+  res.redirect(302, click.url);
+});
+
+// Admin login - named accounts with cookie sessions (see middleware/adminAuth.js)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 login attempts per windowMs
+});
+
+// Helper: Only redirect back into the admin after login
+const safeNext = (next) =>
+  typeof next === "string" && next.startsWith("/admin") ? next : "/admin";
+
+app.get("/admin/login", (req, res) => {
+  res.render("admin/login", {
+    error: null,
+    email: "",
+    next: safeNext(req.query.next),
+    tokenAuthEnabled: adminSessions.isTokenAuthEnabled(),
+  });
+});
+
+app.post("/admin/login", loginLimiter, express.urlencoded({ extended: false }), async (req, res) => {
+  const { email, password } = req.body;
+  const next = safeNext(req.body.next);
+
+  try {
+    const user = await adminSessions.authenticate(email, password);
+
+    if (!user) {
+      await audit.record(req, {
+        action: "auth.login-failed",
+        targetType: "AdminUser",
+        targetId: email,
+        actor: { email },
+      });
+      return res.status(401).render("admin/login", {
+        error: "Invalid email or password",
+        email: email || "",
+        next,
+        tokenAuthEnabled: adminSessions.isTokenAuthEnabled(),
+      });
+    }
+
+    await adminSessions.createSession(user, req, res);
+    await audit.record(req, {
+      action: "auth.login",
+      targetType: "AdminUser",
+      targetId: user.email,
+      actor: { id: user._id, email: user.email, name: user.name, role: user.role, via: "session" },
+    });
+    res.redirect(next);
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).render("admin/login", {
+      error: "Login failed. Please try again.",
+      email: email || "",
+      next,
+      tokenAuthEnabled: adminSessions.isTokenAuthEnabled(),
+    });
+  }
+});
+
+app.post("/admin/logout", express.urlencoded({ extended: false }), verifyAdminPage, async (req, res) => {
+  try {
+    await adminSessions.destroySession(req, res);
+    await audit.record(req, {
+      action: "auth.logout",
+      targetType: "AdminUser",
+      targetId: req.admin.email,
+    });
+  } catch (error) {
+    console.error("Error logging out:", error);
+  }
+  res.redirect("/admin/login");
+});
+
+// Delete ticket claim by Order ID (owners only)
+app.delete("/api/admin/ticket-claims/:orderId", verifyAdminAuth, requireRole("owner"), async (req, res) => {
   try {
     await connectToDatabase();
     const orderId = req.params.orderId;
     
-    const result = await TicketClaim.deleteOne({ orderId });
+    const claim = await TicketClaim.findOne({ orderId });
     
-    if (result.deletedCount === 0) {
+    if (!claim) {
       return res.status(404).json({
         success: false,
         error: "Ticket claim not found"
       });
     }
     
+    await claim.deleteOne();
+    
     // Also delete associated feedback tracker if exists
+    let tracker = null;
     try {
-      await FeedbackTracker.deleteOne({ orderId });
-      console.log(`Also deleted feedback tracker for order: ${orderId}`);
+      tracker = await FeedbackTracker.findOneAndDelete({ orderId });
+      if (tracker) console.log(`Also deleted feedback tracker for order: ${orderId}`);
     } catch (trackerError) {
       console.log(`No feedback tracker found for order: ${orderId}`);
     }
     
+    await audit.record(req, {
+      action: "ticket-claim.delete",
+      targetType: "TicketClaim",
+      targetId: orderId,
+      before: claim,
+      metadata: { feedbackTracker: audit.snapshot(tracker) },
+    });
+    
     res.status(200).json({
       success: true,
       message: "Ticket claim deleted successfully"
@@ -629,8 +795,60 @@ app.delete("/api/admin/ticket-claims/:orderId", verifyAdminToken, async (req, re
   }
 });
 
+// Cancel, flag or reinstate a ticket claim; only active claims can win a draw
+app.put("/api/admin/ticket-claims/:orderId/status", verifyAdminAuth, requireRole("operator"), async (req, res) => {
+  try {
+    await connectToDatabase();
+    const { status, reason } = req.body;
+    const statuses = TicketClaim.schema.path("status").enumValues;
+
+    if (!statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${statuses.join(", ")}`
+      });
+    }
+
+    const claim = await TicketClaim.findOne({ orderId: req.params.orderId });
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        error: "Ticket claim not found"
+      });
+    }
+
+    const before = audit.snapshot(claim);
+    claim.status = status;
+    claim.statusReason = typeof reason === "string" && reason.trim() ? reason.trim() : undefined;
+    claim.statusChangedAt = new Date();
+    await claim.save();
+
+    await audit.record(req, {
+      action: "ticket-claim.status",
+      targetType: "TicketClaim",
+      targetId: claim.orderId,
+      before,
+      after: claim,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Ticket claim marked ${status}`,
+      claim
+    });
+
+  } catch (error) {
+    console.error("Error updating ticket claim status:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Admin routes with token verification
-app.get("/admin", verifyAdminToken, async (req, res) => {
+app.get("/admin", verifyAdminPage, async (req, res) => {
   try {
     await connectToDatabase();
     const page = parseInt(req.query.page) || 1;
@@ -642,23 +860,11 @@ app.get("/admin", verifyAdminToken, async (req, res) => {
       ? new Date(req.query.startDate)
       : null;
     const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+    const campaign = req.query.campaign || "";
     const skip = (page - 1) * limit;
 
-    // Build query
-    const query = {
-      $or: [
-        { orderId: { $regex: search, $options: "i" } },
-        { name: { $regex: search, $options: "i" } },
-        { email: { $regex: search, $options: "i" } },
-      ],
-    };
-
-    // Add date range if provided
-    if (startDate || endDate) {
-      query.createdAt = {};
-      if (startDate) query.createdAt.$gte = startDate;
-      if (endDate) query.createdAt.$lte = endDate;
-    }
+    // Build query (shared with the claim exports)
+    const query = filters.buildClaimQuery(req.query);
 
     const [claims, total] = await Promise.all([
       TicketClaim.find(query)
@@ -667,6 +873,7 @@ app.get("/admin", verifyAdminToken, async (req, res) => {
         .limit(limit),
       TicketClaim.countDocuments(query),
     ]);
+    const ticketCampaigns = (await campaigns.listCampaigns()).filter(c => c.flow === "ticket-draw");
 
     res.render("admin/dashboard", {
       claims,
@@ -676,6 +883,8 @@ app.get("/admin", verifyAdminToken, async (req, res) => {
         pages: Math.ceil(total / limit),
       },
       search,
+      campaign,
+      campaigns: ticketCampaigns,
       sortBy,
       sortOrder,
       startDate: startDate ? startDate.toISOString().split("T")[0] : "",
@@ -693,7 +902,7 @@ app.get("/admin", verifyAdminToken, async (req, res) => {
 });
 
 // Admin route for feedback manager
-app.get("/admin/feedback", verifyAdminToken, async (req, res) => {
+app.get("/admin/feedback", verifyAdminPage, async (req, res) => {
   try {
     await connectToDatabase();
     const page = parseInt(req.query.page) || 1;
@@ -702,18 +911,8 @@ app.get("/admin/feedback", verifyAdminToken, async (req, res) => {
     const status = req.query.status || "";
     const skip = (page - 1) * limit;
 
-    // Build query
-    const query = {};
-    if (status) {
-      query.status = status;
-    }
-    if (search) {
-      query.$or = [
-        { orderId: { $regex: search, $options: "i" } },
-        { customerName: { $regex: search, $options: "i" } },
-        { customerEmail: { $regex: search, $options: "i" } },
-      ];
-    }
+    // Build query (shared with the tracker exports)
+    const query = filters.buildTrackerQuery(req.query);
 
     const [trackers, total] = await Promise.all([
       FeedbackTracker.find(query)
@@ -744,6 +943,9 @@ app.get("/admin/feedback", verifyAdminToken, async (req, res) => {
       stats[s._id] = s.count;
     });
 
+    // Opens and clicks of the emails sent so far
+    const engagement = await emailTracking.getEngagementStats();
+
     res.render("admin/feedback-manager", {
       trackers,
       pagination: {
@@ -754,6 +956,7 @@ app.get("/admin/feedback", verifyAdminToken, async (req, res) => {
       search,
       status,
       stats,
+      engagement,
       token: res.locals.token,
     });
   } catch (error) {
@@ -766,7 +969,7 @@ app.get("/admin/feedback", verifyAdminToken, async (req, res) => {
 });
 
 // Admin route for email template editor
-app.get("/admin/feedback/templates", verifyAdminToken, async (req, res) => {
+app.get("/admin/feedback/templates", verifyAdminPage, async (req, res) => {
   try {
     res.render("admin/email-templates", {
       token: res.locals.token,
@@ -780,136 +983,320 @@ app.get("/admin/feedback/templates", verifyAdminToken, async (req, res) => {
   }
 });
 
-app.get("/", async (req, res) => {
-  res.status(200).send("api running");
+// Admin route for review funnel and cohort analytics
+app.get("/admin/feedback/analytics", verifyAdminPage, async (req, res) => {
+  try {
+    const [allCampaigns, sequences] = await Promise.all([
+      campaigns.listCampaigns(),
+      listSequences(),
+    ]);
+    res.render("admin/feedback-analytics", {
+      campaigns: allCampaigns,
+      sequences,
+      token: res.locals.token,
+    });
+  } catch (error) {
+    console.error("Error loading feedback analytics:", error);
+    res.status(500).render("error", {
+      message: "Error loading feedback analytics",
+      token: res.locals.token,
+    });
+  }
 });
 
-app.get("/api/location", async (req, res) => {
-  const ip = req.ip || "127.0.0.1";
-  const geo = await geoip.lookup(ip);
-  res.send(geo);
+// Admin route for the follow-up sequence editor
+app.get("/admin/feedback/sequences", verifyAdminPage, async (req, res) => {
+  try {
+    res.render("admin/sequences", {
+      token: res.locals.token,
+    });
+  } catch (error) {
+    console.error("Error loading sequence editor:", error);
+    res.status(500).render("error", {
+      message: "Error loading sequence editor",
+      token: res.locals.token,
+    });
+  }
+});
+
+// Admin route for the email suppression list
+app.get("/admin/suppressions", verifyAdminPage, async (req, res) => {
+  try {
+    res.render("admin/suppressions", {
+      token: res.locals.token,
+    });
+  } catch (error) {
+    console.error("Error loading suppression list:", error);
+    res.status(500).render("error", {
+      message: "Error loading suppression list",
+      token: res.locals.token,
+    });
+  }
+});
+
+// Admin route for outgoing webhook subscriptions and their delivery logs
+app.get("/admin/webhooks", verifyAdminPage, async (req, res) => {
+  try {
+    res.render("admin/webhooks", {
+      token: res.locals.token,
+    });
+  } catch (error) {
+    console.error("Error loading webhooks:", error);
+    res.status(500).render("error", {
+      message: "Error loading webhooks",
+      token: res.locals.token,
+    });
+  }
+});
+
+// Admin route for gift orders (search, filters, fulfillment and export)
+app.get("/admin/orders", verifyAdminPage, async (req, res) => {
+  try {
+    const giftCampaigns = (await campaigns.listCampaigns()).filter(c => c.flow === "free-gift");
+    res.render("admin/orders", {
+      campaigns: giftCampaigns,
+      token: res.locals.token,
+    });
+  } catch (error) {
+    console.error("Error loading order fulfillment:", error);
+    res.status(500).render("error", {
+      message: "Error loading order fulfillment",
+      token: res.locals.token,
+    });
+  }
+});
+
+// Admin route for one gift order (details, edit form and fulfillment history)
+app.get("/admin/orders/:orderId", verifyAdminPage, async (req, res) => {
+  try {
+    res.render("admin/order-detail", {
+      orderId: req.params.orderId,
+      token: res.locals.token,
+    });
+  } catch (error) {
+    console.error("Error loading order:", error);
+    res.status(500).render("error", {
+      message: "Error loading order",
+      token: res.locals.token,
+    });
+  }
 });
 
-app.get("/download-orders", async (req, res) => {
+// Admin route for ticket giveaway winner draws
+app.get("/admin/draws", verifyAdminPage, async (req, res) => {
   try {
     await connectToDatabase();
-    const orders = await Order.find({});
+    const ticketCampaigns = (await campaigns.listCampaigns()).filter(c => c.flow === "ticket-draw");
+    res.render("admin/draws", {
+      campaigns: ticketCampaigns,
+      token: res.locals.token,
+    });
+  } catch (error) {
+    console.error("Error loading winner draws:", error);
+    res.status(500).render("error", {
+      message: "Error loading winner draws",
+      token: res.locals.token,
+    });
+  }
+});
 
-    if (orders.length === 0) {
-      return res.status(404).send("No orders found.");
-    }
+// Admin route for the duplicate review queue
+app.get("/admin/fraud-reviews", verifyAdminPage, async (req, res) => {
+  try {
+    res.render("admin/fraud-reviews", {
+      token: res.locals.token,
+    });
+  } catch (error) {
+    console.error("Error loading review queue:", error);
+    res.status(500).render("error", {
+      message: "Error loading review queue",
+      token: res.locals.token,
+    });
+  }
+});
 
-    const json2csvParser = new Parser();
-    const csv = json2csvParser.parse(orders);
+// Admin route for the campaign editor
+app.get("/admin/campaigns", verifyAdminPage, async (req, res) => {
+  try {
+    res.render("admin/campaigns", {
+      token: res.locals.token,
+    });
+  } catch (error) {
+    console.error("Error loading campaign editor:", error);
+    res.status(500).render("error", {
+      message: "Error loading campaign editor",
+      token: res.locals.token,
+    });
+  }
+});
 
-    res.header("Content-Type", "text/csv");
-    res.attachment("orders.csv");
-    res.send(csv);
+// Admin route for managing admin accounts
+app.get("/admin/users", verifyAdminPage, requireRole("owner"), async (req, res) => {
+  try {
+    res.render("admin/users", {
+      token: res.locals.token,
+    });
   } catch (error) {
-    console.error("Error fetching orders:", error);
-    res.status(500).send("An error occurred while fetching orders.");
+    console.error("Error loading admin users:", error);
+    res.status(500).render("error", {
+      message: "Error loading admin users",
+      token: res.locals.token,
+    });
   }
 });
 
-// Update download endpoint with token verification and enhanced filtering
-app.get("/download-claims", verifyAdminToken, async (req, res) => {
+// Admin route for the audit log of admin actions
+app.get("/admin/audit", verifyAdminPage, requireRole("owner"), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    const filters = {
+      actor: req.query.actor || "",
+      action: req.query.action || "",
+      targetType: req.query.targetType || "",
+      targetId: req.query.targetId || "",
+      from: req.query.from || "",
+      to: req.query.to || "",
+    };
+    const query = audit.buildAuditQuery(filters);
+
+    const [entries, total, actions, targetTypes] = await Promise.all([
+      AuditLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      AuditLog.countDocuments(query),
+      AuditLog.distinct("action"),
+      AuditLog.distinct("targetType"),
+    ]);
+
+    res.render("admin/audit", {
+      entries,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+      },
+      filters,
+      actions: actions.sort(),
+      targetTypes: targetTypes.filter(Boolean).sort(),
+      token: res.locals.token,
+    });
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res.status(500).render("error", {
+      message: "Error fetching audit log",
+      token: res.locals.token,
+    });
+  }
+});
+
+// Admin route for the transactional email outbox
+app.get("/admin/outbox", verifyAdminPage, async (req, res) => {
   try {
     await connectToDatabase();
-    const format = req.query.format || "csv";
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const status = req.query.status || "";
     const search = req.query.search || "";
-    const sortBy = req.query.sortBy || "createdAt";
-    const sortOrder = req.query.sortOrder === "asc" ? 1 : -1;
-    const startDate = req.query.startDate
-      ? new Date(req.query.startDate)
-      : null;
-    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+    const skip = (page - 1) * limit;
 
-    const query = {
-      $or: [
+    // Build query
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (search) {
+      query.$or = [
         { orderId: { $regex: search, $options: "i" } },
-        { name: { $regex: search, $options: "i" } },
-        { email: { $regex: search, $options: "i" } },
-      ],
-    };
-
-    // Add date range if provided
-    if (startDate || endDate) {
-      query.createdAt = {};
-      if (startDate) query.createdAt.$gte = startDate;
-      if (endDate) query.createdAt.$lte = endDate;
+        { "mailOptions.to": { $regex: search, $options: "i" } },
+      ];
     }
 
-    const claims = await TicketClaim.find(query).sort({ [sortBy]: sortOrder });
+    const [messages, total, statsArray] = await Promise.all([
+      OutboxMessage.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      OutboxMessage.countDocuments(query),
+      OutboxMessage.aggregate([
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+    ]);
 
-    if (claims.length === 0) {
-      return res.status(404).send("No claims found.");
-    }
+    const stats = { pending: 0, sending: 0, sent: 0, dead: 0 };
+    statsArray.forEach((s) => {
+      stats[s._id] = s.count;
+    });
 
-    if (format === "pdf") {
-      // Create PDF
-      const doc = new PDFDocument();
-      res.setHeader("Content-Type", "application/pdf");
-      res.setHeader("Content-Disposition", "attachment; filename=claims.pdf");
-      doc.pipe(res);
-
-      // Add title and filters
-      doc.fontSize(20).text("Ticket Claims Report", { align: "center" });
-      doc.moveDown();
-
-      // Add filter information
-      doc.fontSize(10);
-      if (search) doc.text(`Search: ${search}`, 50, 100);
-      if (startDate)
-        doc.text(`Start Date: ${startDate.toLocaleDateString()}`, 50, 120);
-      if (endDate)
-        doc.text(`End Date: ${endDate.toLocaleDateString()}`, 50, 140);
-      doc.moveDown();
-
-      // Add table headers
-      const headers = ["Order ID", "Name", "Email", "Phone", "Date"];
-      let y = 200;
-      let x = 50;
-      const rowHeight = 30;
-      const colWidth = 100;
-
-      // Draw headers
-      headers.forEach((header, i) => {
-        doc.text(header, x + i * colWidth, y);
-      });
-      y += rowHeight;
-
-      // Draw data rows
-      claims.forEach((claim) => {
-        if (y > 700) {
-          // Start new page if near bottom
-          doc.addPage();
-          y = 50;
-        }
-        doc.text(claim.orderId, x, y);
-        doc.text(claim.name, x + colWidth, y);
-        doc.text(claim.email, x + colWidth * 2, y);
-        doc.text(claim.phoneNumber, x + colWidth * 3, y);
-        doc.text(
-          new Date(claim.createdAt).toLocaleString(),
-          x + colWidth * 4,
-          y
-        );
-        y += rowHeight;
-      });
+    res.render("admin/outbox", {
+      messages,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+      },
+      search,
+      status,
+      stats,
+      token: res.locals.token,
+    });
+  } catch (error) {
+    console.error("Error fetching outbox messages:", error);
+    res.status(500).render("error", {
+      message: "Error fetching outbox messages",
+      token: res.locals.token,
+    });
+  }
+});
+
+app.get("/", async (req, res) => {
+  res.status(200).send("api running");
+});
+
+app.get("/api/location", async (req, res) => {
+  const ip = req.ip || "127.0.0.1";
+  const geo = await geoip.lookup(ip);
+  res.send(geo);
+});
+
+// Order export (admins only); served by the export API with the same filters as the Orders page
+app.get("/download-orders", verifyAdminPage, (req, res) => {
+  res.redirect(307, req.originalUrl.replace(/^\/download-orders/, "/api/admin/exports/orders"));
+});
 
-      doc.end();
-    } else {
-      // Create CSV
-      const fields = ["orderId", "name", "email", "phoneNumber", "createdAt"];
-      const json2csvParser = new Parser({ fields });
-      const csv = json2csvParser.parse(claims);
+// Claim downloads from the /admin dashboard: the PDF report (?trackers=1 adds
+// feedback follow-up status), or any export format served by the export API
+app.get("/download-claims", verifyAdminPage, async (req, res) => {
+  if (req.query.format !== "pdf") {
+    return res.redirect(307, req.originalUrl.replace(/^\/download-claims/, "/api/admin/exports/claims"));
+  }
 
-      res.header("Content-Type", "text/csv");
-      res.attachment("claims.csv");
-      res.send(csv);
+  try {
+    await connectToDatabase();
+    const sortBy = typeof req.query.sortBy === "string" && TicketClaim.schema.path(req.query.sortBy) ? req.query.sortBy : "createdAt";
+    const sortOrder = req.query.sortOrder === "asc" ? 1 : -1;
+    const query = filters.buildClaimQuery(req.query);
+
+    const total = await TicketClaim.countDocuments(query);
+    if (total === 0) {
+      return res.status(404).send("No claims found.");
     }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", "attachment; filename=claims.pdf");
+    await claimReport.writeClaimReport(res, {
+      query,
+      sort: { [sortBy]: sortOrder, _id: sortOrder },
+      filters: req.query,
+      total,
+      includeTrackers: req.query.trackers === "1" || req.query.trackers === "true",
+    });
   } catch (error) {
     console.error("Error downloading claims:", error);
+    // Part of the PDF may already be on its way
+    if (res.headersSent) return res.destroy();
+    res.removeHeader("Content-Disposition");
     res.status(500).send("An error occurred while downloading claims.");
   }
 });
@@ -0,0 +1,144 @@
+const AdminUser = require('../models/AdminUser');
+const adminSessions = require('../services/adminSessions');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Helper: Does the signed-in admin have at least this role?
+const hasRole = (admin, role) =>
+  !!admin && AdminUser.ROLES.indexOf(admin.role) >= AdminUser.ROLES.indexOf(role);
+
+/**
+ * Work out who is making the request.
+ * A named session (cookie) wins; the shared ADMIN_SECRET_TOKEN is accepted as
+ * an owner-level fallback while token mode is enabled.
+ */
+async function resolveAdmin(req) {
+  const session = await adminSessions.findSession(req);
+  if (session) {
+    return {
+      via: 'session',
+      id: session.user._id,
+      email: session.user.email,
+      name: session.user.name || session.user.email,
+      role: session.user.role,
+      csrfToken: session.csrfToken
+    };
+  }
+
+  const token = req.headers['x-admin-token'] || req.query.token;
+  if (adminSessions.checkAdminToken(token)) {
+    return {
+      via: 'token',
+      name: 'Admin token',
+      role: 'owner',
+      token
+    };
+  }
+
+  return null;
+}
+
+// Helper: Reject cookie-authenticated writes without the session's CSRF token
+const checkCsrf = (req, admin) => {
+  if (admin.via !== 'session' || SAFE_METHODS.includes(req.method)) return true;
+  const submitted = req.get('x-csrf-token') || (req.body && req.body._csrf);
+  return !!submitted && adminSessions.safeEqual(submitted, admin.csrfToken);
+};
+
+// Helper: Make the admin available to handlers and views
+const attachAdmin = (req, res, admin) => {
+  req.admin = admin;
+  res.locals.admin = admin;
+  res.locals.csrfToken = admin.csrfToken || '';
+  // Only token-mode pages keep passing ?token= along in links
+  res.locals.token = admin.via === 'token' ? admin.token : '';
+};
+
+/**
+ * Admin authentication for the JSON admin API (any role)
+ */
+const verifyAdminAuth = async (req, res, next) => {
+  try {
+    const admin = await resolveAdmin(req);
+
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized. Please log in.'
+      });
+    }
+
+    if (!checkCsrf(req, admin)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or missing CSRF token. Reload the page and try again.'
+      });
+    }
+
+    attachAdmin(req, res, admin);
+    next();
+  } catch (error) {
+    console.error('Error checking admin session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Could not verify admin session'
+    });
+  }
+};
+
+/**
+ * Admin authentication for dashboard pages and downloads (any role).
+ * Sends visitors without a session to the login page.
+ */
+const verifyAdminPage = async (req, res, next) => {
+  try {
+    const admin = await resolveAdmin(req);
+
+    if (!admin) {
+      if (req.headers['x-admin-token'] || req.query.token) {
+        return res.status(401).render('error', {
+          message: 'Unauthorized access. Please provide a valid admin token.',
+          token: null,
+        });
+      }
+      return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+
+    if (!checkCsrf(req, admin)) {
+      return res.status(403).render('error', {
+        message: 'Invalid or missing CSRF token. Reload the page and try again.',
+        token: null,
+      });
+    }
+
+    res.locals.adminPage = true;
+    attachAdmin(req, res, admin);
+    next();
+  } catch (error) {
+    console.error('Error checking admin session:', error);
+    res.status(500).render('error', {
+      message: 'Could not verify admin session',
+      token: null,
+    });
+  }
+};
+
+/**
+ * Require at least the given role (use after verifyAdminAuth / verifyAdminPage).
+ * viewer: dashboards and exports; operator: trackers, templates, sequences,
+ * campaigns and the outbox; owner: deleting claims and managing admin users.
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (hasRole(req.admin, role)) return next();
+
+  const message = `This action requires the ${role} role.`;
+  if (res.locals.adminPage) {
+    return res.status(403).render('error', { message, token: res.locals.token });
+  }
+  return res.status(403).json({
+    success: false,
+    error: message
+  });
+};
+
+module.exports = { verifyAdminAuth, verifyAdminPage, requireRole, hasRole };
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Logged-in admin session (the cookie holds the raw token, we store its hash)
+const AdminSessionSchema = new Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    required: true,
+    index: true
+  },
+  // Must accompany every state-changing request made with this session
+  csrfToken: {
+    type: String,
+    required: true
+  },
+  ip: String,
+  userAgent: String,
+
+  // Removed by MongoDB once expired
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+let AdminSession;
+
+if (mongoose.models.AdminSession) {
+  AdminSession = mongoose.model("AdminSession");
+} else {
+  AdminSession = mongoose.model("AdminSession", AdminSessionSchema);
+}
+
+module.exports = AdminSession;
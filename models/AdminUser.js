@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const Schema = mongoose.Schema;
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of access
+const ROLES = ['viewer', 'operator', 'owner'];
+
+// Named admin account for the dashboards
+const AdminUserSchema = new Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: String,
+  // scrypt$<salt>$<hash>
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+AdminUserSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to hash and store a new password
+AdminUserSchema.methods.setPassword = async function(password) {
+  if (!password || password.length < 10) {
+    throw new Error('Password must be at least 10 characters');
+  }
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  this.passwordHash = `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+// Method to check a password against the stored hash
+AdminUserSchema.methods.verifyPassword = async function(password) {
+  const [scheme, salt, stored] = (this.passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !stored || !password) return false;
+
+  const hash = await scrypt(password, salt, 64);
+  const expected = Buffer.from(stored, 'hex');
+  return expected.length === hash.length && crypto.timingSafeEqual(expected, hash);
+};
+
+// Method to check whether the user has at least the given role
+AdminUserSchema.methods.hasRole = function(role) {
+  return ROLES.indexOf(this.role) >= ROLES.indexOf(role);
+};
+
+// Hide the password hash from API responses
+AdminUserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+let AdminUser;
+
+if (mongoose.models.AdminUser) {
+  AdminUser = mongoose.model("AdminUser");
+} else {
+  AdminUser = mongoose.model("AdminUser", AdminUserSchema);
+}
+
+AdminUser.ROLES = ROLES;
+
+module.exports = AdminUser;
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Append-only record of admin actions (see services/audit.js)
+const AuditLogSchema = new Schema({
+  // Who did it
+  actor: {
+    id: Schema.Types.ObjectId,
+    email: String,
+    name: String,
+    role: String,
+    via: String // "session" or "token"
+  },
+
+  // What was done, to what
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  targetType: {
+    type: String,
+    index: true
+  },
+  targetId: {
+    type: String,
+    index: true
+  },
+
+  // State before and after, plus the changed paths
+  before: Schema.Types.Mixed,
+  after: Schema.Types.Mixed,
+  changes: [{
+    _id: false,
+    path: String,
+    before: Schema.Types.Mixed,
+    after: Schema.Types.Mixed
+  }],
+  metadata: Schema.Types.Mixed,
+
+  // Request details
+  method: String,
+  path: String,
+  ip: String,
+  userAgent: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+AuditLogSchema.index({ 'actor.email': 1, createdAt: -1 });
+
+// Entries can be added but never changed or removed
+const rejectChange = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteMany'
+].forEach(operation => AuditLogSchema.pre(operation, rejectChange));
+AuditLogSchema.pre('deleteOne', { document: true, query: true }, rejectChange);
+
+let AuditLog;
+
+if (mongoose.models.AuditLog) {
+  AuditLog = mongoose.model("AuditLog");
+} else {
+  AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+}
+
+module.exports = AuditLog;
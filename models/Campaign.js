@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Promotion run through this server (free gift, ticket draw, ...)
+const CampaignSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[a-z0-9_-]+$/i
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Which submission endpoint the campaign uses
+  flow: {
+    type: String,
+    required: true,
+    enum: ['free-gift', 'ticket-draw']
+  },
+
+  // Frontends allowed to submit (also added to CORS)
+  allowedOrigins: [String],
+  // Empty = any product
+  eligibleAsins: [String],
+  // Checks on the Amazon order, run by /validate-order-id and again on submission (services/eligibility.js)
+  eligibility: {
+    orderStatuses: [String], // SP-API OrderStatus values; empty = Shipped
+    minOrderAgeDays: { type: Number, min: 0 },
+    maxOrderAgeDays: { type: Number, min: 0 },
+    marketplaceIds: [String], // Empty = any marketplace
+    buyerCountries: [String] // Shipping country codes (US, CA, ...); empty = any
+  },
+
+  // Customer confirmation email (handlebars template from views/email)
+  confirmation: {
+    subject: { type: String, required: true },
+    template: { type: String, required: true },
+    context: Schema.Types.Mixed // Extra template values, e.g. social links
+  },
+  adminNotificationSubject: String,
+
+  // Follow-up sequence for review requests (empty = no feedback tracker)
+  sequenceKey: String,
+
+  // Active dates
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+CampaignSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to check whether submissions are accepted right now
+CampaignSchema.methods.isOpen = function(date = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startsAt && date < this.startsAt) return false;
+  if (this.endsAt && date > this.endsAt) return false;
+  return true;
+};
+
+let Campaign;
+
+if (mongoose.models.Campaign) {
+  Campaign = mongoose.model("Campaign");
+} else {
+  Campaign = mongoose.model("Campaign", CampaignSchema);
+}
+
+module.exports = Campaign;
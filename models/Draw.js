@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const WinnerSchema = new Schema({
+  _id: false,
+  orderId: String,
+  name: String,
+  email: String,
+  rank: Number, // Position in the seeded ranking of entrants (1 = first drawn)
+  round: { type: Number, default: 0 }, // 0 = original draw, 1+ = redraws
+  status: {
+    type: String,
+    enum: ["winner", "disqualified"],
+    default: "winner",
+  },
+  replaces: String, // Disqualified winner this one was redrawn for
+  passedOver: [String], // Higher-ranked entrants skipped because they were no longer eligible
+  drawnAt: { type: Date, default: Date.now },
+  disqualifiedAt: Date,
+  disqualifiedBy: String, // Admin email or name
+  disqualifyReason: String,
+});
+
+// Winner draw for the ticket giveaway; reproducible from seed + entrant snapshot (see services/draws.js)
+const DrawSchema = new Schema({
+  name: String,
+  campaignKey: { type: String, index: true },
+  startDate: Date,
+  endDate: Date,
+  winnerCount: { type: Number, required: true },
+
+  seed: { type: String, required: true },
+  algorithm: { type: String, required: true },
+  entrantCount: Number,
+  entrantsHash: String, // sha256 of the entrant order IDs (snapshot in DrawEntrant), to spot a changed snapshot
+
+  // Claims in the date range that were left out
+  excluded: {
+    cancelled: { type: Number, default: 0 },
+    flagged: { type: Number, default: 0 },
+    previousWinners: { type: Number, default: 0 },
+  },
+
+  winners: [WinnerSchema],
+
+  createdBy: {
+    id: Schema.Types.ObjectId,
+    email: String,
+    name: String,
+  },
+  createdAt: { type: Date, default: Date.now, index: true },
+});
+
+let Draw;
+
+if (mongoose.models.Draw) {
+  Draw = mongoose.model("Draw");
+} else {
+  Draw = mongoose.model("Draw", DrawSchema);
+}
+
+module.exports = Draw;
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Entrant of a draw as it stood when the draw ran. Kept out of the Draw
+// document so a large giveaway doesn't hit MongoDB's document size limit.
+const DrawEntrantSchema = new Schema({
+  drawId: { type: Schema.Types.ObjectId, required: true },
+  orderId: String,
+  name: String,
+  email: String,
+  campaignKey: String,
+  createdAt: Date, // When the claim was made
+});
+
+DrawEntrantSchema.index({ drawId: 1, orderId: 1 }, { unique: true });
+
+let DrawEntrant;
+
+if (mongoose.models.DrawEntrant) {
+  DrawEntrant = mongoose.model("DrawEntrant");
+} else {
+  DrawEntrant = mongoose.model("DrawEntrant", DrawEntrantSchema);
+}
+
+module.exports = DrawEntrant;
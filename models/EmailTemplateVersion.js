@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Immutable snapshot of an email template after each save, reset or rollback
+const EmailTemplateVersionSchema = new Schema({
+  templateKey: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+
+  // What produced this version
+  action: {
+    type: String,
+    enum: ['baseline', 'save', 'reset', 'rollback'],
+    required: true
+  },
+  restoredFrom: Number, // Version number a rollback copied
+
+  // Template state after the action (isBuiltIn = no custom template, built-in content in use)
+  subject: String,
+  htmlContent: String,
+  isActive: Boolean,
+  isBuiltIn: {
+    type: Boolean,
+    default: false
+  },
+
+  author: {
+    id: Schema.Types.ObjectId,
+    email: String,
+    name: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+EmailTemplateVersionSchema.index({ templateKey: 1, version: -1 }, { unique: true });
+
+// Versions can be added but never changed or removed
+const rejectChange = function(next) {
+  next(new Error('Email template versions are immutable'));
+};
+
+EmailTemplateVersionSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteMany'
+].forEach(operation => EmailTemplateVersionSchema.pre(operation, rejectChange));
+EmailTemplateVersionSchema.pre('deleteOne', { document: true, query: true }, rejectChange);
+
+let EmailTemplateVersion;
+
+if (mongoose.models.EmailTemplateVersion) {
+  EmailTemplateVersion = mongoose.model("EmailTemplateVersion");
+} else {
+  EmailTemplateVersion = mongoose.model("EmailTemplateVersion", EmailTemplateVersionSchema);
+}
+
+module.exports = EmailTemplateVersion;
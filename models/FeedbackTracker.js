@@ -2,13 +2,16 @@ const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
 
 // Email Template Schema for customizable templates
+// Templates are referenced by key from follow-up sequence steps (e.g. "day3")
 const EmailTemplateSchema = new Schema({
-  day: { 
-    type: Number, 
+  key: { 
+    type: String, 
     required: true, 
-    enum: [3, 7, 14, 30],
-    unique: true 
+    unique: true,
+    trim: true,
+    match: /^[a-z0-9_-]+$/i
   },
+  day: Number, // Legacy: templates were keyed by day number before sequences
   subject: { 
     type: String, 
     required: true 
@@ -28,6 +31,43 @@ const EmailTemplateSchema = new Schema({
   }
 });
 
+// One try at sending a step's email (newest last; see sendFeedbackEmail)
+const EmailAttemptSchema = new Schema({
+  at: { type: Date, default: Date.now },
+  trigger: { type: String, enum: ['scheduler', 'manual'], default: 'scheduler' },
+  by: String, // Admin email for manual sends
+  success: { type: Boolean, default: false },
+  provider: String,
+  messageId: String,
+  response: String, // Provider response, truncated
+  error: String
+}, { _id: false });
+
+// One scheduled email in a tracker's follow-up sequence
+const EmailStepSchema = new Schema({
+  stepKey: { type: String, required: true },
+  delayDays: { type: Number, required: true },
+  templateKey: { type: String, required: true },
+  scheduledDate: { type: Date, required: true },
+  sent: { type: Boolean, default: false },
+  sentAt: { type: Date },
+  error: String, // Last attempt's error (history in attempts)
+  attempts: [EmailAttemptSchema],
+  sendingUntil: Date, // Set while an attempt is in progress so two senders can't overlap
+  skipped: { type: Boolean, default: false },
+  skippedAt: { type: Date },
+  skipReason: String,
+  
+  // Engagement, from the tracking pixel and redirected links (see services/emailTracking.js)
+  openCount: { type: Number, default: 0 },
+  firstOpenedAt: Date, // Also set by a click, since many clients block images
+  lastOpenedAt: Date,
+  clickCount: { type: Number, default: 0 },
+  firstClickedAt: Date,
+  lastClickedAt: Date,
+  linkClicks: { type: Map, of: Number } // Clicks per link: review, product, other
+}, { _id: false });
+
 const FeedbackTrackerSchema = new Schema({
   // Order and Customer Info
   orderId: { 
@@ -59,33 +99,21 @@ const FeedbackTrackerSchema = new Schema({
     default: Date.now 
   },
   
-  // Email Schedule Status
-  emailSchedule: {
-    day3: {
-      scheduledDate: { type: Date, required: true },
-      sent: { type: Boolean, default: false },
-      sentAt: { type: Date },
-      error: String
-    },
-    day7: {
-      scheduledDate: { type: Date, required: true },
-      sent: { type: Boolean, default: false },
-      sentAt: { type: Date },
-      error: String
-    },
-    day14: {
-      scheduledDate: { type: Date, required: true },
-      sent: { type: Boolean, default: false },
-      sentAt: { type: Date },
-      error: String
-    },
-    day30: {
-      scheduledDate: { type: Date, required: true },
-      sent: { type: Boolean, default: false },
-      sentAt: { type: Date },
-      error: String
-    }
+  // Campaign the claim came through
+  campaignKey: {
+    type: String,
+    index: true
   },
+
+  // Follow-up sequence this tracker was created from
+  sequenceKey: { 
+    type: String, 
+    default: 'default',
+    index: true 
+  },
+  
+  // Email Schedule Status (one entry per sequence step, snapshotted at creation)
+  emailSteps: [EmailStepSchema],
   
   // Review Status
   status: { 
@@ -95,10 +123,7 @@ const FeedbackTrackerSchema = new Schema({
     index: true
   },
   reviewedAt: Date,
-  reviewedOnDay: { 
-    type: Number, 
-    enum: [3, 7, 14, 30]
-  },
+  reviewedOnDay: Number, // delayDays of the step after which the review came in
   
   // Control flags
   isActive: { 
@@ -126,50 +151,61 @@ FeedbackTrackerSchema.pre('save', function(next) {
   next();
 });
 
-// Helper method to calculate scheduled dates
-FeedbackTrackerSchema.statics.createScheduledDates = function(submissionDate) {
+// Helper method to build the email steps for a sequence
+FeedbackTrackerSchema.statics.createEmailSteps = function(sequence, submissionDate) {
   const addDays = (date, days) => {
     const result = new Date(date);
     result.setDate(result.getDate() + days);
     return result;
   };
   
-  return {
-    day3: {
-      scheduledDate: addDays(submissionDate, 3),
+  return [...sequence.steps]
+    .sort((a, b) => a.delayDays - b.delayDays)
+    .map(step => ({
+      stepKey: step.key,
+      delayDays: step.delayDays,
+      templateKey: step.templateKey,
+      scheduledDate: addDays(submissionDate, step.delayDays),
       sent: false
-    },
-    day7: {
-      scheduledDate: addDays(submissionDate, 7),
-      sent: false
-    },
-    day14: {
-      scheduledDate: addDays(submissionDate, 14),
-      sent: false
-    },
-    day30: {
-      scheduledDate: addDays(submissionDate, 30),
-      sent: false
-    }
-  };
+    }));
+};
+
+// Method to find a step by key (accepts a legacy day number too)
+FeedbackTrackerSchema.methods.getEmailStep = function(stepKey) {
+  const key = typeof stepKey === 'number' ? `day${stepKey}` : stepKey;
+  return this.emailSteps.find(step => step.stepKey === key);
 };
 
-// Method to mark as reviewed and stop emails
-FeedbackTrackerSchema.methods.markAsReviewed = function(dayNumber) {
+// Method to check whether every step has been sent or skipped
+FeedbackTrackerSchema.methods.isSequenceComplete = function() {
+  return this.emailSteps.every(step => step.sent || step.skipped);
+};
+
+// Method to mark as reviewed and stop emails (reviewedAt defaults to now)
+FeedbackTrackerSchema.methods.markAsReviewed = function(dayNumber, reviewedAt = new Date()) {
   this.status = 'reviewed';
-  this.reviewedAt = new Date();
+  this.reviewedAt = reviewedAt;
   this.reviewedOnDay = dayNumber;
   this.isActive = false;
   return this.save();
 };
 
-// Method to mark as unreviewed after day 30
+// Method to mark as unreviewed after the last step
 FeedbackTrackerSchema.methods.markAsUnreviewed = function() {
   this.status = 'unreviewed';
   this.isActive = false;
   return this.save();
 };
 
+// Method to record that a scheduled email was deliberately not sent
+FeedbackTrackerSchema.methods.markEmailSkipped = function(stepKey, reason) {
+  const entry = this.getEmailStep(stepKey);
+  entry.skipped = true;
+  entry.skippedAt = new Date();
+  entry.skipReason = reason;
+  return this.save();
+};
+
 // Method to cancel all emails
 FeedbackTrackerSchema.methods.cancelEmails = function(notes) {
   this.status = 'cancelled';
@@ -181,10 +217,7 @@ FeedbackTrackerSchema.methods.cancelEmails = function(notes) {
 // Indexes for efficient querying
 FeedbackTrackerSchema.index({ createdAt: -1 });
 FeedbackTrackerSchema.index({ status: 1, isActive: 1 });
-FeedbackTrackerSchema.index({ 'emailSchedule.day3.scheduledDate': 1 });
-FeedbackTrackerSchema.index({ 'emailSchedule.day7.scheduledDate': 1 });
-FeedbackTrackerSchema.index({ 'emailSchedule.day14.scheduledDate': 1 });
-FeedbackTrackerSchema.index({ 'emailSchedule.day30.scheduledDate': 1 });
+FeedbackTrackerSchema.index({ 'emailSteps.scheduledDate': 1 });
 
 let FeedbackTracker;
 let EmailTemplate;
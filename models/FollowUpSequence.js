@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One email in a follow-up sequence
+const SequenceStepSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[a-z0-9_-]+$/i
+  },
+  label: String,
+  delayDays: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  templateKey: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[a-z0-9_-]+$/i
+  }
+}, { _id: false });
+
+// Follow-up sequence: the review request emails sent after a claim
+const FollowUpSequenceSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[a-z0-9_-]+$/i
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  steps: {
+    type: [SequenceStepSchema],
+    validate: [
+      {
+        validator: steps => steps.length > 0,
+        message: 'A sequence needs at least one step'
+      },
+      {
+        validator: steps => new Set(steps.map(step => step.key)).size === steps.length,
+        message: 'Step keys must be unique within a sequence'
+      }
+    ]
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Keep steps ordered by delay and update timestamp on save
+FollowUpSequenceSchema.pre('save', function(next) {
+  this.steps.sort((a, b) => a.delayDays - b.delayDays);
+  this.updatedAt = Date.now();
+  next();
+});
+
+let FollowUpSequence;
+
+if (mongoose.models.FollowUpSequence) {
+  FollowUpSequence = mongoose.model("FollowUpSequence");
+} else {
+  FollowUpSequence = mongoose.model("FollowUpSequence", FollowUpSequenceSchema);
+}
+
+module.exports = FollowUpSequence;
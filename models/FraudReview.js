@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Submission held for review because it looks like a repeat entry (see services/fraud.js)
+const FraudReviewSchema = new Schema({
+  targetType: {
+    type: String,
+    enum: ["Order", "TicketClaim"],
+    required: true,
+  },
+  orderId: { type: String, required: true },
+  campaignKey: String,
+  name: String,
+  email: String,
+
+  score: { type: Number, required: true },
+  signals: [
+    {
+      _id: false,
+      type: { type: String }, // email, address, ip or nameZip
+      weight: Number,
+      value: String, // Normalized value that matched
+      matches: [
+        {
+          _id: false,
+          targetType: String,
+          orderId: String,
+        },
+      ],
+    },
+  ],
+
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected"],
+    default: "pending",
+    index: true,
+  },
+  reviewedBy: String, // Admin email or name
+  reviewedAt: Date,
+  note: String,
+
+  createdAt: { type: Date, default: Date.now, index: true },
+});
+
+FraudReviewSchema.index({ targetType: 1, orderId: 1 }, { unique: true });
+
+let FraudReview;
+
+if (mongoose.models.FraudReview) {
+  FraudReview = mongoose.model("FraudReview");
+} else {
+  FraudReview = mongoose.model("FraudReview", FraudReviewSchema);
+}
+
+module.exports = FraudReview;
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Marker for a one-off data migration that has finished (see services/migrations.js)
+const MigrationSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  results: Schema.Types.Mixed, // Counts reported by the migration
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+let Migration;
+
+if (mongoose.models.Migration) {
+  Migration = mongoose.model("Migration");
+} else {
+  Migration = mongoose.model("Migration", MigrationSchema);
+}
+
+module.exports = Migration;
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Free-gift claims submitted through /submit-review
+const OrderSchema = new Schema({
+  campaignKey: { type: String, index: true }, // Campaign the claim belongs to
+  name: String,
+  language: String,
+  email: { type: String, required: true },
+  phoneNumber: String,
+  orderId: { type: String, unique: true },
+  fullName: String,
+  country: String, // English name; see services/validation.js for the country / state contract
+  countryCode: String, // ISO 3166-1 alpha-2
+  streetAddress: String,
+  city: String,
+  state: String,
+  stateCode: String,
+  zipCode: String,
+
+  // Duplicate screening (services/fraud.js); flagged orders wait in the review queue
+  status: {
+    type: String,
+    enum: ["active", "flagged", "cancelled"],
+    default: "active",
+    index: true,
+  },
+  ip: { type: String, index: true },
+  fingerprints: {
+    email: { type: String, index: true },
+    address: { type: String, index: true },
+    nameZip: { type: String, index: true },
+  },
+  fraudScore: Number,
+
+  // Gift fulfillment (transitions and the shipped email live in services/fulfillment.js)
+  fulfillmentStatus: {
+    type: String,
+    enum: ["pending", "packed", "shipped", "delivered", "returned"],
+    default: "pending",
+    index: true,
+  },
+  carrier: String,
+  trackingNumber: String,
+  packedAt: Date,
+  shippedAt: Date,
+  deliveredAt: Date,
+  returnedAt: Date,
+  fulfillmentHistory: [
+    {
+      _id: false,
+      from: String,
+      to: String,
+      carrier: String,
+      trackingNumber: String,
+      note: String,
+      by: String, // Admin email or name
+      at: { type: Date, default: Date.now },
+    },
+  ],
+ 
+  createdAt: { type: Date, default: Date.now },
+});
+
+let Order;
+
+if (mongoose.models.Order) {
+  Order = mongoose.model("Order");
+} else {
+  Order = mongoose.model("Order", OrderSchema);
+}
+
+module.exports = Order;
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Durable outbox for transactional emails (claim confirmations, admin notifications)
+const OutboxMessageSchema = new Schema({
+  // What the message is for
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  orderId: {
+    type: String,
+    index: true
+  },
+
+  // Nodemailer mail options (to, subject, html or template + context, ...)
+  mailOptions: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+
+  // Delivery state
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'dead'],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date,
+  lastError: String,
+  sentAt: Date,
+  provider: String,
+  providerMessageId: String,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+OutboxMessageSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for the delivery worker
+OutboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+let OutboxMessage;
+
+if (mongoose.models.OutboxMessage) {
+  OutboxMessage = mongoose.model("OutboxMessage");
+} else {
+  OutboxMessage = mongoose.model("OutboxMessage", OutboxMessageSchema);
+}
+
+module.exports = OutboxMessage;
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Address that must not receive feedback emails (unsubscribed or added by an admin)
+const SuppressionSchema = new Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['unsubscribe', 'manual', 'bounce', 'complaint'],
+    default: 'manual'
+  },
+  // Where the opt-out came from: email link, mail client one-click header, or the admin
+  source: {
+    type: String,
+    enum: ['link', 'one-click', 'admin'],
+    default: 'admin'
+  },
+  orderId: String, // Tracker whose email carried the unsubscribe link
+  note: String,
+  addedBy: {
+    id: Schema.Types.ObjectId,
+    email: String,
+    name: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+let Suppression;
+
+if (mongoose.models.Suppression) {
+  Suppression = mongoose.model("Suppression");
+} else {
+  Suppression = mongoose.model("Suppression", SuppressionSchema);
+}
+
+module.exports = Suppression;
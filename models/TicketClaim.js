@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Ticket draw entries submitted through /claim-ticket
+const TicketClaimSchema = new Schema({
+  campaignKey: { type: String, index: true }, // Campaign the entry belongs to
+  orderId: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  email: { type: String, required: true },
+  phoneNumber: String,
+ 
+  asin: { type: String }, // Product ASIN
+  productName: { type: String }, // Product name from Amazon
+  productUrl: { type: String }, // Amazon product URL
+
+  // Cancelled and flagged entries are left out of winner draws (services/draws.js)
+  status: {
+    type: String,
+    enum: ["active", "flagged", "cancelled"],
+    default: "active",
+    index: true,
+  },
+  statusReason: String,
+  statusChangedAt: Date,
+
+  // Duplicate screening (services/fraud.js)
+  ip: { type: String, index: true },
+  fingerprints: {
+    email: { type: String, index: true },
+  },
+  fraudScore: Number,
+  createdAt: { type: Date, default: Date.now },
+});
+
+let TicketClaim;
+
+if (mongoose.models.TicketClaim) {
+  TicketClaim = mongoose.model("TicketClaim");
+} else {
+  TicketClaim = mongoose.model("TicketClaim", TicketClaimSchema);
+}
+
+module.exports = TicketClaim;
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One event sent (or to be sent) to one webhook subscription, retried like the email outbox
+const WebhookDeliverySchema = new Schema({
+  subscriptionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+    index: true
+  },
+
+  // What happened; eventId is shared by every delivery of the same event
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+  eventId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  redeliveryOf: {
+    type: Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+
+  // Delivery state
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'delivered', 'dead'],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date,
+  lastError: String,
+  deliveredAt: Date,
+
+  // Last response from the endpoint
+  responseStatus: Number,
+  responseBody: String, // Truncated
+  durationMs: Number,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+WebhookDeliverySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for the delivery worker and the per-subscription log
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+let WebhookDelivery;
+
+if (mongoose.models.WebhookDelivery) {
+  WebhookDelivery = mongoose.model("WebhookDelivery");
+} else {
+  WebhookDelivery = mongoose.model("WebhookDelivery", WebhookDeliverySchema);
+}
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Outgoing webhook endpoint that other tools register to hear about claim and tracker events
+const WebhookSubscriptionSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, 'URL must start with http:// or https://']
+  },
+
+  // Shared secret for the X-Webhook-Signature header (see services/webhooks.js).
+  // Only returned when the subscription is created or the secret is rotated.
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Event names from WEBHOOK_EVENTS this endpoint wants
+  events: {
+    type: [String],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Choose at least one event'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  description: String,
+
+  createdBy: {
+    id: String,
+    email: String,
+    name: String
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+WebhookSubscriptionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+let WebhookSubscription;
+
+if (mongoose.models.WebhookSubscription) {
+  WebhookSubscription = mongoose.model("WebhookSubscription");
+} else {
+  WebhookSubscription = mongoose.model("WebhookSubscription", WebhookSubscriptionSchema);
+}
+
+module.exports = WebhookSubscription;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { Parser } = require('json2csv');
+const AuditLog = require('../../models/AuditLog');
+const { verifyAdminAuth, requireRole } = require('../../middleware/adminAuth');
+const { buildAuditQuery } = require('../../services/audit');
+
+const EXPORT_LIMIT = 50000;
+
+/**
+ * GET /api/admin/audit-log
+ * Filtered, paginated audit entries (newest first)
+ */
+router.get('/audit-log', verifyAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const query = buildAuditQuery(req.query);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit-log/export?format=csv|json
+ * Download the filtered audit entries
+ */
+router.get('/audit-log/export', verifyAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const entries = await AuditLog.find(buildAuditQuery(req.query))
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    const filename = `audit-log-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    if (format === 'json') {
+      res.header('Content-Type', 'application/json');
+      res.attachment(filename);
+      return res.send(JSON.stringify(entries, null, 2));
+    }
+
+    const fields = [
+      { label: 'Time', value: row => new Date(row.createdAt).toISOString() },
+      { label: 'Actor', value: row => (row.actor && (row.actor.email || row.actor.name)) || '' },
+      { label: 'Role', value: 'actor.role' },
+      { label: 'Via', value: 'actor.via' },
+      { label: 'Action', value: 'action' },
+      { label: 'Target Type', value: 'targetType' },
+      { label: 'Target ID', value: 'targetId' },
+      { label: 'Changes', value: row => JSON.stringify(row.changes || []) },
+      { label: 'Details', value: row => (row.metadata ? JSON.stringify(row.metadata) : '') },
+      { label: 'IP', value: 'ip' },
+      { label: 'Path', value: row => `${row.method || ''} ${row.path || ''}`.trim() }
+    ];
+    const csv = new Parser({ fields }).parse(entries);
+
+    res.header('Content-Type', 'text/csv');
+    res.attachment(filename);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
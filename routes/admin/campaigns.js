@@ -0,0 +1,296 @@
+const express = require('express');
+const router = express.Router();
+const Campaign = require('../../models/Campaign');
+const Order = require('../../models/Order');
+const TicketClaim = require('../../models/TicketClaim');
+const FeedbackTracker = require('../../models/FeedbackTracker');
+const { BUILT_IN_CAMPAIGNS, getCampaign, listCampaigns, clearOriginCache } = require('../../services/campaigns');
+const { listSequences } = require('../../services/sequences');
+const { verifyAdminAuth, requireRole } = require('../../middleware/adminAuth');
+const audit = require('../../services/audit');
+
+// Helper: List field from a request body (array or comma/newline separated string)
+const parseList = (value) => {
+  if (value === undefined) return undefined;
+  const items = Array.isArray(value) ? value : String(value).split(/[\n,]/);
+  return items.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Helper: Optional date from a request body
+const parseDate = (value) => (value ? new Date(value) : null);
+
+// Helper: Optional number from a request body ('' clears it)
+const parseNumber = (value) => (value === '' || value === null || value === undefined ? null : value);
+
+// Helper: Copy editable fields from a request body onto a campaign
+const applyFields = (campaign, body) => {
+  const fields = ['name', 'flow', 'adminNotificationSubject', 'isActive'];
+  fields.forEach(field => {
+    if (body[field] !== undefined) campaign[field] = body[field];
+  });
+
+  if (body.sequenceKey !== undefined) campaign.sequenceKey = body.sequenceKey || null;
+  if (body.startsAt !== undefined) campaign.startsAt = parseDate(body.startsAt);
+  if (body.endsAt !== undefined) campaign.endsAt = parseDate(body.endsAt);
+  if (body.allowedOrigins !== undefined) campaign.allowedOrigins = parseList(body.allowedOrigins);
+  if (body.eligibleAsins !== undefined) campaign.eligibleAsins = parseList(body.eligibleAsins);
+
+  if (body.eligibility) {
+    const rules = body.eligibility;
+    campaign.eligibility = {
+      orderStatuses: parseList(rules.orderStatuses) || [],
+      minOrderAgeDays: parseNumber(rules.minOrderAgeDays),
+      maxOrderAgeDays: parseNumber(rules.maxOrderAgeDays),
+      marketplaceIds: parseList(rules.marketplaceIds) || [],
+      buyerCountries: (parseList(rules.buyerCountries) || []).map(code => code.toUpperCase())
+    };
+  }
+
+  if (body.confirmation) {
+    campaign.confirmation = {
+      ...(campaign.toObject().confirmation || {}),
+      ...body.confirmation
+    };
+  }
+};
+
+// Helper: Reject sequence keys that don't exist
+const checkSequence = async (sequenceKey) => {
+  if (!sequenceKey) return null;
+  const sequences = await listSequences();
+  return sequences.some(sequence => sequence.key === sequenceKey)
+    ? null
+    : `Follow-up sequence "${sequenceKey}" does not exist`;
+};
+
+/**
+ * GET /api/admin/campaigns
+ * List campaigns with the number of claims linked to each
+ */
+router.get('/campaigns', verifyAdminAuth, async (req, res) => {
+  try {
+    const [campaigns, orders, claims, trackers] = await Promise.all([
+      listCampaigns(),
+      Order.aggregate([{ $group: { _id: '$campaignKey', count: { $sum: 1 } } }]),
+      TicketClaim.aggregate([{ $group: { _id: '$campaignKey', count: { $sum: 1 } } }]),
+      FeedbackTracker.aggregate([{ $group: { _id: '$campaignKey', count: { $sum: 1 } } }])
+    ]);
+
+    const usage = {};
+    const addCounts = (results, field) => results.forEach(r => {
+      usage[r._id] = usage[r._id] || { orders: 0, claims: 0, trackers: 0 };
+      usage[r._id][field] = r.count;
+    });
+    addCounts(orders, 'orders');
+    addCounts(claims, 'claims');
+    addCounts(trackers, 'trackers');
+
+    res.json({
+      success: true,
+      campaigns,
+      usage
+    });
+
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/campaigns/:key
+ * Get single campaign
+ */
+router.get('/campaigns/:key', verifyAdminAuth, async (req, res) => {
+  try {
+    const campaign = await getCampaign(req.params.key);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      campaign
+    });
+
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/campaigns
+ * Create a campaign
+ */
+router.post('/campaigns', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const { key, name, flow } = req.body;
+
+    if (!key || !name || !flow) {
+      return res.status(400).json({
+        success: false,
+        error: 'Key, name and flow are required'
+      });
+    }
+
+    if (await Campaign.exists({ key }) || BUILT_IN_CAMPAIGNS.some(c => c.key === key)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A campaign with this key already exists'
+      });
+    }
+
+    const sequenceError = await checkSequence(req.body.sequenceKey);
+    if (sequenceError) {
+      return res.status(400).json({
+        success: false,
+        error: sequenceError
+      });
+    }
+
+    const campaign = new Campaign({ key });
+    applyFields(campaign, req.body);
+    await campaign.save();
+    clearOriginCache();
+    await audit.record(req, {
+      action: 'campaign.create',
+      targetType: 'Campaign',
+      targetId: campaign.key,
+      after: campaign
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created',
+      campaign
+    });
+
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/campaigns/:key
+ * Update a campaign (saving a built-in campaign stores an override).
+ * Existing claims and trackers stay linked by key.
+ */
+router.put('/campaigns/:key', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const campaign = await getCampaign(req.params.key);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    const sequenceError = await checkSequence(req.body.sequenceKey);
+    if (sequenceError) {
+      return res.status(400).json({
+        success: false,
+        error: sequenceError
+      });
+    }
+
+    const before = audit.snapshot(campaign);
+    applyFields(campaign, req.body);
+    await campaign.save();
+    clearOriginCache();
+    await audit.record(req, {
+      action: 'campaign.update',
+      targetType: 'Campaign',
+      targetId: campaign.key,
+      before,
+      after: campaign
+    });
+
+    res.json({
+      success: true,
+      message: 'Campaign updated',
+      campaign
+    });
+
+  } catch (error) {
+    console.error('Error updating campaign:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/campaigns/:key
+ * Delete a campaign that has no claims (deactivate it otherwise).
+ * Deleting an override of a built-in campaign restores the built-in settings.
+ */
+router.delete('/campaigns/:key', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const key = req.params.key;
+    const campaign = await Campaign.findOne({ key });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: BUILT_IN_CAMPAIGNS.some(c => c.key === key)
+          ? 'Built-in campaigns cannot be deleted - deactivate them instead'
+          : 'Campaign not found'
+      });
+    }
+
+    const isBuiltIn = BUILT_IN_CAMPAIGNS.some(c => c.key === key);
+    if (!isBuiltIn) {
+      const [orders, claims] = await Promise.all([
+        Order.countDocuments({ campaignKey: key }),
+        TicketClaim.countDocuments({ campaignKey: key })
+      ]);
+
+      if (orders + claims > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `This campaign has ${orders + claims} claims - deactivate it instead`
+        });
+      }
+    }
+
+    await campaign.deleteOne();
+    clearOriginCache();
+    await audit.record(req, {
+      action: isBuiltIn ? 'campaign.reset' : 'campaign.delete',
+      targetType: 'Campaign',
+      targetId: key,
+      before: campaign
+    });
+
+    res.json({
+      success: true,
+      message: isBuiltIn ? 'Campaign reset to built-in settings' : 'Campaign deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Draw = require('../../models/Draw');
+const draws = require('../../services/draws');
+const { verifyAdminAuth, requireRole } = require('../../middleware/adminAuth');
+const audit = require('../../services/audit');
+
+// Helper: Load a draw by id, or null
+const findDraw = (id) => (mongoose.isValidObjectId(id) ? Draw.findById(id) : null);
+
+/**
+ * GET /api/admin/draws
+ * Past draws, newest first (without the entrant snapshot)
+ */
+router.get('/draws', verifyAdminAuth, async (req, res) => {
+  try {
+    const query = {};
+    if (typeof req.query.campaign === 'string' && req.query.campaign) {
+      query.campaignKey = req.query.campaign;
+    }
+
+    const list = await Draw.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200));
+
+    res.json({
+      success: true,
+      draws: list
+    });
+
+  } catch (error) {
+    console.error('Error fetching draws:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/draws/eligible
+ * How many entrants a draw with these filters would include
+ */
+router.get('/draws/eligible', verifyAdminAuth, async (req, res) => {
+  try {
+    const { options, error } = draws.parseDrawOptions({ ...req.query, winnerCount: 1 });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errorCode: error.code
+      });
+    }
+
+    const { entrants, excluded } = await draws.getEligibleEntrants(options);
+
+    res.json({
+      success: true,
+      eligible: entrants.length,
+      excluded
+    });
+
+  } catch (error) {
+    console.error('Error counting eligible entrants:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/draws/:id
+ * One draw with its entrant snapshot and a fresh verification of the result
+ */
+router.get('/draws/:id', verifyAdminAuth, async (req, res) => {
+  try {
+    const draw = await findDraw(req.params.id);
+
+    if (!draw) {
+      return res.status(404).json({
+        success: false,
+        error: 'Draw not found'
+      });
+    }
+
+    const entrants = await draws.getEntrants(draw);
+
+    res.json({
+      success: true,
+      draw: { ...draw.toObject(), entrants },
+      verification: draws.verifyDraw(draw, entrants)
+    });
+
+  } catch (error) {
+    console.error('Error fetching draw:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/draws
+ * Draw winners: { name, campaign, startDate, endDate, winnerCount, seed }.
+ * A random seed is generated when none is given.
+ */
+router.post('/draws', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const { draw, error } = await draws.runDraw(req.body, req.admin);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errorCode: error.code
+      });
+    }
+
+    await audit.record(req, {
+      action: 'draw.run',
+      targetType: 'Draw',
+      targetId: draw._id,
+      metadata: {
+        name: draw.name,
+        campaignKey: draw.campaignKey,
+        startDate: draw.startDate,
+        endDate: draw.endDate,
+        seed: draw.seed,
+        entrantCount: draw.entrantCount,
+        entrantsHash: draw.entrantsHash,
+        excluded: draw.excluded,
+        winners: draw.winners.map(winner => winner.orderId)
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Drew ${draw.winners.length} winner(s) from ${draw.entrantCount} entrants`,
+      draw
+    });
+
+  } catch (error) {
+    console.error('Error running draw:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/draws/:id/winners/:orderId/disqualify
+ * Disqualify a winner ({ reason }) and redraw their place
+ */
+router.post('/draws/:id/winners/:orderId/disqualify', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const draw = await findDraw(req.params.id);
+
+    if (!draw) {
+      return res.status(404).json({
+        success: false,
+        error: 'Draw not found'
+      });
+    }
+
+    const result = await draws.redraw(draw, req.params.orderId, req.body, req.admin);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error.message,
+        errorCode: result.error.code
+      });
+    }
+
+    await audit.record(req, {
+      action: 'draw.redraw',
+      targetType: 'Draw',
+      targetId: draw._id,
+      metadata: {
+        disqualified: req.params.orderId,
+        reason: result.disqualified.disqualifyReason,
+        replacement: result.replacement ? result.replacement.orderId : null,
+        passedOver: result.replacement ? result.replacement.passedOver : []
+      }
+    });
+
+    res.json({
+      success: true,
+      message: result.replacement
+        ? `${req.params.orderId} disqualified; ${result.replacement.orderId} drawn in their place`
+        : `${req.params.orderId} disqualified; no eligible entrants left to redraw`,
+      draw,
+      replacement: result.replacement
+    });
+
+  } catch (error) {
+    console.error('Error redrawing winner:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAdminAuth } = require('../../middleware/adminAuth');
+const audit = require('../../services/audit');
+const exportService = require('../../services/exports');
+
+/**
+ * GET /api/admin/exports
+ * Export types with their columns, plus the supported formats
+ */
+router.get('/exports', verifyAdminAuth, (req, res) => {
+  res.json({
+    success: true,
+    ...exportService.describeExports()
+  });
+});
+
+/**
+ * GET /api/admin/exports/:type
+ * Stream claims, orders or trackers as csv, xlsx, json or ndjson.
+ * Query: format, fields (comma-separated columns), sortBy, sortOrder and the
+ * same filters as the type's dashboard (see services/filters.js).
+ */
+router.get('/exports/:type', verifyAdminAuth, async (req, res) => {
+  const { options, error } = exportService.parseExportOptions(req.params.type, req.query);
+
+  if (error) {
+    return res.status(error.code === exportService.EXPORT_ERRORS.UNKNOWN_EXPORT ? 404 : 400).json({
+      success: false,
+      error: error.message,
+      errorCode: error.code
+    });
+  }
+
+  const spec = exportService.EXPORT_TYPES[options.type];
+  let count = 0;
+  let completed = false;
+  try {
+    count = await exportService.streamExport(res, options);
+    completed = true;
+  } catch (streamError) {
+    console.error(`Error exporting ${options.type}:`, streamError);
+    // Once rows have gone out the response can only be cut short
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({
+        success: false,
+        error: streamError.message
+      });
+    } else {
+      res.destroy();
+    }
+  }
+
+  await audit.record(req, {
+    action: spec.auditAction,
+    targetType: spec.auditTarget,
+    metadata: { format: options.format, fields: options.fields, filters: options.filters, count, completed }
+  });
+});
+
+module.exports = router;
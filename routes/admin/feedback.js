@@ -1,22 +1,43 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const FeedbackTracker = require('../../models/FeedbackTracker');
 const EmailTemplate = require('../../models/FeedbackTracker').EmailTemplate;
-const fs = require('fs');
-const path = require('path');
+const { listSequences, listTemplateKeys } = require('../../services/sequences');
+const {
+  getBuiltInTemplate,
+  renderFeedbackEmail,
+  sendTestEmail,
+  sendFeedbackEmail,
+  checkManualSend,
+  SAMPLE_TRACKER
+} = require('../../services/emailScheduler');
+const { verifyAdminAuth, requireRole, hasRole } = require('../../middleware/adminAuth');
+const audit = require('../../services/audit');
+const templateVersions = require('../../services/templateVersions');
+const { getEngagementStats } = require('../../services/emailTracking');
+const reviewImport = require('../../services/reviewImport');
+const bulkTrackers = require('../../services/bulkTrackers');
+const trackerSchedule = require('../../services/trackerSchedule');
+const { buildTrackerQuery } = require('../../services/filters');
+const analytics = require('../../services/analytics');
+const webhooks = require('../../services/webhooks');
 
-// Simple admin authentication middleware - Single token approach
-const verifyAdminAuth = (req, res, next) => {
-  const token = req.headers['x-admin-token'] || req.query.token;
-  
-  if (!token || token !== process.env.ADMIN_SECRET_TOKEN) {
-    return res.status(401).json({
+// Review exports are read from memory (nothing is written to disk on Vercel)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Helper: Single "file" upload that answers upload errors (too large etc.) as JSON
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    res.status(400).json({
       success: false,
-      error: 'Unauthorized. Invalid admin token.'
+      error: error.message
     });
-  }
-  
-  next();
+  });
 };
 
 /**
@@ -28,21 +49,9 @@ router.get('/feedback-trackers', verifyAdminAuth, async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
-    const status = req.query.status; // pending, reviewed, unreviewed, cancelled
-    const search = req.query.search || '';
     
-    // Build query
-    const query = {};
-    if (status) {
-      query.status = status;
-    }
-    if (search) {
-      query.$or = [
-        { orderId: { $regex: search, $options: 'i' } },
-        { customerName: { $regex: search, $options: 'i' } },
-        { customerEmail: { $regex: search, $options: 'i' } }
-      ];
-    }
+    // Build query (status, search, campaign, sequence, dates; shared with the exports)
+    const query = buildTrackerQuery(req.query);
     
     const [trackers, total] = await Promise.all([
       FeedbackTracker.find(query)
@@ -129,9 +138,9 @@ router.get('/feedback-trackers/:orderId', verifyAdminAuth, async (req, res) => {
  * PUT /api/admin/feedback-trackers/:orderId/mark-reviewed
  * Mark a tracker as reviewed (stops all future emails)
  */
-router.put('/feedback-trackers/:orderId/mark-reviewed', verifyAdminAuth, async (req, res) => {
+router.put('/feedback-trackers/:orderId/mark-reviewed', verifyAdminAuth, requireRole('operator'), async (req, res) => {
   try {
-    const { dayNumber } = req.body; // 3, 7, 14, or 30
+    const { dayNumber } = req.body; // delayDays of the step the review followed
     
     const tracker = await FeedbackTracker.findOne({ 
       orderId: req.params.orderId 
@@ -144,7 +153,17 @@ router.put('/feedback-trackers/:orderId/mark-reviewed', verifyAdminAuth, async (
       });
     }
     
+    const before = audit.snapshot(tracker);
     await tracker.markAsReviewed(dayNumber);
+    await audit.record(req, {
+      action: 'tracker.mark-reviewed',
+      targetType: 'FeedbackTracker',
+      targetId: tracker.orderId,
+      before,
+      after: tracker,
+      metadata: { dayNumber }
+    });
+    await webhooks.publish('tracker.reviewed', { ...webhooks.describeTracker(tracker), source: 'admin' });
     
     res.json({
       success: true,
@@ -165,7 +184,7 @@ router.put('/feedback-trackers/:orderId/mark-reviewed', verifyAdminAuth, async (
  * PUT /api/admin/feedback-trackers/:orderId/mark-unreviewed
  * Manually mark a tracker as unreviewed
  */
-router.put('/feedback-trackers/:orderId/mark-unreviewed', verifyAdminAuth, async (req, res) => {
+router.put('/feedback-trackers/:orderId/mark-unreviewed', verifyAdminAuth, requireRole('operator'), async (req, res) => {
   try {
     const tracker = await FeedbackTracker.findOne({ 
       orderId: req.params.orderId 
@@ -178,7 +197,16 @@ router.put('/feedback-trackers/:orderId/mark-unreviewed', verifyAdminAuth, async
       });
     }
     
+    const before = audit.snapshot(tracker);
     await tracker.markAsUnreviewed();
+    await audit.record(req, {
+      action: 'tracker.mark-unreviewed',
+      targetType: 'FeedbackTracker',
+      targetId: tracker.orderId,
+      before,
+      after: tracker
+    });
+    await webhooks.publish('tracker.unreviewed', { ...webhooks.describeTracker(tracker), source: 'admin' });
     
     res.json({
       success: true,
@@ -199,7 +227,7 @@ router.put('/feedback-trackers/:orderId/mark-unreviewed', verifyAdminAuth, async
  * PUT /api/admin/feedback-trackers/:orderId/cancel
  * Cancel all emails for a tracker
  */
-router.put('/feedback-trackers/:orderId/cancel', verifyAdminAuth, async (req, res) => {
+router.put('/feedback-trackers/:orderId/cancel', verifyAdminAuth, requireRole('operator'), async (req, res) => {
   try {
     const { notes } = req.body;
     
@@ -214,7 +242,16 @@ router.put('/feedback-trackers/:orderId/cancel', verifyAdminAuth, async (req, re
       });
     }
     
+    const before = audit.snapshot(tracker);
     await tracker.cancelEmails(notes);
+    await audit.record(req, {
+      action: 'tracker.cancel',
+      targetType: 'FeedbackTracker',
+      targetId: tracker.orderId,
+      before,
+      after: tracker
+    });
+    await webhooks.publish('tracker.cancelled', { ...webhooks.describeTracker(tracker), source: 'admin' });
     
     res.json({
       success: true,
@@ -233,9 +270,11 @@ router.put('/feedback-trackers/:orderId/cancel', verifyAdminAuth, async (req, re
 
 /**
  * PUT /api/admin/feedback-trackers/:orderId/reactivate
- * Reactivate a cancelled tracker
+ * Reactivate a cancelled tracker. Its remaining emails are rescheduled from
+ * startDate (default today) with the sequence's gaps, so dates that passed
+ * while it was cancelled don't expire on the next scheduler run.
  */
-router.put('/feedback-trackers/:orderId/reactivate', verifyAdminAuth, async (req, res) => {
+router.put('/feedback-trackers/:orderId/reactivate', verifyAdminAuth, requireRole('operator'), async (req, res) => {
   try {
     const tracker = await FeedbackTracker.findOne({ 
       orderId: req.params.orderId 
@@ -248,14 +287,33 @@ router.put('/feedback-trackers/:orderId/reactivate', verifyAdminAuth, async (req
       });
     }
     
-    tracker.isActive = true;
-    tracker.status = 'pending';
+    const before = audit.snapshot(tracker);
+    const result = trackerSchedule.reactivate(tracker, req.body.startDate);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error.message,
+        errorCode: result.error.code
+      });
+    }
+    
     await tracker.save();
+    await audit.record(req, {
+      action: 'tracker.reactivate',
+      targetType: 'FeedbackTracker',
+      targetId: tracker.orderId,
+      before,
+      after: tracker,
+      metadata: { changes: result.changes }
+    });
     
     res.json({
       success: true,
-      message: 'Tracker reactivated',
-      tracker
+      message: result.changes.length
+        ? `Tracker reactivated; ${result.changes.length} remaining emails rescheduled`
+        : 'Tracker reactivated (no emails left to send)',
+      tracker,
+      changes: result.changes
     });
     
   } catch (error) {
@@ -267,23 +325,408 @@ router.put('/feedback-trackers/:orderId/reactivate', verifyAdminAuth, async (req
   }
 });
 
+// Helper: Route handler that applies a schedule change (see services/trackerSchedule.js),
+// saves the tracker and records it in the audit log
+const scheduleChange = (auditAction, change, describe) => async (req, res) => {
+  try {
+    const tracker = await FeedbackTracker.findOne({ 
+      orderId: req.params.orderId 
+    });
+    
+    if (!tracker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feedback tracker not found'
+      });
+    }
+    
+    const before = audit.snapshot(tracker);
+    const result = change(tracker, req.body);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error.message,
+        errorCode: result.error.code
+      });
+    }
+    
+    await tracker.save();
+    await audit.record(req, {
+      action: auditAction,
+      targetType: 'FeedbackTracker',
+      targetId: tracker.orderId,
+      before,
+      after: tracker,
+      metadata: { changes: result.changes }
+    });
+    
+    res.json({
+      success: true,
+      message: describe(result),
+      tracker,
+      changes: result.changes
+    });
+    
+  } catch (error) {
+    console.error(`Error updating tracker schedule (${auditAction}):`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/admin/feedback-trackers/:orderId/snooze
+ * Postpone the remaining emails so none goes out for { days } days
+ */
+router.put('/feedback-trackers/:orderId/snooze', verifyAdminAuth, requireRole('operator'), scheduleChange(
+  'tracker.snooze',
+  (tracker, body) => trackerSchedule.snooze(tracker, body.days),
+  (result) => `${result.changes.length} emails postponed by ${result.days} days`
+));
+
+/**
+ * PUT /api/admin/feedback-trackers/:orderId/schedule
+ * Set custom dates for individual steps: { steps: { stepKey: "YYYY-MM-DD" } }.
+ * A skipped step given a date is scheduled again (not when suppressed).
+ */
+router.put('/feedback-trackers/:orderId/schedule', verifyAdminAuth, requireRole('operator'), scheduleChange(
+  'tracker.reschedule',
+  (tracker, body) => trackerSchedule.setStepDates(tracker, body.steps),
+  (result) => `${result.changes.length} emails rescheduled`
+));
+
+/**
+ * PUT /api/admin/feedback-trackers/:orderId/rebuild-schedule
+ * Lay out the remaining emails again from { startDate } (default today),
+ * keeping the gaps between the sequence's steps
+ */
+router.put('/feedback-trackers/:orderId/rebuild-schedule', verifyAdminAuth, requireRole('operator'), scheduleChange(
+  'tracker.rebuild-schedule',
+  (tracker, body) => trackerSchedule.rebuildSchedule(tracker, body.startDate),
+  (result) => `${result.changes.length} emails rescheduled from ${result.startDate.toDateString()}`
+));
+
+/**
+ * POST /api/admin/feedback-trackers/:orderId/steps/:stepKey/send
+ * Send (or resend) one step's email now. If the step was already sent, the
+ * customer was emailed recently or the tracker is not pending, nothing is
+ * sent and 409 lists the warnings; repeat with { force: true } to send anyway.
+ * A step that is being sent at the same moment is never sent twice.
+ */
+router.post('/feedback-trackers/:orderId/steps/:stepKey/send', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const tracker = await FeedbackTracker.findOne({ 
+      orderId: req.params.orderId 
+    });
+    
+    if (!tracker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feedback tracker not found'
+      });
+    }
+    
+    const step = tracker.getEmailStep(req.params.stepKey);
+    if (!step) {
+      return res.status(404).json({
+        success: false,
+        error: `This tracker has no "${req.params.stepKey}" step`
+      });
+    }
+    
+    const force = req.body.force === true || req.body.force === 'true';
+    const warnings = checkManualSend(tracker, step);
+    if (warnings.length > 0 && !force) {
+      return res.status(409).json({
+        success: false,
+        error: `${warnings.map(warning => warning.message).join('. ')}. Send anyway?`,
+        errorCode: warnings[0].code,
+        warnings,
+        requiresConfirmation: true
+      });
+    }
+    
+    const before = audit.snapshot(tracker);
+    const resend = Boolean(step.sent);
+    const result = await sendFeedbackEmail(tracker, step.stepKey, { trigger: 'manual', admin: req.admin, resend });
+    
+    if (result.busy) {
+      return res.status(409).json({
+        success: false,
+        error: result.error,
+        errorCode: 'SEND_IN_PROGRESS'
+      });
+    }
+    
+    await audit.record(req, {
+      action: 'tracker.send-email',
+      targetType: 'FeedbackTracker',
+      targetId: tracker.orderId,
+      before,
+      after: tracker,
+      metadata: {
+        stepKey: step.stepKey,
+        resend,
+        warnings: warnings.map(warning => warning.code),
+        success: result.success,
+        messageId: result.emailId,
+        error: result.error || result.reason
+      }
+    });
+    
+    if (result.skipped) {
+      return res.status(400).json({
+        success: false,
+        error: resend
+          ? `${tracker.customerEmail} is suppressed; the ${step.stepKey} email was not resent`
+          : `${tracker.customerEmail} is suppressed; the ${step.stepKey} email was skipped`,
+        errorCode: 'SUPPRESSED',
+        tracker
+      });
+    }
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        error: `Sending failed: ${result.error}`,
+        tracker
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `${step.stepKey} email ${resend ? 'resent' : 'sent'} to ${tracker.customerEmail}`,
+      messageId: result.emailId,
+      tracker
+    });
+    
+  } catch (error) {
+    console.error('Error sending feedback email:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/feedback-trackers/import-reviews
+ * Match an Amazon review export (CSV/JSON upload as "file", or JSON body
+ * { reviews: [...] }) against trackers. Dry run by default; send dryRun=false
+ * to mark the matched trackers as reviewed. resolutions ({ rowNumber: orderId })
+ * picks the tracker for rows the dry run reported as ambiguous.
+ */
+router.post('/feedback-trackers/import-reviews', verifyAdminAuth, requireRole('operator'), uploadFile, async (req, res) => {
+  try {
+    const dryRun = !(req.body.dryRun === false || req.body.dryRun === 'false');
+    
+    let rows;
+    let resolutions = {};
+    try {
+      if (req.file) {
+        rows = reviewImport.parseReviewFile(req.file.buffer, req.file.originalname);
+      } else if (Array.isArray(req.body.reviews)) {
+        rows = reviewImport.parseReviewFile(JSON.stringify(req.body.reviews), 'reviews.json');
+      } else {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload a CSV or JSON file of reviews'
+        });
+      }
+      
+      if (req.body.resolutions) {
+        resolutions = typeof req.body.resolutions === 'string'
+          ? JSON.parse(req.body.resolutions)
+          : req.body.resolutions;
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not read the review file: ${error.message}`
+      });
+    }
+    
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The review file has no rows'
+      });
+    }
+    
+    const { summary, report } = await reviewImport.matchReviews(rows, resolutions);
+    
+    if (!dryRun) {
+      summary.reviewed = await reviewImport.applyReviews(report, async (entry, before, tracker) => {
+        await audit.record(req, {
+          action: 'tracker.mark-reviewed',
+          targetType: 'FeedbackTracker',
+          targetId: tracker.orderId,
+          before,
+          after: tracker,
+          metadata: {
+            dayNumber: entry.reviewedOnDay,
+            source: 'review-import',
+            row: entry.row,
+            reviewDate: entry.reviewDate
+          }
+        });
+        await webhooks.publish('tracker.reviewed', { ...webhooks.describeTracker(tracker), source: 'review-import' });
+      });
+      await audit.record(req, {
+        action: 'tracker.import-reviews',
+        targetType: 'FeedbackTracker',
+        metadata: {
+          file: req.file ? req.file.originalname : null,
+          ...summary
+        }
+      });
+    }
+    
+    res.json({
+      success: true,
+      dryRun,
+      message: dryRun
+        ? `Dry run: ${summary.matched} of ${summary.total} rows would mark a tracker as reviewed`
+        : `${summary.reviewed} trackers marked as reviewed`,
+      summary,
+      report: reviewImport.toReport(report)
+    });
+    
+  } catch (error) {
+    console.error('Error importing reviews:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/feedback-trackers/bulk
+ * Run one action (mark-reviewed, mark-unreviewed, cancel, reactivate, delete)
+ * on many trackers. Pick them with orderIds: [...], a CSV of order IDs
+ * uploaded as "file", or filters: { search, status, campaign, sequence,
+ * startDate, endDate }. Dry run by default; send dryRun=false to apply.
+ * Options: dayNumber (mark-reviewed), notes (cancel).
+ */
+router.post('/feedback-trackers/bulk', verifyAdminAuth, requireRole('operator'), uploadFile, async (req, res) => {
+  try {
+    const dryRun = !(req.body.dryRun === false || req.body.dryRun === 'false');
+    const actionKey = req.body.action;
+    const action = bulkTrackers.BULK_ACTIONS[actionKey];
+    
+    if (!action) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown action; use one of ${Object.keys(bulkTrackers.BULK_ACTIONS).join(', ')}`,
+        errorCode: bulkTrackers.BULK_ERRORS.UNKNOWN_ACTION
+      });
+    }
+    
+    if (!hasRole(req.admin, action.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `This action requires the ${action.role} role.`
+      });
+    }
+    
+    let orderIds;
+    let filters;
+    try {
+      if (req.file) {
+        orderIds = bulkTrackers.parseOrderIdFile(req.file.buffer);
+      } else if (req.body.orderIds !== undefined) {
+        orderIds = Array.isArray(req.body.orderIds) ? req.body.orderIds : String(req.body.orderIds).split(/[\s,]+/);
+      }
+      if (req.body.filters) {
+        filters = typeof req.body.filters === 'string' ? JSON.parse(req.body.filters) : req.body.filters;
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not read the selection: ${error.message}`
+      });
+    }
+    
+    const selection = await bulkTrackers.selectTrackers({ orderIds, filters });
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        error: selection.error.message,
+        errorCode: selection.error.code
+      });
+    }
+    
+    const plan = bulkTrackers.planAction(actionKey, selection.trackers, selection.orderIds);
+    
+    if (!dryRun) {
+      const options = {
+        dayNumber: req.body.dayNumber !== undefined && req.body.dayNumber !== '' ? Number(req.body.dayNumber) : undefined,
+        notes: req.body.notes || undefined
+      };
+      await bulkTrackers.applyAction(actionKey, plan, options, async (entry, before, tracker) => {
+        await audit.record(req, {
+          action: action.auditAction,
+          targetType: 'FeedbackTracker',
+          targetId: tracker.orderId,
+          before,
+          after: actionKey === 'delete' ? undefined : tracker,
+          metadata: { bulk: true }
+        });
+        if (action.event) {
+          await webhooks.publish(action.event, { ...webhooks.describeTracker(tracker), source: 'bulk' });
+        }
+      });
+    }
+    
+    const summary = bulkTrackers.summarize(plan);
+    
+    res.json({
+      success: true,
+      dryRun,
+      action: actionKey,
+      message: dryRun
+        ? `Dry run: ${action.label.toLowerCase()} would apply to ${summary.ready} of ${summary.total} trackers`
+        : `${action.label}: ${summary.updated} of ${summary.total} trackers updated`,
+      summary,
+      results: bulkTrackers.toResults(plan)
+    });
+    
+  } catch (error) {
+    console.error('Error running bulk tracker action:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/admin/feedback-trackers/:orderId
  * Delete a feedback tracker (use with caution)
  */
-router.delete('/feedback-trackers/:orderId', verifyAdminAuth, async (req, res) => {
+router.delete('/feedback-trackers/:orderId', verifyAdminAuth, requireRole('owner'), async (req, res) => {
   try {
-    const result = await FeedbackTracker.deleteOne({ 
+    const tracker = await FeedbackTracker.findOne({ 
       orderId: req.params.orderId 
     });
     
-    if (result.deletedCount === 0) {
+    if (!tracker) {
       return res.status(404).json({
         success: false,
         error: 'Feedback tracker not found'
       });
     }
     
+    await tracker.deleteOne();
+    await audit.record(req, {
+      action: 'tracker.delete',
+      targetType: 'FeedbackTracker',
+      targetId: tracker.orderId,
+      before: tracker
+    });
+    
     res.json({
       success: true,
       message: 'Feedback tracker deleted'
@@ -300,7 +743,7 @@ router.delete('/feedback-trackers/:orderId', verifyAdminAuth, async (req, res) =
 
 /**
  * GET /api/admin/feedback-stats
- * Get dashboard statistics
+ * Get dashboard statistics (engagement = opens and clicks of sent emails)
  */
 router.get('/feedback-stats', verifyAdminAuth, async (req, res) => {
   try {
@@ -324,31 +767,28 @@ router.get('/feedback-stats', verifyAdminAuth, async (req, res) => {
             }
           ],
           emailsSent: [
-            {
-              $project: {
-                day3Sent: { $cond: ['$emailSchedule.day3.sent', 1, 0] },
-                day7Sent: { $cond: ['$emailSchedule.day7.sent', 1, 0] },
-                day14Sent: { $cond: ['$emailSchedule.day14.sent', 1, 0] },
-                day30Sent: { $cond: ['$emailSchedule.day30.sent', 1, 0] }
-              }
-            },
+            { $unwind: '$emailSteps' },
+            { $match: { 'emailSteps.sent': true } },
             {
               $group: {
-                _id: null,
-                day3: { $sum: '$day3Sent' },
-                day7: { $sum: '$day7Sent' },
-                day14: { $sum: '$day14Sent' },
-                day30: { $sum: '$day30Sent' }
+                _id: {
+                  sequenceKey: '$sequenceKey',
+                  stepKey: '$emailSteps.stepKey'
+                },
+                delayDays: { $first: '$emailSteps.delayDays' },
+                count: { $sum: 1 }
               }
-            }
+            },
+            { $sort: { '_id.sequenceKey': 1, delayDays: 1 } }
           ]
         }
       }
     ]);
+    const engagement = await getEngagementStats();
     
     res.json({
       success: true,
-      stats: stats[0]
+      stats: { ...stats[0], engagement }
     });
     
   } catch (error) {
@@ -360,44 +800,130 @@ router.get('/feedback-stats', verifyAdminAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/feedback-analytics
+ * Review funnel (claim -> each step sent -> reviewed) overall and by weekly
+ * cohort, product and campaign, with failure rates and time to review.
+ * Query: campaign, sequence, startDate, endDate
+ */
+router.get('/feedback-analytics', verifyAdminAuth, async (req, res) => {
+  try {
+    const funnel = await analytics.getFunnel(req.query);
+
+    res.json({
+      success: true,
+      ...funnel
+    });
+
+  } catch (error) {
+    console.error('Error fetching feedback analytics:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Helper: Template key from the URL (legacy day numbers map to "dayN")
+const getTemplateKey = (param) => {
+  const key = /^\d+$/.test(param) ? `day${param}` : param;
+  return /^[a-z0-9_-]+$/i.test(key) ? key : null;
+};
+
+// Helper: Which sequence steps use each template key
+const getTemplateUsage = (sequences) => {
+  const usage = {};
+  sequences.forEach(sequence => {
+    sequence.steps.forEach(step => {
+      usage[step.templateKey] = usage[step.templateKey] || [];
+      usage[step.templateKey].push({
+        sequenceKey: sequence.key,
+        stepKey: step.key,
+        delayDays: step.delayDays
+      });
+    });
+  });
+  return usage;
+};
+
+// Helper: Delay of the first step using a template key (picks the built-in fallback text)
+const getTemplateDelay = async (key) => {
+  const usedBy = getTemplateUsage(await listSequences())[key] || [];
+  return usedBy.length ? usedBy[0].delayDays : 0;
+};
+
+// Helper: Built-in content for a template key
+const getDefaultTemplate = async (key) => getBuiltInTemplate(key, await getTemplateDelay(key));
+
+// Helper: Recipient address check for test sends
+const isEmailAddress = (value) => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
+
+/**
+ * What a preview renders: the tracker (by orderId, otherwise sample data), the step
+ * using the template, and any unsaved subject/htmlContent from the request body.
+ * Returns null when the order has no tracker.
+ */
+const getPreviewContext = async (key, body) => {
+  let tracker = SAMPLE_TRACKER;
+  let step = null;
+  
+  const orderId = typeof body.orderId === 'string' ? body.orderId.trim() : '';
+  if (orderId) {
+    tracker = await FeedbackTracker.findOne({ orderId });
+    if (!tracker) return null;
+    step = tracker.emailSteps.find(s => s.templateKey === key);
+  }
+  
+  // Trackers whose sequence doesn't use this template get a stand-in step
+  if (!step) {
+    step = { stepKey: key, templateKey: key, delayDays: await getTemplateDelay(key) };
+  }
+  
+  const draft = {};
+  ['subject', 'htmlContent'].forEach(field => {
+    if (typeof body[field] === 'string' && body[field].trim()) draft[field] = body[field];
+  });
+  
+  // A draft missing a field falls back to the saved/built-in one for it
+  let source = 'draft';
+  if (!draft.subject && !draft.htmlContent) {
+    source = await EmailTemplate.exists({ key, isActive: true }) ? 'saved' : 'built-in';
+  }
+  
+  return {
+    tracker,
+    step: { stepKey: step.stepKey, templateKey: key, delayDays: step.delayDays },
+    draft,
+    source,
+    orderId: orderId || null
+  };
+};
+
 /**
  * GET /api/admin/email-templates
- * Get all email templates
+ * Get all email templates (saved ones plus built-in defaults for every template key in use)
  */
 router.get('/email-templates', verifyAdminAuth, async (req, res) => {
   try {
-    let templates = await EmailTemplate.find().sort({ day: 1 });
+    const [sequences, keys, dbTemplates] = await Promise.all([
+      listSequences(),
+      listTemplateKeys(),
+      EmailTemplate.find()
+    ]);
+    const usage = getTemplateUsage(sequences);
     
-    // If no templates in DB, load from files
-    if (templates.length === 0) {
-      const days = [3, 7, 14, 30];
-      templates = [];
-      
-      for (const day of days) {
-        const filePath = path.join(__dirname, '..', '..', 'views', 'email', `feedback-day${day}.html`);
-        try {
-          const htmlContent = fs.readFileSync(filePath, 'utf8');
-          
-          // Extract subject from default logic
-          const subjects = {
-            3: '{{customerName}}, how\'s your Study Key product? 🎯',
-            7: 'Quick favor - Share your Study Key experience? 📝',
-            14: '{{customerName}}, your feedback matters to us! 💭',
-            30: 'Final reminder: Share your Study Key review 🌟'
-          };
-          
-          templates.push({
-            day,
-            subject: subjects[day],
-            htmlContent,
-            isActive: false,
-            isFromFile: true
-          });
-        } catch (error) {
-          console.error(`Error loading template file for day ${day}:`, error);
-        }
-      }
-    }
+    const templates = keys.map(key => {
+      const usedBy = usage[key] || [];
+      const dbTemplate = dbTemplates.find(t => t.key === key);
+      const template = dbTemplate
+        ? dbTemplate.toObject()
+        : getBuiltInTemplate(key, usedBy.length ? usedBy[0].delayDays : 0);
+      return { ...template, usedBy };
+    });
+    
+    // Steps in delay order, unused templates last
+    const firstDelay = t => (t.usedBy.length ? Math.min(...t.usedBy.map(u => u.delayDays)) : Infinity);
+    templates.sort((a, b) => firstDelay(a) - firstDelay(b));
     
     res.json({
       success: true,
@@ -414,41 +940,24 @@ router.get('/email-templates', verifyAdminAuth, async (req, res) => {
 });
 
 /**
- * GET /api/admin/email-templates/:day
+ * GET /api/admin/email-templates/:key
  * Get single email template
  */
-router.get('/email-templates/:day', verifyAdminAuth, async (req, res) => {
+router.get('/email-templates/:key', verifyAdminAuth, async (req, res) => {
   try {
-    const day = parseInt(req.params.day);
+    const key = getTemplateKey(req.params.key);
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template key'
+      });
+    }
     
-    let template = await EmailTemplate.findOne({ day });
+    let template = await EmailTemplate.findOne({ key });
     
-    // If not in DB, load from file
+    // If not in DB, use the built-in template
     if (!template) {
-      const filePath = path.join(__dirname, '..', '..', 'views', 'email', `feedback-day${day}.html`);
-      try {
-        const htmlContent = fs.readFileSync(filePath, 'utf8');
-        
-        const subjects = {
-          3: '{{customerName}}, how\'s your Study Key product? 🎯',
-          7: 'Quick favor - Share your Study Key experience? 📝',
-          14: '{{customerName}}, your feedback matters to us! 💭',
-          30: 'Final reminder: Share your Study Key review 🌟'
-        };
-        
-        template = {
-          day,
-          subject: subjects[day],
-          htmlContent,
-          isActive: false,
-          isFromFile: true
-        };
-      } catch (error) {
-        return res.status(404).json({
-          success: false,
-          error: 'Template not found'
-        });
-      }
+      template = await getDefaultTemplate(key);
     }
     
     res.json({
@@ -466,14 +975,21 @@ router.get('/email-templates/:day', verifyAdminAuth, async (req, res) => {
 });
 
 /**
- * PUT /api/admin/email-templates/:day
- * Update or create email template
+ * PUT /api/admin/email-templates/:key
+ * Update or create email template (every save is kept as a version)
  */
-router.put('/email-templates/:day', verifyAdminAuth, async (req, res) => {
+router.put('/email-templates/:key', verifyAdminAuth, requireRole('operator'), async (req, res) => {
   try {
-    const day = parseInt(req.params.day);
+    const key = getTemplateKey(req.params.key);
     const { subject, htmlContent, isActive } = req.body;
     
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template key'
+      });
+    }
+    
     if (!subject || !htmlContent) {
       return res.status(400).json({
         success: false,
@@ -481,30 +997,26 @@ router.put('/email-templates/:day', verifyAdminAuth, async (req, res) => {
       });
     }
     
-    let template = await EmailTemplate.findOne({ day });
-    
-    if (template) {
-      // Update existing
-      template.subject = subject;
-      template.htmlContent = htmlContent;
-      template.isActive = isActive !== undefined ? isActive : true;
-      template.lastModified = new Date();
-      await template.save();
-    } else {
-      // Create new
-      template = new EmailTemplate({
-        day,
-        subject,
-        htmlContent,
-        isActive: isActive !== undefined ? isActive : true
-      });
-      await template.save();
-    }
+    const before = audit.snapshot(await EmailTemplate.findOne({ key }));
+    const { template, version } = await templateVersions.saveTemplate(
+      key,
+      { subject, htmlContent, isActive },
+      req.admin
+    );
+    await audit.record(req, {
+      action: 'template.update',
+      targetType: 'EmailTemplate',
+      targetId: key,
+      before,
+      after: template,
+      metadata: { version: version.version }
+    });
     
     res.json({
       success: true,
       message: 'Email template updated successfully',
-      template
+      template,
+      version: version.version
     });
     
   } catch (error) {
@@ -517,18 +1029,38 @@ router.put('/email-templates/:day', verifyAdminAuth, async (req, res) => {
 });
 
 /**
- * POST /api/admin/email-templates/:day/reset
- * Reset template to default (delete custom from DB)
+ * POST /api/admin/email-templates/:key/reset
+ * Reset template to default (removes the custom template; undo by rolling back)
  */
-router.post('/email-templates/:day/reset', verifyAdminAuth, async (req, res) => {
+router.post('/email-templates/:key/reset', verifyAdminAuth, requireRole('operator'), async (req, res) => {
   try {
-    const day = parseInt(req.params.day);
+    const key = getTemplateKey(req.params.key);
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template key'
+      });
+    }
     
-    await EmailTemplate.deleteOne({ day });
+    const { template, version } = await templateVersions.resetTemplate(
+      key,
+      await getDefaultTemplate(key),
+      req.admin
+    );
+    if (template) {
+      await audit.record(req, {
+        action: 'template.reset',
+        targetType: 'EmailTemplate',
+        targetId: key,
+        before: template,
+        metadata: { version: version.version }
+      });
+    }
     
     res.json({
       success: true,
-      message: 'Email template reset to default'
+      message: 'Email template reset to default',
+      version: version ? version.version : null
     });
     
   } catch (error) {
@@ -540,4 +1072,220 @@ router.post('/email-templates/:day/reset', verifyAdminAuth, async (req, res) =>
   }
 });
 
+/**
+ * GET /api/admin/email-templates/:key/versions
+ * Version history for a template, newest first
+ */
+router.get('/email-templates/:key/versions', verifyAdminAuth, async (req, res) => {
+  try {
+    const key = getTemplateKey(req.params.key);
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template key'
+      });
+    }
+    
+    const versions = await templateVersions.listVersions(key);
+    
+    res.json({
+      success: true,
+      versions
+    });
+    
+  } catch (error) {
+    console.error('Error fetching template versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/email-templates/:key/versions/:version
+ * Single template version with its content
+ */
+router.get('/email-templates/:key/versions/:version', verifyAdminAuth, async (req, res) => {
+  try {
+    const key = getTemplateKey(req.params.key);
+    const version = key && await templateVersions.getVersion(key, parseInt(req.params.version, 10));
+    
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template version not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      version
+    });
+    
+  } catch (error) {
+    console.error('Error fetching template version:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/email-templates/:key/versions/:version/rollback
+ * Restore an earlier version (recorded as a new version)
+ */
+router.post('/email-templates/:key/versions/:version/rollback', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const key = getTemplateKey(req.params.key);
+    const result = key && await templateVersions.rollbackTemplate(
+      key,
+      parseInt(req.params.version, 10),
+      req.admin
+    );
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template version not found'
+      });
+    }
+    
+    await audit.record(req, {
+      action: 'template.rollback',
+      targetType: 'EmailTemplate',
+      targetId: key,
+      before: result.previous,
+      after: result.template,
+      metadata: { restoredFrom: result.version.restoredFrom, version: result.version.version }
+    });
+    
+    res.json({
+      success: true,
+      message: `Template restored from version ${result.version.restoredFrom}`,
+      template: result.template,
+      version: result.version.version
+    });
+    
+  } catch (error) {
+    console.error('Error rolling back template:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/email-templates/:key/preview
+ * Render a template (saved, or the draft subject/htmlContent in the body) for
+ * sample data or the tracker of body.orderId
+ */
+router.post('/email-templates/:key/preview', verifyAdminAuth, async (req, res) => {
+  try {
+    const key = getTemplateKey(req.params.key);
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template key'
+      });
+    }
+    
+    const context = await getPreviewContext(key, req.body);
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feedback tracker not found'
+      });
+    }
+    
+    const { subject, html } = await renderFeedbackEmail(context.step, context.tracker, { draft: context.draft });
+    
+    res.json({
+      success: true,
+      subject,
+      html,
+      source: context.source,
+      orderId: context.orderId,
+      step: context.step
+    });
+    
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/email-templates/:key/test-send
+ * Send the rendered preview to body.to (subject prefixed with [TEST])
+ */
+router.post('/email-templates/:key/test-send', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const key = getTemplateKey(req.params.key);
+    const { to } = req.body;
+    
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template key'
+      });
+    }
+    
+    if (!isEmailAddress(to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid recipient email address is required'
+      });
+    }
+    
+    const context = await getPreviewContext(key, req.body);
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feedback tracker not found'
+      });
+    }
+    
+    const result = await sendTestEmail(to.trim(), context);
+    await audit.record(req, {
+      action: 'template.test-send',
+      targetType: 'EmailTemplate',
+      targetId: key,
+      metadata: {
+        to: to.trim(),
+        source: context.source,
+        orderId: context.orderId,
+        success: result.success,
+        error: result.error
+      }
+    });
+    
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Test email sent to ${to.trim()}`,
+      subject: result.subject,
+      emailId: result.emailId
+    });
+    
+  } catch (error) {
+    console.error('Error sending test email:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const FraudReview = require('../../models/FraudReview');
+const fraud = require('../../services/fraud');
+const { verifyAdminAuth, requireRole } = require('../../middleware/adminAuth');
+const audit = require('../../services/audit');
+
+const STATUSES = FraudReview.schema.path('status').enumValues;
+const TARGET_TYPES = FraudReview.schema.path('targetType').enumValues;
+
+// Helper: Load a review by id, or null
+const findReview = (id) => (mongoose.isValidObjectId(id) ? FraudReview.findById(id) : null);
+
+/**
+ * GET /api/admin/fraud-reviews
+ * Flagged submissions (default: pending, highest score first)
+ */
+router.get('/fraud-reviews', verifyAdminAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const status = STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+
+    const query = { status };
+    if (TARGET_TYPES.includes(req.query.type)) {
+      query.targetType = req.query.type;
+    }
+
+    const [reviews, total, counts] = await Promise.all([
+      FraudReview.find(query)
+        .sort({ score: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FraudReview.countDocuments(query),
+      FraudReview.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const countsObj = {};
+    STATUSES.forEach(s => { countsObj[s] = 0; });
+    counts.forEach(c => { countsObj[c._id] = c.count; });
+
+    res.json({
+      success: true,
+      reviews,
+      counts: countsObj,
+      flagScore: fraud.FLAG_SCORE,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching fraud reviews:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/fraud-reviews/:id
+ * A review with the flagged submission and the submissions it matched
+ */
+router.get('/fraud-reviews/:id', verifyAdminAuth, async (req, res) => {
+  try {
+    const review = await findReview(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review not found'
+      });
+    }
+
+    const { target, matches } = await fraud.getReviewDetails(review);
+
+    res.json({
+      success: true,
+      review,
+      target,
+      matches
+    });
+
+  } catch (error) {
+    console.error('Error fetching fraud review:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Helper: Route handler that records an approve / reject decision
+const decideReview = (decision) => async (req, res) => {
+  try {
+    const review = await findReview(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review not found'
+      });
+    }
+
+    const previous = review.status;
+    const result = await fraud.decide(review, decision, req.body, req.admin);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error.message,
+        errorCode: result.error.code
+      });
+    }
+
+    await audit.record(req, {
+      action: decision === 'approved' ? 'fraud-review.approve' : 'fraud-review.reject',
+      targetType: review.targetType,
+      targetId: review.orderId,
+      before: result.before,
+      after: result.target,
+      metadata: { reviewId: review._id, score: review.score, previousDecision: previous, note: review.note }
+    });
+
+    res.json({
+      success: true,
+      message: `${review.targetType === 'Order' ? 'Order' : 'Ticket claim'} ${review.orderId} ${decision === 'approved' ? 'approved' : 'rejected and cancelled'}`,
+      review
+    });
+
+  } catch (error) {
+    console.error('Error deciding fraud review:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/admin/fraud-reviews/:id/approve
+ * Clear the submission ({ note }); it becomes active again
+ */
+router.post('/fraud-reviews/:id/approve', verifyAdminAuth, requireRole('operator'), decideReview('approved'));
+
+/**
+ * POST /api/admin/fraud-reviews/:id/reject
+ * Reject the submission ({ note }); it is cancelled
+ */
+router.post('/fraud-reviews/:id/reject', verifyAdminAuth, requireRole('operator'), decideReview('rejected'));
+
+module.exports = router;
@@ -0,0 +1,310 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../../models/Order');
+const FraudReview = require('../../models/FraudReview');
+const fulfillment = require('../../services/fulfillment');
+const filters = require('../../services/filters');
+const fraud = require('../../services/fraud');
+const validation = require('../../services/validation');
+const outbox = require('../../services/outbox');
+const { verifyAdminAuth, requireRole } = require('../../middleware/adminAuth');
+const audit = require('../../services/audit');
+
+// Most orders a single bulk update may touch
+const BULK_LIMIT = 200;
+
+// Helper: Carrier choices for the admin UI
+const listCarriers = () => Object.keys(fulfillment.CARRIERS).map(key => ({ key, name: fulfillment.CARRIERS[key].name }));
+
+/**
+ * GET /api/admin/orders
+ * Free-gift orders with search, campaign, date and fulfillment filters
+ * (see services/filters.js) and pagination
+ */
+router.get('/orders', verifyAdminAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const skip = (page - 1) * limit;
+    const query = filters.buildOrderQuery(req.query);
+
+    const [orders, total, stats] = await Promise.all([
+      Order.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Order.countDocuments(query),
+      Order.aggregate([
+        {
+          $group: {
+            _id: { $ifNull: ['$fulfillmentStatus', 'pending'] },
+            count: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+
+    const statsObj = {};
+    fulfillment.STATES.forEach(state => { statsObj[state] = 0; });
+    stats.forEach(s => {
+      statsObj[s._id] = s.count;
+    });
+
+    res.json({
+      success: true,
+      orders,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit
+      },
+      stats: statsObj,
+      states: fulfillment.STATES,
+      transitions: fulfillment.TRANSITIONS,
+      carriers: listCarriers()
+    });
+
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/orders/:orderId
+ * Single order with its fulfillment history and duplicate review
+ */
+router.get('/orders/:orderId', verifyAdminAuth, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const review = await FraudReview.findOne({ targetType: 'Order', orderId: order.orderId });
+
+    res.json({
+      success: true,
+      order,
+      trackingUrl: fulfillment.getTrackingUrl(order.carrier, order.trackingNumber),
+      review,
+      transitions: fulfillment.TRANSITIONS[fulfillment.getStatus(order)],
+      carriers: listCarriers()
+    });
+
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/orders/:orderId
+ * Replace an order's customer and shipping details (same checks as /submit-review)
+ */
+router.put('/orders/:orderId', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const { value, errors } = validation.validate(validation.ORDER_UPDATE_SCHEMA, req.body);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please correct the highlighted fields',
+        fields: errors
+      });
+    }
+
+    const before = audit.snapshot(order);
+    validation.ORDER_UPDATE_FIELDS.forEach(field => {
+      order[field] = value[field];
+    });
+    order.fingerprints = fraud.getFingerprints('Order', order);
+    await order.save();
+
+    await audit.record(req, {
+      action: 'order.update',
+      targetType: 'Order',
+      targetId: order.orderId,
+      before,
+      after: order
+    });
+
+    res.json({
+      success: true,
+      message: 'Order updated',
+      order
+    });
+
+  } catch (error) {
+    console.error('Error updating order:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/orders/:orderId/fulfillment
+ * Move one order to a new state ({ status, carrier, trackingNumber, note }).
+ * Marking it shipped emails the customer their tracking details.
+ */
+router.put('/orders/:orderId/fulfillment', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const before = audit.snapshot(order);
+    const result = await fulfillment.updateFulfillment(order, req.body, req.admin);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error.message,
+        errorCode: result.error.code
+      });
+    }
+
+    await audit.record(req, {
+      action: 'order.fulfillment',
+      targetType: 'Order',
+      targetId: order.orderId,
+      before,
+      after: order,
+      metadata: { from: result.from, to: result.to, emailQueued: result.queued.length > 0 }
+    });
+
+    res.json({
+      success: true,
+      message: `Order moved from ${result.from} to ${result.to}` + (result.queued.length ? '; shipping email queued' : ''),
+      order
+    });
+
+    outbox.deliverInBackground(result.queued);
+
+  } catch (error) {
+    console.error('Error updating order fulfillment:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/orders/fulfillment/bulk
+ * Move several orders to the same state. Body:
+ *   { status, note, carrier, orders: [{ orderId, carrier, trackingNumber }] }
+ * (or orderIds: [...] when no per-order tracking is needed). Each order is
+ * updated on its own; the response lists what happened to every one.
+ */
+router.post('/orders/fulfillment/bulk', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const { status, note, carrier } = req.body;
+    const entries = Array.isArray(req.body.orders)
+      ? req.body.orders
+      : (Array.isArray(req.body.orderIds) ? req.body.orderIds.map(orderId => ({ orderId })) : []);
+    const items = entries.filter(entry => entry && typeof entry.orderId === 'string' && entry.orderId);
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Select at least one order'
+      });
+    }
+
+    if (items.length > BULK_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `Update at most ${BULK_LIMIT} orders at a time`
+      });
+    }
+
+    const orders = await Order.find({ orderId: { $in: items.map(item => item.orderId) } });
+    const results = [];
+    const queued = [];
+
+    for (const item of items) {
+      const order = orders.find(o => o.orderId === item.orderId);
+      if (!order) {
+        results.push({ orderId: item.orderId, success: false, error: 'Order not found' });
+        continue;
+      }
+
+      try {
+        const before = audit.snapshot(order);
+        const result = await fulfillment.updateFulfillment(order, {
+          status,
+          note,
+          carrier: item.carrier || carrier,
+          trackingNumber: item.trackingNumber
+        }, req.admin);
+
+        if (result.error) {
+          results.push({ orderId: order.orderId, success: false, error: result.error.message, errorCode: result.error.code });
+          continue;
+        }
+
+        queued.push(...result.queued);
+        await audit.record(req, {
+          action: 'order.fulfillment',
+          targetType: 'Order',
+          targetId: order.orderId,
+          before,
+          after: order,
+          metadata: { from: result.from, to: result.to, emailQueued: result.queued.length > 0, bulk: true }
+        });
+        results.push({ orderId: order.orderId, success: true, from: result.from, to: result.to });
+      } catch (error) {
+        results.push({ orderId: order.orderId, success: false, error: error.message });
+      }
+    }
+
+    const updated = results.filter(r => r.success).length;
+
+    res.json({
+      success: true,
+      message: `${updated} of ${items.length} orders moved to ${status}`,
+      updated,
+      failed: items.length - updated,
+      emailsQueued: queued.length,
+      results
+    });
+
+    outbox.deliverInBackground(queued);
+
+  } catch (error) {
+    console.error('Error bulk updating order fulfillment:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const OutboxMessage = require('../../models/OutboxMessage');
+const outbox = require('../../services/outbox');
+const { verifyAdminAuth, requireRole } = require('../../middleware/adminAuth');
+const audit = require('../../services/audit');
+
+/**
+ * GET /api/admin/outbox
+ * List outbox messages with filtering and pagination
+ */
+router.get('/outbox', verifyAdminAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const status = req.query.status; // pending, sending, sent, dead
+    const search = req.query.search || '';
+    
+    // Build query
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (search) {
+      query.$or = [
+        { orderId: { $regex: search, $options: 'i' } },
+        { 'mailOptions.to': { $regex: search, $options: 'i' } }
+      ];
+    }
+    
+    const [messages, total, stats] = await Promise.all([
+      OutboxMessage.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      OutboxMessage.countDocuments(query),
+      OutboxMessage.aggregate([
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+    
+    const statsObj = {
+      pending: 0,
+      sending: 0,
+      sent: 0,
+      dead: 0
+    };
+    stats.forEach(s => {
+      statsObj[s._id] = s.count;
+    });
+    
+    res.json({
+      success: true,
+      messages,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit
+      },
+      stats: statsObj
+    });
+    
+  } catch (error) {
+    console.error('Error fetching outbox messages:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/outbox/process
+ * Run the delivery worker now instead of waiting for the cron
+ */
+router.post('/outbox/process', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const results = await outbox.processOutbox();
+    await audit.record(req, {
+      action: 'outbox.process',
+      targetType: 'OutboxMessage',
+      metadata: results
+    });
+    
+    res.json({
+      success: true,
+      results
+    });
+    
+  } catch (error) {
+    console.error('Error processing outbox:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/outbox/retry-dead
+ * Requeue every dead-lettered message
+ */
+router.post('/outbox/retry-dead', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const result = await OutboxMessage.updateMany(
+      { status: 'dead' },
+      {
+        $set: {
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          lockedUntil: null,
+          updatedAt: new Date()
+        }
+      }
+    );
+    await audit.record(req, {
+      action: 'outbox.retry-dead',
+      targetType: 'OutboxMessage',
+      metadata: { requeued: result.modifiedCount }
+    });
+    
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} messages requeued`,
+      requeued: result.modifiedCount
+    });
+    
+  } catch (error) {
+    console.error('Error requeuing dead messages:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/outbox/:id/retry
+ * Requeue a single message and try to deliver it immediately
+ */
+router.post('/outbox/:id/retry', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const message = await outbox.requeue(req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Outbox message not found'
+      });
+    }
+    
+    const [result] = await outbox.deliverNow([message]);
+    await audit.record(req, {
+      action: 'outbox.retry',
+      targetType: 'OutboxMessage',
+      targetId: message._id,
+      metadata: { orderId: message.orderId, type: message.type, result }
+    });
+    
+    res.json({
+      success: true,
+      message: result && result.success ? 'Message sent' : 'Message requeued',
+      result
+    });
+    
+  } catch (error) {
+    console.error('Error retrying outbox message:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const FeedbackTracker = require('../../models/FeedbackTracker');
+const FollowUpSequence = require('../../models/FollowUpSequence');
+const { DEFAULT_SEQUENCE, getSequence, listSequences, migrateLegacyData } = require('../../services/sequences');
+const { verifyAdminAuth, requireRole } = require('../../middleware/adminAuth');
+const audit = require('../../services/audit');
+
+// Helper: Steps from a request body
+const parseSteps = (steps) => {
+  if (!Array.isArray(steps)) return steps;
+  return steps.map(step => ({
+    key: step.key,
+    label: step.label,
+    delayDays: parseInt(step.delayDays, 10),
+    templateKey: step.templateKey || step.key
+  }));
+};
+
+// Helper: Make one sequence the default for new trackers
+const setDefault = async (sequence) => {
+  await FollowUpSequence.updateMany(
+    { _id: { $ne: sequence._id }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+};
+
+/**
+ * GET /api/admin/sequences
+ * List follow-up sequences with the number of trackers using each
+ */
+router.get('/sequences', verifyAdminAuth, async (req, res) => {
+  try {
+    const [sequences, usage] = await Promise.all([
+      listSequences(),
+      FeedbackTracker.aggregate([
+        {
+          $group: {
+            _id: { sequenceKey: '$sequenceKey', status: '$status' },
+            count: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+
+    const trackerCounts = {};
+    usage.forEach(u => {
+      const counts = trackerCounts[u._id.sequenceKey] = trackerCounts[u._id.sequenceKey] || { total: 0 };
+      counts[u._id.status] = u.count;
+      counts.total += u.count;
+    });
+
+    res.json({
+      success: true,
+      sequences,
+      trackerCounts
+    });
+
+  } catch (error) {
+    console.error('Error fetching sequences:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/sequences/:key
+ * Get single sequence
+ */
+router.get('/sequences/:key', verifyAdminAuth, async (req, res) => {
+  try {
+    const sequence = await getSequence(req.params.key);
+
+    if (!sequence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sequence not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      sequence
+    });
+
+  } catch (error) {
+    console.error('Error fetching sequence:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/sequences
+ * Create a sequence
+ */
+router.post('/sequences', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const { key, name, description, steps, isDefault, isActive } = req.body;
+
+    if (!key || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Key and name are required'
+      });
+    }
+
+    if (await FollowUpSequence.exists({ key })) {
+      return res.status(409).json({
+        success: false,
+        error: 'A sequence with this key already exists'
+      });
+    }
+
+    const sequence = new FollowUpSequence({
+      key,
+      name,
+      description,
+      steps: parseSteps(steps),
+      isDefault: !!isDefault,
+      isActive: isActive !== undefined ? isActive : true
+    });
+    await sequence.save();
+
+    if (sequence.isDefault) {
+      await setDefault(sequence);
+    }
+    await audit.record(req, {
+      action: 'sequence.create',
+      targetType: 'FollowUpSequence',
+      targetId: sequence.key,
+      after: sequence
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sequence created',
+      sequence
+    });
+
+  } catch (error) {
+    console.error('Error creating sequence:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/sequences/:key
+ * Update a sequence (saving "default" overrides the built-in sequence).
+ * Existing trackers keep the steps they were created with.
+ */
+router.put('/sequences/:key', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const { name, description, steps, isDefault, isActive } = req.body;
+
+    let sequence = await FollowUpSequence.findOne({ key: req.params.key });
+
+    if (!sequence) {
+      if (req.params.key !== DEFAULT_SEQUENCE.key) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sequence not found'
+        });
+      }
+
+      // First edit of the built-in sequence
+      sequence = new FollowUpSequence({
+        key: DEFAULT_SEQUENCE.key,
+        name: DEFAULT_SEQUENCE.name,
+        description: DEFAULT_SEQUENCE.description,
+        steps: DEFAULT_SEQUENCE.steps,
+        isDefault: !(await FollowUpSequence.exists({ isDefault: true, isActive: true }))
+      });
+    }
+
+    const before = audit.snapshot(sequence);
+    if (name !== undefined) sequence.name = name;
+    if (description !== undefined) sequence.description = description;
+    if (steps !== undefined) sequence.steps = parseSteps(steps);
+    if (isActive !== undefined) sequence.isActive = isActive;
+    if (isDefault !== undefined) sequence.isDefault = isDefault;
+    await sequence.save();
+
+    if (sequence.isDefault) {
+      await setDefault(sequence);
+    }
+    await audit.record(req, {
+      action: 'sequence.update',
+      targetType: 'FollowUpSequence',
+      targetId: sequence.key,
+      before,
+      after: sequence
+    });
+
+    res.json({
+      success: true,
+      message: 'Sequence updated',
+      sequence
+    });
+
+  } catch (error) {
+    console.error('Error updating sequence:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/sequences/:key
+ * Delete a sequence (trackers created from it keep their own copy of the steps)
+ */
+router.delete('/sequences/:key', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const sequence = await FollowUpSequence.findOne({ key: req.params.key });
+
+    if (!sequence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sequence not found'
+      });
+    }
+
+    if (sequence.isDefault) {
+      return res.status(400).json({
+        success: false,
+        error: 'Make another sequence the default before deleting this one'
+      });
+    }
+
+    await sequence.deleteOne();
+    await audit.record(req, {
+      action: 'sequence.delete',
+      targetType: 'FollowUpSequence',
+      targetId: sequence.key,
+      before: sequence
+    });
+
+    res.json({
+      success: true,
+      message: 'Sequence deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting sequence:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/sequences/migrate
+ * Convert trackers and templates still on the fixed day 3/7/14/30 layout
+ */
+router.post('/sequences/migrate', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const results = await migrateLegacyData();
+    await audit.record(req, {
+      action: 'sequence.migrate',
+      targetType: 'FeedbackTracker',
+      metadata: results
+    });
+
+    res.json({
+      success: true,
+      message: `Migrated ${results.trackers} trackers and ${results.templates} templates`,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error migrating legacy feedback data:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
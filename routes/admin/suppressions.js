@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const Suppression = require('../../models/Suppression');
+const FeedbackTracker = require('../../models/FeedbackTracker');
+const suppressions = require('../../services/suppressions');
+const { verifyAdminAuth, requireRole } = require('../../middleware/adminAuth');
+const audit = require('../../services/audit');
+
+const REASONS = Suppression.schema.path('reason').enumValues;
+
+// Helper: Escape user input for a regex filter
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * GET /api/admin/suppressions
+ * Suppressed addresses with search and pagination (newest first)
+ */
+router.get('/suppressions', verifyAdminAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    const reason = typeof req.query.reason === 'string' ? req.query.reason : '';
+
+    const query = {};
+    if (search) {
+      query.email = { $regex: escapeRegex(search), $options: 'i' };
+    }
+    if (REASONS.includes(reason)) {
+      query.reason = reason;
+    }
+
+    const [entries, total] = await Promise.all([
+      Suppression.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Suppression.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      suppressions: entries,
+      reasons: REASONS,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching suppressions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/suppressions
+ * Stop feedback emails to an address
+ */
+router.post('/suppressions', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const { email, reason, note } = req.body;
+    const normalized = suppressions.normalizeEmail(typeof email === 'string' ? email : '');
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email address is required'
+      });
+    }
+
+    if (reason !== undefined && !REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `Reason must be one of: ${REASONS.join(', ')}`
+      });
+    }
+
+    const { suppression, created } = await suppressions.suppress(normalized, {
+      reason: reason || 'manual',
+      source: 'admin',
+      note: typeof note === 'string' ? note.trim() : undefined,
+      admin: req.admin
+    });
+
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        error: 'This address is already suppressed',
+        suppression
+      });
+    }
+
+    await audit.record(req, {
+      action: 'suppression.add',
+      targetType: 'Suppression',
+      targetId: suppression.email,
+      after: suppression
+    });
+
+    // Let the admin know how many active trackers this stops
+    const activeTrackers = await FeedbackTracker.countDocuments({
+      customerEmail: { $regex: `^${escapeRegex(suppression.email)}$`, $options: 'i' },
+      isActive: true
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${suppression.email} will no longer receive feedback emails`,
+      suppression,
+      activeTrackers
+    });
+
+  } catch (error) {
+    console.error('Error adding suppression:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/suppressions/:email
+ * Allow feedback emails to an address again (steps already skipped stay skipped)
+ */
+router.delete('/suppressions/:email', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const suppression = await suppressions.unsuppress(req.params.email);
+
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        error: 'Address is not suppressed'
+      });
+    }
+
+    await audit.record(req, {
+      action: 'suppression.remove',
+      targetType: 'Suppression',
+      targetId: suppression.email,
+      before: suppression
+    });
+
+    res.json({
+      success: true,
+      message: `${suppression.email} removed from the suppression list`
+    });
+
+  } catch (error) {
+    console.error('Error removing suppression:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,256 @@
+const express = require('express');
+const router = express.Router();
+const AdminUser = require('../../models/AdminUser');
+const { destroyUserSessions } = require('../../services/adminSessions');
+const { verifyAdminAuth, requireRole } = require('../../middleware/adminAuth');
+const audit = require('../../services/audit');
+
+// Helper: Would this change leave no active owner?
+const isLastOwner = async (user) => {
+  if (user.role !== 'owner' || !user.isActive) return false;
+  const owners = await AdminUser.countDocuments({ role: 'owner', isActive: true });
+  return owners <= 1;
+};
+
+/**
+ * GET /api/admin/me
+ * Who is signed in
+ */
+router.get('/me', verifyAdminAuth, (req, res) => {
+  const { csrfToken, token, ...admin } = req.admin;
+  res.json({
+    success: true,
+    admin
+  });
+});
+
+/**
+ * PUT /api/admin/me/password
+ * Change your own password (ends your other sessions)
+ */
+router.put('/me/password', verifyAdminAuth, async (req, res) => {
+  try {
+    if (req.admin.via !== 'session') {
+      return res.status(400).json({
+        success: false,
+        error: 'Log in with an admin account to change its password'
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await AdminUser.findById(req.admin.id);
+
+    if (!user || !(await user.verifyPassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    await user.setPassword(newPassword);
+    await user.save();
+    await destroyUserSessions(user._id);
+    await audit.record(req, {
+      action: 'admin-user.change-password',
+      targetType: 'AdminUser',
+      targetId: user.email
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed. Please log in again.'
+    });
+
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users
+ * List admin accounts
+ */
+router.get('/users', verifyAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const users = await AdminUser.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      users,
+      roles: AdminUser.ROLES
+    });
+
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users
+ * Create an admin account
+ */
+router.post('/users', verifyAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    if (await AdminUser.exists({ email: String(email).toLowerCase().trim() })) {
+      return res.status(409).json({
+        success: false,
+        error: 'An admin with this email already exists'
+      });
+    }
+
+    const user = new AdminUser({ email, name, role });
+    await user.setPassword(password);
+    await user.save();
+    await audit.record(req, {
+      action: 'admin-user.create',
+      targetType: 'AdminUser',
+      targetId: user.email,
+      after: user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin created',
+      user
+    });
+
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id
+ * Change an admin's name, role, active flag or password.
+ * Role, password and deactivation changes end the user's sessions.
+ */
+router.put('/users/:id', verifyAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const { name, role, isActive, password } = req.body;
+    const user = await AdminUser.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    const demoting = (role !== undefined && role !== 'owner') || isActive === false;
+    if (demoting && await isLastOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Keep at least one active owner'
+      });
+    }
+
+    const endSessions = (role !== undefined && role !== user.role) || isActive === false || !!password;
+
+    const before = audit.snapshot(user);
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (isActive !== undefined) user.isActive = isActive;
+    if (password) await user.setPassword(password);
+    await user.save();
+
+    if (endSessions) {
+      await destroyUserSessions(user._id);
+    }
+    await audit.record(req, {
+      action: 'admin-user.update',
+      targetType: 'AdminUser',
+      targetId: user.email,
+      before,
+      after: user,
+      metadata: { passwordChanged: !!password }
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin updated',
+      user
+    });
+
+  } catch (error) {
+    console.error('Error updating admin user:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id
+ * Delete an admin account
+ */
+router.delete('/users/:id', verifyAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const user = await AdminUser.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (req.admin.id && user._id.equals(req.admin.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot delete your own account'
+      });
+    }
+
+    if (await isLastOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Keep at least one active owner'
+      });
+    }
+
+    await user.deleteOne();
+    await destroyUserSessions(user._id);
+    await audit.record(req, {
+      action: 'admin-user.delete',
+      targetType: 'AdminUser',
+      targetId: user.email,
+      before: user
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,382 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const WebhookSubscription = require('../../models/WebhookSubscription');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const webhooks = require('../../services/webhooks');
+const { verifyAdminAuth, requireRole } = require('../../middleware/adminAuth');
+const audit = require('../../services/audit');
+
+const DELIVERY_STATUSES = WebhookDelivery.schema.path('status').enumValues;
+
+// Helper: Event list from a request body (array or comma/newline separated string)
+const parseEvents = (value) => {
+  if (value === undefined) return undefined;
+  const items = Array.isArray(value) ? value : String(value).split(/[\n,]/);
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+};
+
+// Helper: Copy editable fields from a request body onto a subscription.
+// Returns an error message for unknown events.
+const applyFields = (subscription, body) => {
+  ['name', 'url', 'description', 'isActive'].forEach(field => {
+    if (body[field] !== undefined) subscription[field] = body[field];
+  });
+
+  const events = parseEvents(body.events);
+  if (events !== undefined) {
+    const unknown = events.filter(event => !webhooks.WEBHOOK_EVENTS[event]);
+    if (unknown.length) return `Unknown events: ${unknown.join(', ')}`;
+    subscription.events = events;
+  }
+  return null;
+};
+
+// Helper: Look up a subscription from the :id param (null for malformed ids)
+const findSubscription = (id, select) => {
+  if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+  const query = WebhookSubscription.findById(id);
+  return select ? query.select(select) : query;
+};
+
+/**
+ * GET /api/admin/webhooks
+ * Subscriptions with delivery counts per status, plus the events they can pick from
+ */
+router.get('/webhooks', verifyAdminAuth, async (req, res) => {
+  try {
+    const [subscriptions, counts] = await Promise.all([
+      WebhookSubscription.find().sort({ createdAt: -1 }),
+      WebhookDelivery.aggregate([
+        {
+          $group: {
+            _id: { subscriptionId: '$subscriptionId', status: '$status' },
+            count: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      subscriptions: subscriptions.map(subscription => {
+        const stats = {};
+        DELIVERY_STATUSES.forEach(status => { stats[status] = 0; });
+        counts
+          .filter(c => String(c._id.subscriptionId) === String(subscription._id))
+          .forEach(c => { stats[c._id.status] = c.count; });
+        return { ...subscription.toObject(), stats };
+      }),
+      events: webhooks.WEBHOOK_EVENTS
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks
+ * Create a subscription ({ name, url, events, description }). The response is
+ * the only time the signing secret is shown.
+ */
+router.post('/webhooks', verifyAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const subscription = new WebhookSubscription({
+      secret: webhooks.createSecret(),
+      createdBy: { id: req.admin.id, email: req.admin.email, name: req.admin.name }
+    });
+
+    const eventError = applyFields(subscription, req.body);
+    if (eventError) {
+      return res.status(400).json({
+        success: false,
+        error: eventError
+      });
+    }
+
+    await subscription.save();
+    await audit.record(req, {
+      action: 'webhook.create',
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id,
+      after: subscription
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created - copy the signing secret now, it will not be shown again',
+      subscription: { ...subscription.toObject(), secret: undefined },
+      secret: subscription.secret
+    });
+
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/webhooks/:id
+ * Update a subscription's name, URL, events, description or active flag
+ */
+router.put('/webhooks/:id', verifyAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const before = audit.snapshot(subscription);
+    const eventError = applyFields(subscription, req.body);
+    if (eventError) {
+      return res.status(400).json({
+        success: false,
+        error: eventError
+      });
+    }
+
+    await subscription.save();
+    await audit.record(req, {
+      action: 'webhook.update',
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id,
+      before,
+      after: subscription
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook updated',
+      subscription
+    });
+
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/rotate-secret
+ * Replace the signing secret; the new one is returned once
+ */
+router.post('/webhooks/:id/rotate-secret', verifyAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id, '+secret');
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    subscription.secret = webhooks.createSecret();
+    await subscription.save();
+    await audit.record(req, {
+      action: 'webhook.rotate-secret',
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Signing secret replaced - copy it now, it will not be shown again',
+      secret: subscription.secret
+    });
+
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:id
+ * Delete a subscription and its delivery log
+ */
+router.delete('/webhooks/:id', verifyAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    await subscription.deleteOne();
+    const { deletedCount } = await WebhookDelivery.deleteMany({ subscriptionId: subscription._id });
+    await audit.record(req, {
+      action: 'webhook.delete',
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id,
+      before: subscription,
+      metadata: { deliveriesDeleted: deletedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/test
+ * Send a webhook.test event to the subscription now and report the response
+ */
+router.post('/webhooks/:id/test', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const delivery = await webhooks.queueTest(subscription, req.admin);
+    const [result] = await webhooks.deliverNow([delivery]);
+    await audit.record(req, {
+      action: 'webhook.test',
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id,
+      metadata: { deliveryId: delivery._id, result }
+    });
+
+    res.json({
+      success: true,
+      message: result && result.success ? `Test delivered (HTTP ${result.responseStatus})` : 'Test failed - it will be retried',
+      result
+    });
+
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/:id/deliveries
+ * Delivery log for one subscription with status/event filters and pagination
+ */
+router.get('/webhooks/:id/deliveries', verifyAdminAuth, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const query = { subscriptionId: subscription._id };
+    if (DELIVERY_STATUSES.includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+    if (typeof req.query.event === 'string' && req.query.event) {
+      query.event = req.query.event;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      subscription,
+      deliveries,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/deliveries/:id/redeliver
+ * Send a logged delivery's payload again (as a new delivery) and try it immediately
+ */
+router.post('/webhooks/deliveries/:id/redeliver', verifyAdminAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const delivery = mongoose.isValidObjectId(req.params.id) ? await webhooks.redeliver(req.params.id) : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    const [result] = await webhooks.deliverNow([delivery]);
+    await audit.record(req, {
+      action: 'webhook.redeliver',
+      targetType: 'WebhookDelivery',
+      targetId: delivery.redeliveryOf,
+      metadata: { subscriptionId: delivery.subscriptionId, event: delivery.event, deliveryId: delivery._id, result }
+    });
+
+    res.json({
+      success: true,
+      message: result && result.success ? `Redelivered (HTTP ${result.responseStatus})` : 'Redelivery failed - it will be retried',
+      result
+    });
+
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
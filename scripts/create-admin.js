@@ -0,0 +1,53 @@
+/**
+ * Create (or reset the password of) an admin account.
+ *
+ * Usage: npm run admin:create -- <email> [viewer|operator|owner]
+ * The password is read from ADMIN_PASSWORD, or prompted for.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const readline = require('readline');
+const AdminUser = require('../models/AdminUser');
+
+const ask = (question) => new Promise(resolve => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.question(question, answer => {
+    rl.close();
+    resolve(answer);
+  });
+});
+
+(async () => {
+  const [email, role = 'owner'] = process.argv.slice(2);
+
+  if (!email || !AdminUser.ROLES.includes(role)) {
+    console.error(`Usage: npm run admin:create -- <email> [${AdminUser.ROLES.join('|')}]`);
+    process.exit(1);
+  }
+
+  try {
+    const password = process.env.ADMIN_PASSWORD || await ask('Password (10+ characters): ');
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000
+    });
+    console.log('MongoDB connected');
+
+    let user = await AdminUser.findOne({ email: email.toLowerCase().trim() });
+    const isNew = !user;
+    if (isNew) user = new AdminUser({ email });
+
+    user.role = role;
+    user.isActive = true;
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`✓ ${isNew ? 'Created' : 'Updated'} ${role} ${user.email}`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('✗ Could not create admin:', error.message);
+    process.exit(1);
+  }
+})();
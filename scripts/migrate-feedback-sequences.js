@@ -0,0 +1,29 @@
+/**
+ * One-off migration: convert feedback trackers and email templates from the
+ * fixed day 3/7/14/30 layout to follow-up sequences.
+ *
+ * Usage: npm run migrate:sequences
+ * (also runs automatically on database connection until it has completed once)
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { migrateLegacyData } = require('../services/sequences');
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000
+    });
+    console.log('MongoDB connected');
+
+    const results = await migrateLegacyData();
+    console.log(`✓ Trackers migrated: ${results.trackers}`);
+    console.log(`✓ Templates migrated: ${results.templates}`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('✗ Migration failed:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const AdminUser = require('../models/AdminUser');
+const AdminSession = require('../models/AdminSession');
+
+const SESSION = {
+  COOKIE_NAME: 'studykey_admin',
+  DURATION: (parseInt(process.env.ADMIN_SESSION_HOURS, 10) || 12) * 60 * 60 * 1000
+};
+
+// Helper: Hash a session token before it touches the database
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Helper: Constant-time string comparison
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Whether the shared ADMIN_SECRET_TOKEN is still accepted.
+ * On by default when the token is set; ADMIN_TOKEN_AUTH=false turns it off
+ * once named accounts exist.
+ */
+function isTokenAuthEnabled() {
+  return !!process.env.ADMIN_SECRET_TOKEN && process.env.ADMIN_TOKEN_AUTH !== 'false';
+}
+
+/**
+ * Check a token against ADMIN_SECRET_TOKEN (false when token mode is off)
+ */
+function checkAdminToken(token) {
+  return !!token && isTokenAuthEnabled() && safeEqual(token, process.env.ADMIN_SECRET_TOKEN);
+}
+
+/**
+ * Cookies from the request header (no cookie-parser dependency)
+ */
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (error) {
+      // Ignore malformed cookies
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Check email + password; returns the user or null
+ */
+async function authenticate(email, password) {
+  const user = await AdminUser.findOne({ email: String(email || '').toLowerCase().trim(), isActive: true });
+  if (!user || !(await user.verifyPassword(password))) return null;
+  return user;
+}
+
+/**
+ * Start a session for a user and set the cookie
+ */
+async function createSession(user, req, res) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const session = await AdminSession.create({
+    tokenHash: hashToken(token),
+    user: user._id,
+    csrfToken: crypto.randomBytes(24).toString('hex'),
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    expiresAt: new Date(Date.now() + SESSION.DURATION)
+  });
+
+  await AdminUser.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+
+  res.cookie(SESSION.COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || process.env.NODE_ENV === 'production',
+    maxAge: SESSION.DURATION,
+    path: '/'
+  });
+
+  return session;
+}
+
+/**
+ * Session (with its user) for the request's cookie, or null
+ */
+async function findSession(req) {
+  const token = parseCookies(req)[SESSION.COOKIE_NAME];
+  if (!token) return null;
+
+  const session = await AdminSession.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  }).populate('user');
+
+  if (!session || !session.user || !session.user.isActive) return null;
+  return session;
+}
+
+/**
+ * End the request's session and clear the cookie
+ */
+async function destroySession(req, res) {
+  const token = parseCookies(req)[SESSION.COOKIE_NAME];
+  if (token) {
+    await AdminSession.deleteOne({ tokenHash: hashToken(token) });
+  }
+  res.clearCookie(SESSION.COOKIE_NAME, { path: '/' });
+}
+
+/**
+ * Log a user out everywhere (after a password or role change)
+ */
+async function destroyUserSessions(userId) {
+  await AdminSession.deleteMany({ user: userId });
+}
+
+module.exports = {
+  SESSION,
+  isTokenAuthEnabled,
+  checkAdminToken,
+  parseCookies,
+  authenticate,
+  createSession,
+  findSession,
+  destroySession,
+  destroyUserSessions,
+  safeEqual
+};
@@ -0,0 +1,227 @@
+const FeedbackTracker = require('../models/FeedbackTracker');
+const { buildTrackerQuery } = require('./filters');
+
+/**
+ * Review funnel analytics for the feedback follow-up
+ *
+ * Every tracker is a claim entering the funnel: claim -> each sequence step
+ * sent -> reviewed. The funnel is reported overall and broken down by weekly
+ * submission cohort (ISO week), by product (ASIN) and by campaign. A review is
+ * credited to the last step sent before it (reviewedOnDay is that step's
+ * delayDays; 0 means the customer reviewed before the first email), which is
+ * what shows which steps actually produce reviews.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time-to-review histogram buckets, in whole days since the claim
+const REVIEW_TIME_BUCKETS = [
+  { label: '0-3 days', min: 0, max: 3 },
+  { label: '4-7 days', min: 4, max: 7 },
+  { label: '8-14 days', min: 8, max: 14 },
+  { label: '15-30 days', min: 15, max: 30 },
+  { label: '31-60 days', min: 31, max: 60 },
+  { label: 'Over 60 days', min: 61, max: Infinity }
+];
+
+// Breakdowns: grouping expression and how a row is labelled
+const DIMENSIONS = {
+  cohorts: { group: { $dateToString: { format: '%G-W%V', date: '$submissionDate' } } },
+  products: { group: '$asin', label: { $first: '$productName' } },
+  campaigns: { group: '$campaignKey' }
+};
+
+const isReviewed = { $eq: ['$status', 'reviewed'] };
+const daysToReview = {
+  $cond: [
+    { $and: [isReviewed, { $gt: ['$reviewedAt', null] }] },
+    { $divide: [{ $subtract: ['$reviewedAt', '$submissionDate'] }, DAY_MS] },
+    null
+  ]
+};
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Helper: Per-tracker counts grouped by a key
+const trackerGroup = (key, extra = {}) => ({
+  $group: {
+    _id: key,
+    claims: { $sum: 1 },
+    reviewed: countIf(isReviewed),
+    avgDaysToReview: { $avg: daysToReview },
+    ...extra
+  }
+});
+
+// Helper: Per-step counts (sent, failed, skipped) grouped by a key
+const stepGroup = (key) => [
+  { $unwind: '$emailSteps' },
+  {
+    $group: {
+      _id: { key, stepKey: '$emailSteps.stepKey' },
+      delayDays: { $first: '$emailSteps.delayDays' },
+      sent: countIf('$emailSteps.sent'),
+      failed: countIf({ $and: [{ $not: ['$emailSteps.sent'] }, { $gt: ['$emailSteps.error', null] }] }),
+      skipped: countIf('$emailSteps.skipped')
+    }
+  }
+];
+
+// Helper: Fraction, 0 when nothing to divide by
+const rate = (count, total) => (total ? count / total : 0);
+
+// Helper: Round a day count for display
+const roundDays = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+// Helper: Monday of an ISO week key ("2024-W18")
+const isoWeekStart = (key) => {
+  const match = /^(\d{4})-W(\d{2})$/.exec(key || '');
+  if (!match) return null;
+  const jan4 = new Date(Date.UTC(Number(match[1]), 0, 4));
+  const monday = new Date(jan4.getTime() - ((jan4.getUTCDay() + 6) % 7) * DAY_MS);
+  return new Date(monday.getTime() + (Number(match[2]) - 1) * 7 * DAY_MS);
+};
+
+// Helper: Step counts with rates
+const stepStats = ({ sent = 0, failed = 0, skipped = 0 } = {}) => ({
+  sent,
+  failed,
+  skipped,
+  failureRate: rate(failed, sent + failed)
+});
+
+// Helper: Breakdown rows from the tracker and step groups of one dimension
+const buildRows = (dimension, groups, stepGroups) => {
+  const steps = {};
+  stepGroups.forEach(group => {
+    const key = JSON.stringify(group._id.key);
+    steps[key] = steps[key] || {};
+    steps[key][group._id.stepKey] = stepStats(group);
+  });
+
+  return groups.map(group => {
+    const row = {
+      key: group._id,
+      label: group.label || group._id || 'None',
+      claims: group.claims,
+      reviewed: group.reviewed,
+      reviewRate: rate(group.reviewed, group.claims),
+      avgDaysToReview: roundDays(group.avgDaysToReview),
+      steps: steps[JSON.stringify(group._id)] || {}
+    };
+    if (dimension === 'cohorts') {
+      const start = isoWeekStart(group._id);
+      row.weekStart = start;
+      row.label = start ? `${group._id} (from ${start.toISOString().slice(0, 10)})` : 'Unknown';
+    }
+    return row;
+  });
+};
+
+// Helper: Median and percentiles from a { days: count } histogram
+const summarizeReviewTimes = (histogram) => {
+  // Reviews imported with a date before the claim count as same-day
+  const days = histogram
+    .filter(entry => entry._id !== null)
+    .map(entry => ({ _id: Math.max(0, entry._id), count: entry.count }))
+    .sort((a, b) => a._id - b._id);
+  const count = days.reduce((sum, entry) => sum + entry.count, 0);
+
+  const percentile = (fraction) => {
+    if (!count) return null;
+    const target = Math.ceil(count * fraction);
+    let seen = 0;
+    for (const entry of days) {
+      seen += entry.count;
+      if (seen >= target) return entry._id;
+    }
+    return null;
+  };
+
+  return {
+    count,
+    median: percentile(0.5),
+    p75: percentile(0.75),
+    p90: percentile(0.9),
+    buckets: REVIEW_TIME_BUCKETS.map(bucket => ({
+      label: bucket.label,
+      min: bucket.min,
+      max: Number.isFinite(bucket.max) ? bucket.max : null,
+      count: days
+        .filter(entry => entry._id >= bucket.min && entry._id <= bucket.max)
+        .reduce((sum, entry) => sum + entry.count, 0)
+    }))
+  };
+};
+
+/**
+ * Funnel, breakdowns and time-to-review distribution
+ *
+ * @param {object} params - campaign, sequence, startDate, endDate (on the claim date)
+ */
+async function getFunnel(params = {}) {
+  const { campaign, sequence, startDate, endDate } = params;
+  const query = buildTrackerQuery({ campaign, sequence, startDate, endDate });
+
+  const facets = {
+    overall: [trackerGroup(null)],
+    overallSteps: stepGroup(null),
+    reviewsByStep: [
+      { $match: { status: 'reviewed' } },
+      { $group: { _id: { $ifNull: ['$reviewedOnDay', 0] }, count: { $sum: 1 } } }
+    ],
+    reviewTimes: [
+      { $project: { days: { $floor: daysToReview } } },
+      { $match: { days: { $ne: null } } },
+      { $group: { _id: '$days', count: { $sum: 1 } } }
+    ]
+  };
+  Object.entries(DIMENSIONS).forEach(([name, dimension]) => {
+    facets[name] = [
+      trackerGroup(dimension.group, dimension.label ? { label: dimension.label } : {}),
+      { $sort: name === 'cohorts' ? { _id: 1 } : { claims: -1 } }
+    ];
+    facets[`${name}Steps`] = stepGroup(dimension.group);
+  });
+
+  const [result] = await FeedbackTracker.aggregate([{ $match: query }, { $facet: facets }]);
+
+  // Funnel columns: every step seen, in sending order
+  const stepMap = new Map();
+  result.overallSteps.forEach(step => {
+    if (!stepMap.has(step._id.stepKey)) stepMap.set(step._id.stepKey, step.delayDays);
+  });
+  const steps = [...stepMap.entries()]
+    .map(([stepKey, delayDays]) => ({ stepKey, delayDays }))
+    .sort((a, b) => a.delayDays - b.delayDays);
+
+  // Reviews credited to each step (by delayDays)
+  const reviewsByDelay = {};
+  result.reviewsByStep.forEach(entry => { reviewsByDelay[entry._id] = entry.count; });
+
+  const [overallRow] = buildRows('overall', result.overall, result.overallSteps);
+  const overall = overallRow || { claims: 0, reviewed: 0, reviewRate: 0, avgDaysToReview: null, steps: {} };
+  delete overall.key;
+  delete overall.label;
+  steps.forEach(step => {
+    const stats = overall.steps[step.stepKey] || stepStats();
+    stats.reviewsAfter = reviewsByDelay[step.delayDays] || 0;
+    stats.conversionRate = rate(stats.reviewsAfter, stats.sent);
+    overall.steps[step.stepKey] = stats;
+  });
+  overall.reviewsBeforeFirstEmail = reviewsByDelay[0] || 0;
+
+  return {
+    filters: { campaign, sequence, startDate, endDate },
+    steps,
+    overall,
+    cohorts: buildRows('cohorts', result.cohorts, result.cohortsSteps),
+    products: buildRows('products', result.products, result.productsSteps),
+    campaigns: buildRows('campaigns', result.campaigns, result.campaignsSteps),
+    timeToReview: summarizeReviewTimes(result.reviewTimes)
+  };
+}
+
+module.exports = {
+  REVIEW_TIME_BUCKETS,
+  getFunnel
+};
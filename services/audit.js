@@ -0,0 +1,142 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the audit log
+const REDACTED_KEYS = ['passwordHash', 'password', 'newPassword', 'currentPassword', 'csrfToken', 'tokenHash', 'secret', '__v'];
+
+/**
+ * Plain JSON copy of a document or object, with secrets removed
+ */
+function snapshot(value) {
+  if (value === null || value === undefined) return undefined;
+
+  const plain = JSON.parse(JSON.stringify(value));
+  const redact = (node) => {
+    if (Array.isArray(node)) return node.forEach(redact);
+    if (node && typeof node === 'object') {
+      Object.keys(node).forEach(key => {
+        if (REDACTED_KEYS.includes(key)) delete node[key];
+        else redact(node[key]);
+      });
+    }
+  };
+  redact(plain);
+  return plain;
+}
+
+// Helper: Flatten an object into dot paths (arrays by index)
+const flatten = (value, prefix = '', out = {}) => {
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 0 && prefix) out[prefix] = value;
+    keys.forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+/**
+ * Paths that differ between two snapshots
+ */
+function diff(before, after) {
+  const flatBefore = flatten(before || {});
+  const flatAfter = flatten(after || {});
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  return [...paths]
+    .filter(path => path !== 'updatedAt' && JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path]))
+    .sort()
+    .map(path => ({ path, before: flatBefore[path], after: flatAfter[path] }));
+}
+
+// Helper: Client IP. Only headers Vercel's edge sets itself are read: the
+// leftmost X-Forwarded-For entry comes from the client and is easily forged,
+// which would defeat the same-IP duplicate check (services/fraud.js).
+const getClientIp = (req) =>
+  req.headers['x-vercel-forwarded-for'] || req.headers['x-real-ip'] || req.ip;
+
+/**
+ * Record an admin action. Never throws - the action has already happened,
+ * so a failed write is logged rather than failing the request.
+ *
+ * @param {object} req - Express request (req.admin is the actor)
+ * @param {object} entry - { action, targetType, targetId, before, after, metadata, actor }
+ */
+async function record(req, { action, targetType, targetId, before, after, metadata, actor }) {
+  try {
+    const admin = actor || req.admin || {};
+    const beforeSnapshot = snapshot(before);
+    const afterSnapshot = snapshot(after);
+
+    return await AuditLog.create({
+      actor: {
+        id: admin.id,
+        email: admin.email,
+        name: admin.name,
+        role: admin.role,
+        via: admin.via
+      },
+      action,
+      targetType,
+      targetId: targetId !== undefined && targetId !== null ? String(targetId) : undefined,
+      before: beforeSnapshot,
+      after: afterSnapshot,
+      changes: beforeSnapshot || afterSnapshot ? diff(beforeSnapshot, afterSnapshot) : [],
+      metadata: snapshot(metadata),
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      ip: getClientIp(req),
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error(`Error writing audit log for ${action}:`, error);
+    return null;
+  }
+}
+
+// Helper: Escape user input for a regex filter
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mongo query from audit log filters (actor, action, targetType, targetId, from, to).
+ */
+function buildAuditQuery(params = {}) {
+  // Ignore repeated or nested query params
+  const filters = {};
+  ['actor', 'action', 'targetType', 'targetId', 'from', 'to'].forEach(key => {
+    if (typeof params[key] === 'string' && params[key].trim()) filters[key] = params[key].trim();
+  });
+
+  const query = {};
+  if (filters.actor) {
+    const pattern = new RegExp(escapeRegex(filters.actor), 'i');
+    query.$or = [{ 'actor.email': pattern }, { 'actor.name': pattern }];
+  }
+  if (filters.action) {
+    // "tracker" matches every tracker.* action
+    query.action = filters.action.includes('.')
+      ? filters.action
+      : new RegExp(`^${escapeRegex(filters.action)}\\.`);
+  }
+  if (filters.targetType) query.targetType = filters.targetType;
+  if (filters.targetId) query.targetId = filters.targetId;
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = new Date(filters.from);
+    if (filters.to) {
+      const to = new Date(filters.to);
+      // Date-only "to" includes the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) to.setDate(to.getDate() + 1);
+      query.createdAt.$lt = to;
+    }
+  }
+  return query;
+}
+
+module.exports = {
+  getClientIp,
+  record,
+  buildAuditQuery,
+  snapshot,
+  diff
+};
@@ -0,0 +1,221 @@
+const FeedbackTracker = require('../models/FeedbackTracker');
+const csv = require('./csv');
+const { buildTrackerQuery } = require('./filters');
+const { getReviewedOnDay } = require('./reviewImport');
+const trackerSchedule = require('./trackerSchedule');
+
+/**
+ * Bulk actions on feedback trackers
+ *
+ * Trackers are picked by a list of order IDs (typed in, selected in the
+ * feedback manager or uploaded as CSV) or by the same filters as the tracker
+ * list. Every tracker ends up:
+ *   ready     - the action applies (dry run)
+ *   updated   - the action was applied
+ *   skipped   - the action does not fit the tracker's current state
+ *   not-found - no tracker has this order ID
+ *   failed    - saving the tracker failed
+ */
+
+// Most trackers a single bulk request may touch
+const BULK_LIMIT = 500;
+
+const BULK_ERRORS = {
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  NO_SELECTION: 'NO_SELECTION',
+  TOO_MANY: 'TOO_MANY'
+};
+
+// Column names accepted for the order ID in an uploaded file (compared without case, spaces, "-" or "_")
+const ORDER_ID_COLUMNS = ['orderid', 'order', 'amazonorderid', 'ordernumber'];
+
+// Filters that narrow the tracker list (at least one is needed for a filter selection)
+const FILTER_KEYS = ['search', 'status', 'campaign', 'sequence', 'startDate', 'endDate'];
+
+/**
+ * What each action does. skip(tracker) returns why the action does not apply
+ * (or null); apply(tracker, options) changes and saves the tracker.
+ */
+const BULK_ACTIONS = {
+  'mark-reviewed': {
+    label: 'Mark as reviewed',
+    role: 'operator',
+    auditAction: 'tracker.mark-reviewed',
+    event: 'tracker.reviewed',
+    skip: (tracker) => (tracker.status === 'reviewed' ? 'Already reviewed' : null),
+    // Without a day, the review is put after the last email sent so far
+    apply: (tracker, options) => tracker.markAsReviewed(
+      Number.isFinite(options.dayNumber) ? options.dayNumber : getReviewedOnDay(tracker, new Date())
+    )
+  },
+  'mark-unreviewed': {
+    label: 'Mark as unreviewed',
+    role: 'operator',
+    auditAction: 'tracker.mark-unreviewed',
+    event: 'tracker.unreviewed',
+    skip: (tracker) => {
+      if (tracker.status === 'unreviewed') return 'Already unreviewed';
+      if (tracker.status === 'reviewed') return 'Already reviewed';
+      return null;
+    },
+    apply: (tracker) => tracker.markAsUnreviewed()
+  },
+  cancel: {
+    label: 'Cancel emails',
+    role: 'operator',
+    auditAction: 'tracker.cancel',
+    event: 'tracker.cancelled',
+    skip: (tracker) => (tracker.status !== 'pending' ? `Tracker is ${tracker.status}` : null),
+    apply: (tracker, options) => tracker.cancelEmails(options.notes)
+  },
+  reactivate: {
+    label: 'Reactivate',
+    role: 'operator',
+    auditAction: 'tracker.reactivate',
+    skip: (tracker) => (tracker.status !== 'cancelled' ? 'Only cancelled trackers can be reactivated' : null),
+    // Remaining emails restart today, as with a single reactivation
+    apply: (tracker) => {
+      const result = trackerSchedule.reactivate(tracker);
+      if (result.error) throw new Error(result.error.message);
+      return tracker.save();
+    }
+  },
+  delete: {
+    label: 'Delete',
+    role: 'owner',
+    auditAction: 'tracker.delete',
+    skip: () => null,
+    apply: (tracker) => tracker.deleteOne()
+  }
+};
+
+// Helper: Canonical form of a column name
+const columnKey = (name) => String(name).toLowerCase().replace(/[\s_-]/g, '');
+
+// Helper: Order IDs without blanks or repeats, in their original order
+const uniqueIds = (ids) => [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+
+/**
+ * Order IDs from an uploaded CSV: the orderId column when the file has a
+ * header row, otherwise the first column of every row (a plain list works too)
+ */
+function parseOrderIdFile(content) {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+  const rows = csv.parseRows(text);
+  if (rows.length === 0) return [];
+
+  const column = rows[0].findIndex(cell => ORDER_ID_COLUMNS.includes(columnKey(cell)));
+  const ids = column >= 0
+    ? rows.slice(1).map(cells => cells[column] || '')
+    : rows.map(cells => cells[0]);
+  return uniqueIds(ids);
+}
+
+// Helper: Is anything set in a filter object?
+const hasFilters = (filters) => FILTER_KEYS.some(key => typeof filters[key] === 'string' && filters[key].trim() !== '');
+
+/**
+ * Trackers for a selection ({ orderIds } or { filters }).
+ * Returns { trackers, orderIds } or { error: { code, message } }.
+ */
+async function selectTrackers({ orderIds, filters }) {
+  if (Array.isArray(orderIds) && orderIds.length > 0) {
+    const ids = uniqueIds(orderIds);
+    if (ids.length > BULK_LIMIT) {
+      return { error: { code: BULK_ERRORS.TOO_MANY, message: `Act on at most ${BULK_LIMIT} trackers at a time (got ${ids.length})` } };
+    }
+    const trackers = await FeedbackTracker.find({ orderId: { $in: ids } });
+    return { trackers, orderIds: ids };
+  }
+
+  if (filters && typeof filters === 'object' && hasFilters(filters)) {
+    const query = buildTrackerQuery(filters);
+    const total = await FeedbackTracker.countDocuments(query);
+    if (total > BULK_LIMIT) {
+      return { error: { code: BULK_ERRORS.TOO_MANY, message: `${total} trackers match these filters; narrow them to at most ${BULK_LIMIT}` } };
+    }
+    const trackers = await FeedbackTracker.find(query).sort({ createdAt: -1 });
+    return { trackers, orderIds: trackers.map(tracker => tracker.orderId) };
+  }
+
+  return { error: { code: BULK_ERRORS.NO_SELECTION, message: 'Select trackers, upload a file of order IDs or set at least one filter' } };
+}
+
+// Helper: Short description of a tracker for the results
+const describeTracker = (tracker) => ({
+  orderId: tracker.orderId,
+  customerName: tracker.customerName,
+  status: tracker.status,
+  submissionDate: tracker.submissionDate
+});
+
+/**
+ * What the action would do to every selected order ID, without changing anything
+ */
+function planAction(actionKey, trackers, orderIds) {
+  const action = BULK_ACTIONS[actionKey];
+  const byOrderId = new Map(trackers.map(tracker => [tracker.orderId, tracker]));
+
+  return orderIds.map(orderId => {
+    const tracker = byOrderId.get(orderId);
+    if (!tracker) return { orderId, result: 'not-found', reason: 'No tracker for this order ID' };
+
+    const reason = action.skip(tracker);
+    return {
+      ...describeTracker(tracker),
+      result: reason ? 'skipped' : 'ready',
+      reason: reason || undefined,
+      _tracker: tracker
+    };
+  });
+}
+
+/**
+ * Apply the action to every "ready" entry of a plan. Calls
+ * onApplied(entry, before, tracker) after each one (audit log, webhooks).
+ */
+async function applyAction(actionKey, plan, options, onApplied) {
+  const action = BULK_ACTIONS[actionKey];
+
+  for (const entry of plan) {
+    if (entry.result !== 'ready') continue;
+
+    const tracker = entry._tracker;
+    const before = tracker.toObject();
+    try {
+      await action.apply(tracker, options);
+      entry.result = 'updated';
+      entry.status = actionKey === 'delete' ? undefined : tracker.status;
+    } catch (error) {
+      entry.result = 'failed';
+      entry.reason = error.message;
+      continue;
+    }
+    if (onApplied) await onApplied(entry, before, tracker);
+  }
+  return plan;
+}
+
+/**
+ * Count of entries per result
+ */
+function summarize(plan) {
+  const summary = { total: plan.length, ready: 0, updated: 0, skipped: 0, 'not-found': 0, failed: 0 };
+  plan.forEach(entry => { summary[entry.result]++; });
+  return summary;
+}
+
+// Helper: Results without the tracker documents
+const toResults = (plan) => plan.map(({ _tracker, ...entry }) => entry);
+
+module.exports = {
+  BULK_LIMIT,
+  BULK_ERRORS,
+  BULK_ACTIONS,
+  parseOrderIdFile,
+  selectTrackers,
+  planAction,
+  applyAction,
+  summarize,
+  toResults
+};
@@ -0,0 +1,195 @@
+const Campaign = require('../models/Campaign');
+const Order = require('../models/Order');
+const TicketClaim = require('../models/TicketClaim');
+const FeedbackTracker = require('../models/FeedbackTracker');
+
+// Promotions that existed before campaigns were configurable.
+// Saving a campaign with the same key in the admin overrides these.
+const BUILT_IN_CAMPAIGNS = [
+  {
+    key: 'studykey-free-gift',
+    name: 'Study Key FREE gift',
+    flow: 'free-gift',
+    allowedOrigins: ['https://study-key-reward.vercel.app'],
+    eligibleAsins: [],
+    confirmation: {
+      subject: 'Study Key FREE gift',
+      template: 'reward'
+    },
+    adminNotificationSubject: 'New Testimonial Claimed',
+    sequenceKey: null,
+    isActive: true
+  },
+  {
+    key: 'disney-ticket-draw',
+    name: 'Disney Ticket Draw',
+    flow: 'ticket-draw',
+    allowedOrigins: ['https://studykey-disneyworld-giveaway.vercel.app'],
+    eligibleAsins: [],
+    confirmation: {
+      subject: 'Disney Ticket Draw Entry Confirmation',
+      template: 'ticket-claim',
+      context: {
+        socialLinks: {
+          instagram: 'https://instagram.com/yourhandle',
+          facebook: 'https://facebook.com/yourpage',
+          twitter: 'https://twitter.com/yourhandle'
+        }
+      }
+    },
+    adminNotificationSubject: 'New Disney Ticket Claimed',
+    sequenceKey: 'default',
+    isActive: true
+  }
+];
+
+// Campaign used for each flow when the request doesn't name one
+const DEFAULT_CAMPAIGN_KEYS = {
+  'free-gift': 'studykey-free-gift',
+  'ticket-draw': 'disney-ticket-draw'
+};
+
+// Error codes returned when a submission can't be accepted
+const CAMPAIGN_ERRORS = {
+  NOT_FOUND: 'CAMPAIGN_NOT_FOUND',
+  INACTIVE: 'CAMPAIGN_INACTIVE',
+  INELIGIBLE_PRODUCT: 'INELIGIBLE_PRODUCT'
+};
+
+const ORIGIN_CACHE_TTL = 60 * 1000; // 1 minute
+let originCache = { origins: null, expiresAt: 0 };
+
+// Helper: Unsaved Campaign document for a built-in campaign
+const toBuiltIn = (data) => new Campaign(JSON.parse(JSON.stringify(data)));
+
+/**
+ * Look up a campaign by key (saved campaigns win over built-in ones)
+ */
+async function getCampaign(key) {
+  const campaign = await Campaign.findOne({ key });
+  if (campaign) return campaign;
+
+  const builtIn = BUILT_IN_CAMPAIGNS.find(c => c.key === key);
+  return builtIn ? toBuiltIn(builtIn) : null;
+}
+
+/**
+ * All campaigns, including built-in ones that have not been overridden
+ */
+async function listCampaigns() {
+  const campaigns = await Campaign.find().sort({ createdAt: 1 });
+  const savedKeys = campaigns.map(c => c.key);
+
+  const builtIns = BUILT_IN_CAMPAIGNS
+    .filter(c => !savedKeys.includes(c.key))
+    .map(c => ({ ...toBuiltIn(c).toObject(), isBuiltIn: true }));
+
+  return [...builtIns, ...campaigns];
+}
+
+/**
+ * Work out which campaign a submission belongs to.
+ * Order: explicit campaign key, then the request origin, then the flow's default.
+ * Without a flow (order validation) a campaign of any flow matches and there
+ * may be none, in which case { campaign: null } is returned.
+ * Returns { campaign } or { error: { code, message } }.
+ */
+async function resolveCampaign({ flow, campaignKey, origin }) {
+  let campaign = null;
+
+  if (campaignKey) {
+    campaign = await getCampaign(campaignKey);
+    if (!campaign || (flow && campaign.flow !== flow)) {
+      return { error: { code: CAMPAIGN_ERRORS.NOT_FOUND, message: 'This promotion does not exist.' } };
+    }
+  } else {
+    if (origin) {
+      const campaigns = await listCampaigns();
+      const match = campaigns.find(c => (!flow || c.flow === flow) && c.isActive && (c.allowedOrigins || []).includes(origin));
+      if (match) campaign = await getCampaign(match.key);
+    }
+    if (!campaign && flow) {
+      campaign = await getCampaign(DEFAULT_CAMPAIGN_KEYS[flow]);
+    }
+  }
+
+  if (!campaign) return { campaign: null };
+
+  if (!campaign.isOpen()) {
+    return { error: { code: CAMPAIGN_ERRORS.INACTIVE, message: 'This promotion is not currently accepting entries.' } };
+  }
+
+  return { campaign };
+}
+
+/**
+ * Origins from every active campaign, for CORS (cached briefly)
+ */
+async function getCampaignOrigins() {
+  if (originCache.origins && originCache.expiresAt > Date.now()) {
+    return originCache.origins;
+  }
+
+  const campaigns = await listCampaigns();
+  const origins = new Set();
+  campaigns
+    .filter(c => c.isActive)
+    .forEach(c => (c.allowedOrigins || []).forEach(origin => origins.add(origin)));
+
+  originCache = { origins: [...origins], expiresAt: Date.now() + ORIGIN_CACHE_TTL };
+  return originCache.origins;
+}
+
+// Helper: Forget cached origins after a campaign changes
+function clearOriginCache() {
+  originCache = { origins: null, expiresAt: 0 };
+}
+
+/**
+ * Link records created before campaigns existed to the built-in campaigns
+ */
+async function backfillCampaignKeys() {
+  const missing = { campaignKey: { $exists: false } };
+  const [orders, claims, trackers] = await Promise.all([
+    Order.updateMany(missing, { $set: { campaignKey: DEFAULT_CAMPAIGN_KEYS['free-gift'] } }),
+    TicketClaim.updateMany(missing, { $set: { campaignKey: DEFAULT_CAMPAIGN_KEYS['ticket-draw'] } }),
+    FeedbackTracker.updateMany(missing, { $set: { campaignKey: DEFAULT_CAMPAIGN_KEYS['ticket-draw'] } })
+  ]);
+
+  const results = {
+    orders: orders.modifiedCount || 0,
+    claims: claims.modifiedCount || 0,
+    trackers: trackers.modifiedCount || 0
+  };
+
+  if (results.orders || results.claims || results.trackers) {
+    console.log(`✓ Linked ${results.orders} orders, ${results.claims} claims and ${results.trackers} trackers to built-in campaigns`);
+  }
+
+  return results;
+}
+
+// Run the backfill once per process
+let backfillPromise = null;
+function ensureCampaignKeysBackfilled() {
+  if (!backfillPromise) {
+    backfillPromise = backfillCampaignKeys().catch(error => {
+      backfillPromise = null;
+      console.error('Error linking records to campaigns:', error);
+    });
+  }
+  return backfillPromise;
+}
+
+module.exports = {
+  BUILT_IN_CAMPAIGNS,
+  DEFAULT_CAMPAIGN_KEYS,
+  CAMPAIGN_ERRORS,
+  getCampaign,
+  listCampaigns,
+  resolveCampaign,
+  getCampaignOrigins,
+  clearOriginCache,
+  backfillCampaignKeys,
+  ensureCampaignKeysBackfilled
+};
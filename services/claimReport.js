@@ -0,0 +1,256 @@
+const PDFDocument = require('pdfkit');
+const TicketClaim = require('../models/TicketClaim');
+const FeedbackTracker = require('../models/FeedbackTracker');
+
+/**
+ * PDF report of ticket claims for the /admin dashboard
+ *
+ * A landscape table of the claims matching the dashboard filters (cells wrap,
+ * the header repeats on every page), followed by totals per day and per
+ * product. With includeTrackers, each claim also shows the status of its
+ * feedback follow-up and the totals gain a follow-up summary.
+ */
+
+const MARGIN = 40;
+const FONT_SIZE = 8;
+const CELL_PADDING = 4;
+
+// Claims read (and matched to trackers) at a time
+const BATCH_SIZE = 200;
+
+const COLORS = {
+  header: '#eef2ff',
+  stripe: '#f9fafb',
+  rule: '#e5e7eb',
+  text: '#111827',
+  muted: '#6b7280'
+};
+
+// Helper: "2024-05-01 14:03 UTC" (reports are read by people in different time zones)
+const formatDateTime = (date) => (date ? `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '');
+
+// Helper: "2024-05-01"
+const formatDay = (date) => (date ? new Date(date).toISOString().slice(0, 10) : 'Unknown');
+
+/**
+ * Table drawn row by row; the header row is repeated after every page break
+ *
+ * @param {object} doc - PDFKit document
+ * @param {Array} columns - [{ label, width }] (widths are relative)
+ */
+function createTable(doc, columns) {
+  const left = doc.page.margins.left;
+  const available = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(column => (column.width / totalWidth) * available);
+  let striped = false;
+
+  const rowHeight = (values, font) => {
+    doc.font(font).fontSize(FONT_SIZE);
+    return Math.max(...values.map((value, i) =>
+      doc.heightOfString(String(value), { width: widths[i] - CELL_PADDING * 2 }))) + CELL_PADDING * 2;
+  };
+
+  const drawRow = (values, { font = 'Helvetica', fill = null } = {}) => {
+    const height = rowHeight(values, font);
+    const y = doc.y;
+
+    if (fill) doc.rect(left, y, available, height).fill(fill);
+    doc.fillColor(COLORS.text).font(font).fontSize(FONT_SIZE);
+
+    let x = left;
+    values.forEach((value, i) => {
+      doc.text(String(value), x + CELL_PADDING, y + CELL_PADDING, { width: widths[i] - CELL_PADDING * 2 });
+      x += widths[i];
+    });
+
+    doc.moveTo(left, y + height).lineTo(left + available, y + height).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const headerValues = columns.map(column => column.label);
+  const drawHeader = () => drawRow(headerValues, { font: 'Helvetica-Bold', fill: COLORS.header });
+
+  // Helper: Start a new page (with the header) when the next row won't fit
+  const ensureSpace = (height) => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+  };
+
+  ensureSpace(rowHeight(headerValues, 'Helvetica-Bold') * 2);
+  drawHeader();
+
+  return {
+    addRow(values) {
+      const cells = values.map(value => (value === null || value === undefined || value === '' ? '—' : value));
+      ensureSpace(rowHeight(cells, 'Helvetica'));
+      drawRow(cells, { fill: striped ? COLORS.stripe : null });
+      striped = !striped;
+    }
+  };
+}
+
+// Helper: Section title, on a new page when there's little room left
+const sectionTitle = (doc, title) => {
+  if (doc.y + 80 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  doc.moveDown(1.5);
+  doc.x = doc.page.margins.left;
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text).text(title);
+  doc.moveDown(0.5);
+};
+
+// Helper: Follow-up status shown for a claim, e.g. "pending · 1/3 sent"
+const trackerStatus = (tracker) => {
+  if (!tracker) return 'No follow-up';
+  const steps = tracker.emailSteps || [];
+  const sent = steps.filter(step => step.sent).length;
+  return `${tracker.status} · ${sent}/${steps.length} sent`;
+};
+
+// Helper: "Label: value" lines describing the filters
+const filterLines = (filters, total) => {
+  const lines = [];
+  if (filters.search) lines.push(['Search', filters.search]);
+  if (filters.campaign) lines.push(['Campaign', filters.campaign]);
+  if (filters.status) lines.push(['Status', filters.status]);
+  if (filters.startDate) lines.push(['From', filters.startDate]);
+  if (filters.endDate) lines.push(['To', filters.endDate]);
+  if (lines.length === 0) lines.push(['Filters', 'None (all claims)']);
+  lines.push(['Sorted by', `${filters.sortBy || 'createdAt'} (${filters.sortOrder === 'asc' ? 'oldest first' : 'newest first'})`]);
+  lines.push(['Claims', String(total)]);
+  lines.push(['Generated', formatDateTime(new Date())]);
+  return lines;
+};
+
+// Helper: Page numbers in the footer of every buffered page
+const addPageNumbers = (doc) => {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing below the bottom margin would otherwise open a new page
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(FONT_SIZE).fillColor(COLORS.muted).text(
+      `Page ${i + 1} of ${range.count}`,
+      doc.page.margins.left,
+      doc.page.height - bottom / 2 - FONT_SIZE / 2,
+      { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+/**
+ * Write the claims report to a stream (an Express response)
+ *
+ * @param {object} out - Writable stream
+ * @param {object} options - { query, sort, filters (the dashboard's query string), total, includeTrackers }
+ */
+async function writeClaimReport(out, { query, sort, filters = {}, total, includeTrackers = false }) {
+  const doc = new PDFDocument({ size: 'LETTER', layout: 'landscape', margin: MARGIN, bufferPages: true });
+  doc.info.Title = 'Ticket Claims Report';
+  doc.pipe(out);
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text).text('Ticket Claims Report');
+  doc.moveDown(0.5);
+  filterLines(filters, total).forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, { continued: true })
+      .font('Helvetica').text(value);
+  });
+  doc.moveDown();
+
+  const claims = TicketClaim.find(query).sort(sort).lean().cursor({ batchSize: BATCH_SIZE });
+
+  // Only show a phone column when some claim has a number
+  const hasPhone = await TicketClaim.exists({ $and: [query, { phoneNumber: { $nin: [null, ''] } }] });
+
+  const columns = [
+    { label: 'Order ID', width: 125 },
+    { label: 'Name', width: 100 },
+    { label: 'Email', width: 160 },
+    ...(hasPhone ? [{ label: 'Phone', width: 85 }] : []),
+    { label: 'Campaign', width: 70 },
+    { label: 'Product', width: 130 },
+    { label: 'Status', width: 55 },
+    { label: 'Submitted', width: 85 },
+    ...(includeTrackers ? [{ label: 'Follow-up', width: 95 }] : [])
+  ];
+  const table = createTable(doc, columns);
+
+  const byDay = new Map();
+  const byProduct = new Map();
+  const byTracker = new Map();
+  const count = (map, key, label) => {
+    const entry = map.get(key) || { label, count: 0 };
+    entry.count++;
+    map.set(key, entry);
+  };
+
+  const drawBatch = async (batch) => {
+    const trackers = new Map();
+    if (includeTrackers) {
+      const found = await FeedbackTracker.find({ orderId: { $in: batch.map(claim => claim.orderId) } })
+        .select('orderId status emailSteps.sent')
+        .lean();
+      found.forEach(tracker => trackers.set(tracker.orderId, tracker));
+    }
+
+    batch.forEach(claim => {
+      const product = [claim.asin, claim.productName].filter(Boolean).join(' · ');
+      const tracker = trackers.get(claim.orderId);
+      table.addRow([
+        claim.orderId,
+        claim.name,
+        claim.email,
+        ...(hasPhone ? [claim.phoneNumber] : []),
+        claim.campaignKey,
+        product,
+        claim.status || 'active',
+        formatDateTime(claim.createdAt),
+        ...(includeTrackers ? [trackerStatus(tracker)] : [])
+      ]);
+
+      count(byDay, formatDay(claim.createdAt), formatDay(claim.createdAt));
+      count(byProduct, claim.asin || '', claim.productName || '');
+      if (includeTrackers) count(byTracker, tracker ? tracker.status : 'none', tracker ? tracker.status : 'No follow-up');
+    });
+  };
+
+  let batch = [];
+  for await (const claim of claims) {
+    batch.push(claim);
+    if (batch.length >= BATCH_SIZE) {
+      await drawBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await drawBatch(batch);
+
+  sectionTitle(doc, 'Claims by day');
+  const days = createTable(doc, [{ label: 'Day (UTC)', width: 3 }, { label: 'Claims', width: 1 }]);
+  [...byDay.keys()].sort().forEach(day => days.addRow([day, String(byDay.get(day).count)]));
+
+  sectionTitle(doc, 'Claims by product');
+  const products = createTable(doc, [{ label: 'ASIN', width: 1 }, { label: 'Product', width: 3 }, { label: 'Claims', width: 1 }]);
+  [...byProduct.entries()]
+    .sort((a, b) => b[1].count - a[1].count)
+    .forEach(([asin, entry]) => products.addRow([asin || 'Unknown', entry.label, String(entry.count)]));
+
+  if (includeTrackers) {
+    sectionTitle(doc, 'Feedback follow-up');
+    const followUps = createTable(doc, [{ label: 'Follow-up status', width: 3 }, { label: 'Claims', width: 1 }]);
+    [...byTracker.values()]
+      .sort((a, b) => b.count - a.count)
+      .forEach(entry => followUps.addRow([entry.label, String(entry.count)]));
+  }
+
+  addPageNumbers(doc);
+  doc.end();
+}
+
+module.exports = {
+  writeClaimReport
+};
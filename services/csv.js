@@ -0,0 +1,102 @@
+/**
+ * Minimal CSV reader for admin uploads (RFC 4180: quoted fields, "" escapes,
+ * embedded commas and newlines, CRLF or LF line endings, optional BOM), and
+ * the matching row writer for exports.
+ */
+
+/**
+ * Rows of a CSV document as arrays of strings
+ */
+function parseRows(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Objects keyed by the header row (headers trimmed; missing cells are '')
+ */
+function parse(text) {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim());
+  return rows.map(cells => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key) record[key] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+// Text a spreadsheet would read as a formula (or DDE call)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Text that a spreadsheet shows as typed: a leading ' stops customer-supplied
+ * values such as "=HYPERLINK(...)" from running as formulas when an export is
+ * opened in Excel or Sheets. Numbers, dates and booleans are left alone.
+ */
+function escapeFormula(value) {
+  return typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value;
+}
+
+// Helper: One value as a CSV field (quoted when it holds a comma, quote or newline)
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(escapeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line (with CRLF) from an array of values
+ */
+function formatRow(values) {
+  return values.map(formatField).join(',') + '\r\n';
+}
+
+module.exports = {
+  parse,
+  parseRows,
+  formatRow,
+  escapeFormula
+};
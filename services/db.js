@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { ensureLegacyMigrated } = require('./sequences');
+const campaigns = require('./campaigns');
+const fraud = require('./fraud');
+
+/**
+ * Shared MongoDB connection for the API (index.js) and the cron handlers
+ * (api/cron). The connection is cached per process, so serverless instances
+ * reuse it between invocations; the one-off data migrations run on the first
+ * connection.
+ */
+
+// MongoDB connection optimization
+let cachedConnection = null;
+
+async function connectToDatabase() {
+  if (cachedConnection) {
+    return cachedConnection;
+  }
+
+  mongoose.connection.on('connected', () => console.log('MongoDB connected'));
+  mongoose.connection.on('error', (err) =>
+    console.error('MongoDB connection error:', err)
+  );
+
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+      connectTimeoutMS: 10000,
+      maxPoolSize: 10
+    });
+
+    cachedConnection = conn;
+
+    // Convert feedback data still on the fixed day 3/7/14/30 layout
+    await ensureLegacyMigrated();
+    // Link claims from before campaigns existed to the built-in campaigns
+    await campaigns.ensureCampaignKeysBackfilled();
+    // Fingerprint orders and claims from before duplicate screening
+    await fraud.ensureFingerprintsBackfilled();
+
+    return conn;
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  connectToDatabase
+};
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const Draw = require('../models/Draw');
+const DrawEntrant = require('../models/DrawEntrant');
+const TicketClaim = require('../models/TicketClaim');
+
+/**
+ * Winner draws for the ticket giveaway
+ *
+ * Every eligible entrant gets a ticket: sha256("<seed>:<orderId>"). Entrants
+ * are ranked by ticket and the first N win. The seed is stored on the draw and
+ * the entrant snapshot next to it (DrawEntrant, with its hash on the draw), so
+ * anyone can recompute the ranking and check the result. A redraw (after a winner is disqualified) takes the next entrant in
+ * the same ranking, so it's reproducible too.
+ *
+ * Left out of a draw: cancelled or flagged claims and anyone who currently
+ * holds a win from an earlier draw.
+ */
+
+const DRAW_ALGORITHM = 'sha256-rank-v1';
+
+const MAX_WINNERS = 1000;
+
+// Entrants written per insert when a draw's snapshot is saved
+const SNAPSHOT_BATCH_SIZE = 1000;
+
+// Error codes returned by runDraw() and redraw()
+const DRAW_ERRORS = {
+  INVALID_WINNER_COUNT: 'INVALID_WINNER_COUNT',
+  INVALID_DATE: 'INVALID_DATE',
+  INVALID_SEED: 'INVALID_SEED',
+  NOT_ENOUGH_ENTRANTS: 'NOT_ENOUGH_ENTRANTS',
+  NOT_A_WINNER: 'NOT_A_WINNER'
+};
+
+// Helper: sha256 hex digest
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Helper: Random seed used when the admin doesn't provide one
+const createSeed = () => crypto.randomBytes(16).toString('hex');
+
+// Helper: Parse a filter date; a bare YYYY-MM-DD end date covers the whole day
+const parseDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+/**
+ * Ticket of one entrant for a seed
+ */
+function getTicket(seed, orderId) {
+  return sha256(`${seed}:${orderId}`);
+}
+
+/**
+ * Entrants ordered by their ticket for a seed (first = first drawn)
+ */
+function rankEntrants(entrants, seed) {
+  return entrants
+    .map(entrant => ({ entrant, ticket: getTicket(seed, entrant.orderId) }))
+    .sort((a, b) => (a.ticket < b.ticket ? -1 : a.ticket > b.ticket ? 1 : 0))
+    .map(({ entrant }) => entrant);
+}
+
+/**
+ * Fingerprint of an entrant snapshot (order IDs, sorted)
+ */
+function hashEntrants(entrants) {
+  return sha256(entrants.map(entrant => entrant.orderId).sort().join('\n'));
+}
+
+/**
+ * Order IDs holding a win (not disqualified) in any draw, except excludeDrawId
+ */
+async function getCurrentWinnerIds(excludeDrawId) {
+  const query = { 'winners.status': 'winner' };
+  if (excludeDrawId) query._id = { $ne: excludeDrawId };
+
+  const draws = await Draw.find(query).select('winners');
+  const ids = new Set();
+  draws.forEach(draw => {
+    draw.winners.forEach(winner => {
+      if (winner.status === 'winner') ids.add(winner.orderId);
+    });
+  });
+  return ids;
+}
+
+/**
+ * Entrant snapshot of a draw, in claim order
+ */
+async function getEntrants(draw) {
+  return DrawEntrant.find({ drawId: draw._id })
+    .select('-_id orderId name email campaignKey createdAt')
+    .sort({ createdAt: 1, orderId: 1 })
+    .lean();
+}
+
+// Helper: Save a draw's entrant snapshot in batches
+const saveEntrants = async (drawId, entrants) => {
+  for (let i = 0; i < entrants.length; i += SNAPSHOT_BATCH_SIZE) {
+    await DrawEntrant.insertMany(entrants.slice(i, i + SNAPSHOT_BATCH_SIZE).map(entrant => ({ ...entrant, drawId })));
+  }
+};
+
+/**
+ * Claims that can win in a campaign and date range, plus how many were left out
+ *
+ * @param {object} filters - { campaignKey, startDate, endDate } (Date objects)
+ */
+async function getEligibleEntrants({ campaignKey, startDate, endDate } = {}) {
+  const query = {};
+  if (campaignKey) query.campaignKey = campaignKey;
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = startDate;
+    if (endDate) query.createdAt.$lte = endDate;
+  }
+
+  const [claims, winnerIds] = await Promise.all([
+    TicketClaim.find(query)
+      .select('orderId name email campaignKey createdAt status')
+      .sort({ createdAt: 1, orderId: 1 }),
+    getCurrentWinnerIds()
+  ]);
+
+  const excluded = { cancelled: 0, flagged: 0, previousWinners: 0 };
+  const entrants = [];
+  claims.forEach(claim => {
+    const status = claim.status || 'active';
+    if (status === 'cancelled' || status === 'flagged') {
+      excluded[status]++;
+    } else if (winnerIds.has(claim.orderId)) {
+      excluded.previousWinners++;
+    } else {
+      entrants.push({
+        orderId: claim.orderId,
+        name: claim.name,
+        email: claim.email,
+        campaignKey: claim.campaignKey,
+        createdAt: claim.createdAt
+      });
+    }
+  });
+
+  return { entrants, excluded };
+}
+
+/**
+ * Check draw options from the admin. Returns { options } or { error }.
+ */
+function parseDrawOptions(body = {}) {
+  const winnerCount = Number(body.winnerCount);
+  if (!Number.isInteger(winnerCount) || winnerCount < 1 || winnerCount > MAX_WINNERS) {
+    return { error: { code: DRAW_ERRORS.INVALID_WINNER_COUNT, message: `Winner count must be a whole number from 1 to ${MAX_WINNERS}` } };
+  }
+
+  const startDate = parseDate(body.startDate);
+  const endDate = parseDate(body.endDate, true);
+  if (startDate === undefined || endDate === undefined) {
+    return { error: { code: DRAW_ERRORS.INVALID_DATE, message: 'Start and end dates must be valid dates' } };
+  }
+  if (startDate && endDate && startDate > endDate) {
+    return { error: { code: DRAW_ERRORS.INVALID_DATE, message: 'Start date must be before the end date' } };
+  }
+
+  let seed = typeof body.seed === 'string' ? body.seed.trim() : '';
+  if (seed.length > 200) {
+    return { error: { code: DRAW_ERRORS.INVALID_SEED, message: 'Seed must be at most 200 characters' } };
+  }
+  if (!seed) seed = createSeed();
+
+  return {
+    options: {
+      name: typeof body.name === 'string' ? body.name.trim() : '',
+      campaignKey: typeof body.campaign === 'string' && body.campaign ? body.campaign : undefined,
+      startDate,
+      endDate,
+      winnerCount,
+      seed
+    }
+  };
+}
+
+/**
+ * Draw winners and save the draw. Returns { draw } or { error }.
+ *
+ * @param {object} body - { name, campaign, startDate, endDate, winnerCount, seed }
+ * @param {object} admin - req.admin, recorded as createdBy
+ */
+async function runDraw(body, admin) {
+  const { options, error } = parseDrawOptions(body);
+  if (error) return { error };
+
+  const { entrants, excluded } = await getEligibleEntrants(options);
+  if (entrants.length < options.winnerCount) {
+    return {
+      error: {
+        code: DRAW_ERRORS.NOT_ENOUGH_ENTRANTS,
+        message: `Only ${entrants.length} eligible entrants for ${options.winnerCount} winners`
+      }
+    };
+  }
+
+  const ranking = rankEntrants(entrants, options.seed);
+  const drawnAt = new Date();
+  const draw = new Draw({
+    ...options,
+    algorithm: DRAW_ALGORITHM,
+    entrantCount: entrants.length,
+    entrantsHash: hashEntrants(entrants),
+    excluded,
+    winners: ranking.slice(0, options.winnerCount).map((entrant, index) => ({
+      orderId: entrant.orderId,
+      name: entrant.name,
+      email: entrant.email,
+      rank: index + 1,
+      round: 0,
+      drawnAt
+    })),
+    createdBy: admin ? { id: admin.id, email: admin.email, name: admin.name } : undefined
+  });
+
+  // Snapshot first, so a saved draw always has its entrants
+  try {
+    await saveEntrants(draw._id, entrants);
+    await draw.save();
+  } catch (saveError) {
+    await DrawEntrant.deleteMany({ drawId: draw._id });
+    throw saveError;
+  }
+  return { draw };
+}
+
+/**
+ * Disqualify a winner and draw a replacement: the next entrant in the ranking
+ * who hasn't been drawn yet and is still eligible. Returns
+ * { draw, disqualified, replacement } (replacement is null when nobody is
+ * left) or { error }.
+ *
+ * @param {object} draw - Draw document
+ * @param {string} orderId - Winner to disqualify
+ * @param {object} details - { reason }
+ * @param {object} admin - req.admin
+ */
+async function redraw(draw, orderId, { reason } = {}, admin) {
+  const disqualified = draw.winners.find(winner => winner.orderId === orderId && winner.status === 'winner');
+  if (!disqualified) {
+    return { error: { code: DRAW_ERRORS.NOT_A_WINNER, message: `${orderId} is not a current winner of this draw` } };
+  }
+
+  disqualified.status = 'disqualified';
+  disqualified.disqualifiedAt = new Date();
+  disqualified.disqualifiedBy = admin ? admin.email || admin.name : undefined;
+  disqualified.disqualifyReason = typeof reason === 'string' && reason.trim() ? reason.trim() : undefined;
+
+  // Entrants can become ineligible after the draw (claim cancelled or flagged, or won elsewhere)
+  const drawn = new Set(draw.winners.map(winner => winner.orderId));
+  const ranking = rankEntrants(await getEntrants(draw), draw.seed);
+  const remaining = ranking.filter(entrant => !drawn.has(entrant.orderId));
+  const [claims, otherWinners] = await Promise.all([
+    TicketClaim.find({ orderId: { $in: remaining.map(entrant => entrant.orderId) } }).select('orderId status'),
+    getCurrentWinnerIds(draw._id)
+  ]);
+  const activeClaims = new Set(claims
+    .filter(claim => (claim.status || 'active') === 'active')
+    .map(claim => claim.orderId));
+
+  const passedOver = [];
+  const next = remaining.find(entrant => {
+    if (activeClaims.has(entrant.orderId) && !otherWinners.has(entrant.orderId)) return true;
+    passedOver.push(entrant.orderId);
+    return false;
+  });
+
+  let replacement = null;
+  if (next) {
+    replacement = {
+      orderId: next.orderId,
+      name: next.name,
+      email: next.email,
+      rank: ranking.indexOf(next) + 1,
+      round: Math.max(...draw.winners.map(winner => winner.round || 0)) + 1,
+      replaces: orderId,
+      passedOver,
+      drawnAt: new Date()
+    };
+    draw.winners.push(replacement);
+  }
+
+  await draw.save();
+  return { draw, disqualified, replacement };
+}
+
+/**
+ * Recompute a draw from its seed and entrant snapshot (see getEntrants) and
+ * compare with the stored winners. Returns { valid, problems }.
+ */
+function verifyDraw(draw, entrants) {
+  const problems = [];
+
+  if (draw.algorithm !== DRAW_ALGORITHM) {
+    return { valid: false, problems: [`Unknown draw algorithm "${draw.algorithm}"`] };
+  }
+  if (hashEntrants(entrants) !== draw.entrantsHash) {
+    problems.push('Entrant snapshot does not match its recorded hash');
+  }
+
+  const ranking = rankEntrants(entrants, draw.seed);
+  const rankOf = new Map(ranking.map((entrant, index) => [entrant.orderId, index + 1]));
+
+  // The original winners are the top of the ranking
+  const original = draw.winners.filter(winner => !winner.round);
+  const expected = ranking.slice(0, draw.winnerCount).map(entrant => entrant.orderId);
+  if (original.map(winner => winner.orderId).join() !== expected.join()) {
+    problems.push('Original winners are not the top of the seeded ranking');
+  }
+
+  // Each redraw takes the first entrant not drawn before it and not passed over
+  const drawn = new Set(original.map(winner => winner.orderId));
+  draw.winners
+    .filter(winner => winner.round)
+    .sort((a, b) => a.round - b.round)
+    .forEach(winner => {
+      const skipped = new Set(winner.passedOver || []);
+      const next = ranking.find(entrant => !drawn.has(entrant.orderId) && !skipped.has(entrant.orderId));
+      if (!next || next.orderId !== winner.orderId) {
+        problems.push(`Redraw ${winner.round} (${winner.orderId}) is not the next entrant in the ranking`);
+      }
+      if ([...skipped].some(id => !(rankOf.get(id) < rankOf.get(winner.orderId)))) {
+        problems.push(`Redraw ${winner.round} passed over entrants ranked below its winner`);
+      }
+      drawn.add(winner.orderId);
+    });
+
+  draw.winners.forEach(winner => {
+    if (rankOf.get(winner.orderId) !== winner.rank) {
+      problems.push(`Recorded rank of ${winner.orderId} does not match the ranking`);
+    }
+  });
+
+  return { valid: problems.length === 0, problems };
+}
+
+module.exports = {
+  DRAW_ALGORITHM,
+  MAX_WINNERS,
+  DRAW_ERRORS,
+  getTicket,
+  rankEntrants,
+  hashEntrants,
+  getEntrants,
+  getEligibleEntrants,
+  parseDrawOptions,
+  runDraw,
+  redraw,
+  verifyDraw
+};
@@ -0,0 +1,189 @@
+const { CAMPAIGN_ERRORS } = require('./campaigns');
+
+/**
+ * Order eligibility rules
+ *
+ * /validate-order-id checks an Amazon order against its campaign's rules, and
+ * /claim-ticket and /submit-review run the same checks again on the server.
+ * Rules come from campaign.eligibility (plus campaign.eligibleAsins):
+ *   orderStatuses    - allowed SP-API OrderStatus values (empty = Shipped)
+ *   minOrderAgeDays  - order must be at least this old
+ *   maxOrderAgeDays  - order must be at most this old
+ *   marketplaceIds   - allowed MarketplaceId values (empty = any)
+ *   buyerCountries   - allowed shipping country codes (empty = any)
+ */
+
+const DEFAULT_ORDER_STATUSES = ['Shipped'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error codes returned for an order that can't be used; "rule" names the failed check
+const ELIGIBILITY_ERRORS = {
+  ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+  ORDER_LOOKUP_FAILED: 'ORDER_LOOKUP_FAILED',
+  ORDER_STATUS_NOT_ALLOWED: 'ORDER_STATUS_NOT_ALLOWED',
+  ORDER_TOO_RECENT: 'ORDER_TOO_RECENT',
+  ORDER_TOO_OLD: 'ORDER_TOO_OLD',
+  MARKETPLACE_NOT_ALLOWED: 'MARKETPLACE_NOT_ALLOWED',
+  COUNTRY_NOT_ALLOWED: 'COUNTRY_NOT_ALLOWED',
+  PRODUCT_NOT_IN_ORDER: 'PRODUCT_NOT_IN_ORDER',
+  INELIGIBLE_PRODUCT: CAMPAIGN_ERRORS.INELIGIBLE_PRODUCT
+};
+
+// HTTP status for each error (anything else is 400)
+const ERROR_STATUS = {
+  ORDER_NOT_FOUND: 404,
+  ORDER_LOOKUP_FAILED: 502
+};
+
+// SP-API error codes that mean the order ID doesn't exist for this seller
+const NOT_FOUND_CODES = ['NotFound', 'InvalidInput'];
+
+// Helper: Failure result
+const fail = (code, rule, message) => ({ code, rule, message });
+
+/**
+ * Rules for a campaign (defaults when there is no campaign)
+ */
+function getRules(campaign) {
+  const rules = (campaign && campaign.eligibility) || {};
+  const list = (values) => (values || []).filter(Boolean);
+
+  return {
+    allowedAsins: list(campaign && campaign.eligibleAsins),
+    orderStatuses: list(rules.orderStatuses).length ? list(rules.orderStatuses) : DEFAULT_ORDER_STATUSES,
+    minOrderAgeDays: typeof rules.minOrderAgeDays === 'number' ? rules.minOrderAgeDays : null,
+    maxOrderAgeDays: typeof rules.maxOrderAgeDays === 'number' ? rules.maxOrderAgeDays : null,
+    marketplaceIds: list(rules.marketplaceIds),
+    buyerCountries: list(rules.buyerCountries).map(code => code.toUpperCase())
+  };
+}
+
+/**
+ * Check an SP-API order and its items against rules. Returns null when the
+ * order is eligible, otherwise { code, rule, message }.
+ *
+ * @param {object} order - getOrder payload
+ * @param {Array} items - getOrderItems OrderItems
+ * @param {object} rules - Output of getRules
+ * @param {object} options - { asin: ASIN(s) the customer picked, now }
+ */
+function checkOrder(order, items, rules, { asin, now = new Date() } = {}) {
+  if (!rules.orderStatuses.includes(order.OrderStatus)) {
+    return fail(ELIGIBILITY_ERRORS.ORDER_STATUS_NOT_ALLOWED, 'orderStatuses',
+      order.OrderStatus === 'Canceled'
+        ? 'This order was canceled.'
+        : 'This order has not shipped yet. Please try again once it has been shipped.');
+  }
+
+  if (rules.marketplaceIds.length && !rules.marketplaceIds.includes(order.MarketplaceId)) {
+    return fail(ELIGIBILITY_ERRORS.MARKETPLACE_NOT_ALLOWED, 'marketplaceIds',
+      'Orders from this Amazon store are not eligible for this promotion.');
+  }
+
+  const country = order.ShippingAddress && order.ShippingAddress.CountryCode;
+  if (rules.buyerCountries.length && !rules.buyerCountries.includes(String(country || '').toUpperCase())) {
+    return fail(ELIGIBILITY_ERRORS.COUNTRY_NOT_ALLOWED, 'buyerCountries',
+      'Orders shipped to this country are not eligible for this promotion.');
+  }
+
+  const purchasedAt = new Date(order.PurchaseDate);
+  const ageDays = (now - purchasedAt) / DAY_MS;
+  if (rules.minOrderAgeDays !== null && !(ageDays >= rules.minOrderAgeDays)) {
+    return fail(ELIGIBILITY_ERRORS.ORDER_TOO_RECENT, 'minOrderAgeDays',
+      `Orders can be used ${rules.minOrderAgeDays} days after purchase. Please try again later.`);
+  }
+  if (rules.maxOrderAgeDays !== null && !(ageDays <= rules.maxOrderAgeDays)) {
+    return fail(ELIGIBILITY_ERRORS.ORDER_TOO_OLD, 'maxOrderAgeDays',
+      `Only orders from the last ${rules.maxOrderAgeDays} days are eligible.`);
+  }
+
+  const orderAsins = items.map(item => item.ASIN);
+  const picked = (Array.isArray(asin) ? asin : [asin]).filter(Boolean);
+  if (picked.some(value => !orderAsins.includes(value))) {
+    return fail(ELIGIBILITY_ERRORS.PRODUCT_NOT_IN_ORDER, 'asin',
+      'The selected product is not part of this order.');
+  }
+
+  const candidates = picked.length ? picked : orderAsins;
+  if (rules.allowedAsins.length && !candidates.some(value => rules.allowedAsins.includes(value))) {
+    return fail(ELIGIBILITY_ERRORS.INELIGIBLE_PRODUCT, 'allowedAsins',
+      'This product is not eligible for this promotion.');
+  }
+
+  return null;
+}
+
+/**
+ * Look up an Amazon order and check it against a campaign's rules.
+ * Returns { order, products, asins, failure } - failure is null when eligible.
+ *
+ * @param {object} sellingPartner - amazon-sp-api client
+ * @param {string} orderId - Amazon order ID
+ * @param {object} campaign - Campaign (or null for the default rules)
+ * @param {object} options - { asin } the customer picked, when submitting
+ */
+async function verifyOrder(sellingPartner, orderId, campaign, { asin } = {}) {
+  if (typeof orderId !== 'string' || !orderId.trim()) {
+    return { failure: fail(ELIGIBILITY_ERRORS.ORDER_NOT_FOUND, 'orderId', 'Please enter your Amazon order ID.') };
+  }
+
+  let order;
+  let items;
+  try {
+    order = await sellingPartner.callAPI({
+      operation: 'getOrder',
+      endpoint: 'orders',
+      path: { orderId: orderId.trim() }
+    });
+
+    if (order && Object.keys(order).length > 0) {
+      const orderItems = await sellingPartner.callAPI({
+        operation: 'getOrderItems',
+        endpoint: 'orders',
+        path: { orderId: orderId.trim() }
+      });
+      items = orderItems.OrderItems || [];
+    }
+  } catch (error) {
+    if (NOT_FOUND_CODES.includes(error.code)) {
+      order = null;
+    } else {
+      console.error(`Error looking up order ${orderId}:`, error);
+      return { failure: fail(ELIGIBILITY_ERRORS.ORDER_LOOKUP_FAILED, null, 'We could not check this order right now. Please try again shortly.') };
+    }
+  }
+
+  if (!order || Object.keys(order).length === 0) {
+    return { failure: fail(ELIGIBILITY_ERRORS.ORDER_NOT_FOUND, 'orderId', 'We could not find this order. Please check the order ID.') };
+  }
+
+  const products = items.map(item => ({
+    asin: item.ASIN,
+    title: item.Title,
+    quantity: item.QuantityOrdered
+  }));
+
+  return {
+    order,
+    products,
+    asins: products.map(product => product.asin),
+    failure: checkOrder(order, items, getRules(campaign), { asin })
+  };
+}
+
+/**
+ * HTTP status to answer a failure with
+ */
+function getFailureStatus(failure) {
+  return ERROR_STATUS[failure.code] || 400;
+}
+
+module.exports = {
+  DEFAULT_ORDER_STATUSES,
+  ELIGIBILITY_ERRORS,
+  getRules,
+  checkOrder,
+  verifyOrder,
+  getFailureStatus
+};
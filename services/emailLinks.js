@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { safeEqual } = require('./adminSessions');
+
+/**
+ * Signed links placed in feedback emails
+ *
+ * Links carry a base64url JSON payload and an HMAC of it, so the public
+ * endpoints can trust the email/order they act on without a login.
+ *
+ * EMAIL_LINK_SECRET signs the links (falls back to CRON_SECRET).
+ * PUBLIC_BASE_URL is the address of this API as seen from the customer's inbox.
+ */
+
+// Helper: Secret used to sign links (null = links disabled)
+const getSecret = () => process.env.EMAIL_LINK_SECRET || process.env.CRON_SECRET || null;
+
+/**
+ * Public base URL of this server, without a trailing slash
+ */
+function getBaseUrl() {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  if (process.env.VERCEL_PROJECT_PRODUCTION_URL) return `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`;
+  return `http://localhost:${process.env.PORT || 5000}`;
+}
+
+// Helper: HMAC of a payload
+const signature = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Token for a payload object ("<payload>.<signature>"), or null when no secret is set
+ */
+function sign(data) {
+  const secret = getSecret();
+  if (!secret) return null;
+
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  return `${payload}.${signature(payload, secret)}`;
+}
+
+/**
+ * Payload object of a token, or null when it is malformed or the signature is wrong
+ */
+function verify(token) {
+  const secret = getSecret();
+  if (!secret || typeof token !== 'string') return null;
+
+  const [payload, sig] = token.split('.');
+  if (!payload || !sig || !safeEqual(sig, signature(payload, secret))) return null;
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * One-click unsubscribe URL for an address (orderId records which email it came from)
+ */
+function getUnsubscribeUrl(email, orderId) {
+  const token = sign({ e: String(email).toLowerCase().trim(), o: orderId });
+  return token ? `${getBaseUrl()}/unsubscribe/${token}` : null;
+}
+
+/**
+ * { email, orderId } from an unsubscribe token, or null
+ */
+function verifyUnsubscribeToken(token) {
+  const data = verify(token);
+  if (!data || typeof data.e !== 'string' || !data.e) return null;
+  return { email: data.e, orderId: data.o };
+}
+
+/**
+ * List-Unsubscribe headers (RFC 8058 one-click) for an unsubscribe URL
+ */
+function getUnsubscribeHeaders(url) {
+  if (!url) return {};
+  return {
+    'List-Unsubscribe': `<${url}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+if (!getSecret()) {
+  console.warn('⚠️  WARNING: EMAIL_LINK_SECRET not set. Feedback emails will be sent without unsubscribe links.');
+}
+
+module.exports = {
+  getBaseUrl,
+  sign,
+  verify,
+  getUnsubscribeUrl,
+  verifyUnsubscribeToken,
+  getUnsubscribeHeaders
+};
@@ -1,37 +1,26 @@
-const nodemailer = require('nodemailer');
 const FeedbackTracker = require('../models/FeedbackTracker');
 const EmailTemplate = require('../models/FeedbackTracker').EmailTemplate;
+const mailProvider = require('./mailProvider');
+const { ensureLegacyMigrated } = require('./sequences');
+const { findSuppression } = require('./suppressions');
+const emailLinks = require('./emailLinks');
+const emailTracking = require('./emailTracking');
+const webhooks = require('./webhooks');
 const fs = require('fs');
 const path = require('path');
 
-// Check if Gmail credentials are configured
-if (!process.env.GMAIL_USER) {
-  console.warn('⚠️  WARNING: GMAIL_USER not found in environment variables!');
-  console.warn('Emails will fail to send. Please add GMAIL_USER to your .env file.');
-}
-
-if (!process.env.GMAIL_PASS) {
-  console.warn('⚠️  WARNING: GMAIL_PASS not found in environment variables!');
-  console.warn('Emails will fail to send. Please add GMAIL_PASS (App Password) to your .env file.');
-}
-
-// Initialize Gmail transporter with Nodemailer
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.GMAIL_USER,
-    pass: process.env.GMAIL_PASS
-  }
-});
-
-// Verify transporter configuration on startup
-if (process.env.GMAIL_USER && process.env.GMAIL_PASS) {
-  transporter.verify(function(error, success) {
-    if (error) {
-      console.error('❌ Gmail SMTP verification failed:', error.message);
-      console.error('Please check your GMAIL_USER and GMAIL_PASS in .env file');
+// Check if the mail provider is configured
+const mailConfigError = mailProvider.checkConfig();
+if (mailConfigError) {
+  console.warn(`⚠️  WARNING: ${mailConfigError}`);
+  console.warn(`Emails will fail to send. Please check the ${mailProvider.getProviderName()} settings in your .env file.`);
+} else {
+  // Verify provider configuration on startup
+  mailProvider.verifyConnection().then(result => {
+    if (result.success) {
+      console.log(`✅ Mail provider "${result.provider}" is ready to send emails`);
     } else {
-      console.log('✅ Gmail SMTP is ready to send emails');
+      console.error(`❌ Mail provider "${result.provider}" verification failed:`, result.error);
     }
   });
 }
@@ -43,51 +32,257 @@ const RATE_LIMIT = {
   MAX_DAILY_EMAILS: 450 // Gmail allows 500/day, stay under limit
 };
 
+// Helper: Read a non-negative integer from the environment
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+// Catch-up configuration for emails the cron missed (skipped run, failure, per-run cap)
+const CATCHUP = {
+  GRACE_DAYS: envInt('EMAIL_CATCHUP_GRACE_DAYS', 7), // Overdue emails older than this are skipped as expired
+  MIN_GAP_DAYS: envInt('EMAIL_CATCHUP_MIN_GAP_DAYS', 2) // Don't send a late email this close to the next one
+};
+
+// Reasons recorded on emailSteps[].skipReason
+const SKIP_REASONS = {
+  EXPIRED: 'expired',
+  SUPERSEDED: 'superseded',
+  NEXT_STEP_IMMINENT: 'next-step-imminent',
+  SUPPRESSED: 'suppressed' // Address is on the suppression list (unsubscribed)
+};
+
+// Delivery bookkeeping per email step (used by the scheduler and manual sends)
+const DELIVERY = {
+  LOCK_DURATION: 2 * 60 * 1000, // A step being sent is considered stuck after 2 minutes
+  ATTEMPT_HISTORY: 20, // Attempts kept per step, oldest dropped first
+  RESPONSE_LIMIT: 500, // Characters of the provider response kept per attempt
+  RESEND_COOLDOWN_HOURS: envInt('EMAIL_RESEND_COOLDOWN_HOURS', 24) // A manual send this soon after another email needs confirming
+};
+
+// Reasons a manual send needs confirming (see checkManualSend)
+const MANUAL_SEND_WARNINGS = {
+  ALREADY_SENT: 'ALREADY_SENT',
+  RECENTLY_EMAILED: 'RECENTLY_EMAILED',
+  NOT_PENDING: 'NOT_PENDING'
+};
+
 // Helper: Sleep function for rate limiting
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Helper: Load HTML email template (checks DB first, then falls back to file)
-const loadEmailTemplate = async (dayNumber, customerName, productName = '', reviewUrl = '', productUrl = '') => {
+// Helper: Whole calendar days between two dates
+const daysBetween = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  start.setHours(0, 0, 0, 0);
+  end.setHours(0, 0, 0, 0);
+  return Math.round((end - start) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Decide what to do with a tracker's outstanding emails on this run.
+ * Returns { send: stepKey|null, skips: [{ stepKey, reason }] }
+ *
+ * Rules:
+ *  - Only the latest due step is a candidate; earlier due steps are superseded.
+ *  - A step overdue by more than GRACE_DAYS is expired.
+ *  - A late step is skipped when the next step is due within MIN_GAP_DAYS.
+ *    Steps that are due today are always sent.
+ */
+function planTrackerEmails(tracker, today, config = CATCHUP) {
+  const tomorrow = new Date(today);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+
+  const outstanding = [...tracker.emailSteps]
+    .filter(step => !step.sent && !step.skipped)
+    .sort((a, b) => a.scheduledDate - b.scheduledDate);
+
+  const due = outstanding.filter(step => step.scheduledDate < tomorrow);
+  const plan = { send: null, skips: [] };
+
+  if (due.length === 0) {
+    return plan;
+  }
+
+  const candidate = due[due.length - 1];
+  due.slice(0, -1).forEach(step => {
+    plan.skips.push({ stepKey: step.stepKey, reason: SKIP_REASONS.SUPERSEDED });
+  });
+
+  const daysOverdue = daysBetween(candidate.scheduledDate, today);
+  if (daysOverdue > config.GRACE_DAYS) {
+    plan.skips.push({ stepKey: candidate.stepKey, reason: SKIP_REASONS.EXPIRED });
+    return plan;
+  }
+
+  const next = outstanding[due.length];
+  if (daysOverdue > 0 && next && daysBetween(today, next.scheduledDate) < config.MIN_GAP_DAYS) {
+    plan.skips.push({ stepKey: candidate.stepKey, reason: SKIP_REASONS.NEXT_STEP_IMMINENT });
+    return plan;
+  }
+
+  plan.send = candidate.stepKey;
+  return plan;
+}
+
+/**
+ * Mark every outstanding email that fell outside the grace window as expired,
+ * so trackers the cron can no longer catch up still record what happened.
+ */
+async function expireOverdueEmails(graceStart) {
+  const now = new Date();
+  const overdue = {
+    sent: false,
+    skipped: { $ne: true },
+    scheduledDate: { $lt: graceStart }
+  };
+
+  const result = await FeedbackTracker.updateMany(
+    {
+      isActive: true,
+      status: 'pending',
+      emailSteps: { $elemMatch: overdue }
+    },
+    {
+      $set: {
+        'emailSteps.$[step].skipped': true,
+        'emailSteps.$[step].skippedAt': now,
+        'emailSteps.$[step].skipReason': SKIP_REASONS.EXPIRED,
+        updatedAt: now
+      }
+    },
+    {
+      arrayFilters: [{
+        'step.sent': false,
+        'step.skipped': { $ne: true },
+        'step.scheduledDate': { $lt: graceStart }
+      }]
+    }
+  );
+
+  return result.modifiedCount || 0;
+}
+
+// Default subjects for the built-in templates
+const DEFAULT_SUBJECTS = {
+  day3: '{{customerName}}, how\'s your Study Key product? 🎯',
+  day7: 'Quick favor - Share your Study Key experience? 📝',
+  day14: '{{customerName}}, your feedback matters to us! 💭',
+  day30: 'Final reminder: Share your Study Key review 🌟'
+};
+const FALLBACK_SUBJECT = 'Study Key - Review Request';
+
+// Links used when a tracker has no product details
+const DEFAULT_REVIEW_URL = 'https://www.amazon.com/review/create-review';
+const DEFAULT_PRODUCT_URL = 'https://www.amazon.com';
+
+// Helper: Replace template placeholders with tracker values
+const fillPlaceholders = (text, values) => {
+  return text
+    .replace(/{{customerName}}/g, values.customerName)
+    .replace(/{{productName}}/g, values.productName || 'your product')
+    .replace(/{{reviewUrl}}/g, values.reviewUrl || DEFAULT_REVIEW_URL)
+    .replace(/{{productUrl}}/g, values.productUrl || DEFAULT_PRODUCT_URL)
+    .replace(/{{unsubscribeUrl}}/g, values.unsubscribeUrl || '');
+};
+
+// Helper: Unsubscribe footer for templates that don't place {{unsubscribeUrl}} themselves
+const addUnsubscribeFooter = (html, unsubscribeUrl) => {
+  const footer = `
+    <p style="color: #999; font-size: 11px; text-align: center; margin-top: 20px;">
+      Don't want these emails? <a href="${unsubscribeUrl}" style="color: #999;">Unsubscribe</a>
+    </p>
+  `;
+  return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${footer}</body>`) : html + footer;
+};
+
+// Stand-in tracker for previews and test sends when no real order is picked
+const SAMPLE_TRACKER = {
+  orderId: '000-0000000-0000000',
+  customerName: 'John Doe',
+  customerEmail: 'john.doe@example.com',
+  productName: 'Study Key Flashcards',
+  asin: 'B000000000',
+  reviewUrl: 'https://www.amazon.com/review/create-review?asin=B000000000',
+  productUrl: 'https://www.amazon.com/dp/B000000000'
+};
+
+// Helper: Placeholder values for a tracker (recipient overrides who the unsubscribe link is for)
+const getTemplateValues = (tracker, recipient = tracker.customerEmail) => ({
+  customerName: tracker.customerName,
+  productName: tracker.productName || '',
+  reviewUrl: tracker.reviewUrl || '',
+  productUrl: tracker.productUrl || '',
+  unsubscribeUrl: emailLinks.getUnsubscribeUrl(recipient, tracker.orderId) || ''
+});
+
+// Helper: Fill a template's HTML and make sure it carries an unsubscribe link
+const renderHtml = (htmlContent, values) => {
+  const html = fillPlaceholders(htmlContent, values);
+  return values.unsubscribeUrl && !htmlContent.includes('{{unsubscribeUrl}}')
+    ? addUnsubscribeFooter(html, values.unsubscribeUrl)
+    : html;
+};
+
+/**
+ * Built-in template for a key: views/email/feedback-<key>.html if it exists,
+ * otherwise the generic fallback content. Placeholders are left unfilled.
+ */
+const getBuiltInTemplate = (templateKey, delayDays) => {
+  const subject = DEFAULT_SUBJECTS[templateKey] || FALLBACK_SUBJECT;
+  const templatePath = path.join(__dirname, '..', 'views', 'email', `feedback-${templateKey}.html`);
+  
+  try {
+    return {
+      key: templateKey,
+      subject,
+      htmlContent: fs.readFileSync(templatePath, 'utf8'),
+      isActive: false,
+      isFromFile: true
+    };
+  } catch (error) {
+    // No file for this key - use the generic content
+    return {
+      key: templateKey,
+      subject,
+      htmlContent: getDefaultEmailContent(delayDays, '{{customerName}}', '{{productName}}', '{{reviewUrl}}', '{{productUrl}}'),
+      isActive: false,
+      isFromFile: true
+    };
+  }
+};
+
+// Helper: Load HTML email template for a step (checks DB first, then falls back to file).
+// options.draft ({ subject, htmlContent }) takes the place of the saved template for previews,
+// options.recipient signs the unsubscribe link for someone other than the customer (test sends).
+const loadEmailTemplate = async (step, tracker, options = {}) => {
+  const values = getTemplateValues(tracker, options.recipient);
+  
+  if (options.draft && options.draft.htmlContent) {
+    return renderHtml(options.draft.htmlContent, values);
+  }
+  
   try {
     // Try to load from database first
-    const dbTemplate = await EmailTemplate.findOne({ day: dayNumber, isActive: true });
+    const dbTemplate = await EmailTemplate.findOne({ key: step.templateKey, isActive: true });
     
     if (dbTemplate && dbTemplate.htmlContent) {
       // Use database template
-      let html = dbTemplate.htmlContent;
-      html = html.replace(/{{customerName}}/g, customerName);
-      html = html.replace(/{{productName}}/g, productName || 'your product');
-      html = html.replace(/{{reviewUrl}}/g, reviewUrl || 'https://www.amazon.com/review/create-review');
-      html = html.replace(/{{productUrl}}/g, productUrl || 'https://www.amazon.com');
-      return html;
+      return renderHtml(dbTemplate.htmlContent, values);
     }
   } catch (error) {
-    console.log(`No custom template in DB for day ${dayNumber}, using file template`);
+    console.log(`No custom template in DB for ${step.templateKey}, using file template`);
   }
   
-  // Fall back to file template
-  const templatePath = path.join(__dirname, '..', 'views', 'email', `feedback-day${dayNumber}.html`);
-  
-  try {
-    let html = fs.readFileSync(templatePath, 'utf8');
-    // Replace placeholders
-    html = html.replace(/{{customerName}}/g, customerName);
-    html = html.replace(/{{productName}}/g, productName || 'your product');
-    html = html.replace(/{{reviewUrl}}/g, reviewUrl || 'https://www.amazon.com/review/create-review');
-    html = html.replace(/{{productUrl}}/g, productUrl || 'https://www.amazon.com');
-    return html;
-  } catch (error) {
-    console.error(`Error loading template for day ${dayNumber}:`, error);
-    // Fallback to simple text if template not found
-    return getDefaultEmailContent(dayNumber, customerName, productName, reviewUrl, productUrl);
-  }
+  // Fall back to file template (or generic content)
+  return renderHtml(getBuiltInTemplate(step.templateKey, step.delayDays).htmlContent, values);
 };
 
 // Fallback email content
 const getDefaultEmailContent = (dayNumber, customerName, productName = '', reviewUrl = '', productUrl = '') => {
   const productDisplay = productName ? productName : 'your product';
-  const finalReviewUrl = reviewUrl || 'https://www.amazon.com/review/create-review';
-  const finalProductUrl = productUrl || 'https://www.amazon.com';
+  const finalReviewUrl = reviewUrl || DEFAULT_REVIEW_URL;
+  const finalProductUrl = productUrl || DEFAULT_PRODUCT_URL;
   
   return `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
@@ -119,33 +314,138 @@ const getDefaultEmailContent = (dayNumber, customerName, productName = '', revie
   `;
 };
 
-// Get email subject by day (checks DB first, then defaults)
-const getEmailSubject = async (dayNumber, customerName) => {
+// Get email subject for a step (checks DB first, then defaults)
+const getEmailSubject = async (step, customerName, options = {}) => {
+  if (options.draft && options.draft.subject) {
+    return options.draft.subject.replace(/{{customerName}}/g, customerName);
+  }
+  
   try {
-    const dbTemplate = await EmailTemplate.findOne({ day: dayNumber, isActive: true });
+    const dbTemplate = await EmailTemplate.findOne({ key: step.templateKey, isActive: true });
     if (dbTemplate && dbTemplate.subject) {
       return dbTemplate.subject.replace(/{{customerName}}/g, customerName);
     }
   } catch (error) {
-    console.log(`No custom subject in DB for day ${dayNumber}, using default`);
+    console.log(`No custom subject in DB for ${step.templateKey}, using default`);
   }
   
   // Default subjects
-  const subjects = {
-    3: `${customerName}, how's your Study Key product? 🎯`,
-    7: `Quick favor - Share your Study Key experience? 📝`,
-    14: `${customerName}, your feedback matters to us! 💭`,
-    30: `Final reminder: Share your Study Key review 🌟`
-  };
-  return subjects[dayNumber] || `Study Key - Review Request`;
+  return (DEFAULT_SUBJECTS[step.templateKey] || FALLBACK_SUBJECT).replace(/{{customerName}}/g, customerName);
+};
+
+/**
+ * Render a step's email for a tracker the same way the scheduler sends it.
+ * Returns { subject, html }
+ *
+ * @param {object} step - { stepKey, templateKey, delayDays }
+ * @param {object} tracker - FeedbackTracker (or SAMPLE_TRACKER)
+ * @param {object} options - { draft: { subject, htmlContent } } to render unsaved edits,
+ *                           { recipient } to sign the unsubscribe link for another address
+ */
+async function renderFeedbackEmail(step, tracker, options = {}) {
+  const [subject, html] = await Promise.all([
+    getEmailSubject(step, tracker.customerName, options),
+    loadEmailTemplate(step, tracker, options)
+  ]);
+  return { subject, html };
+}
+
+// Helper: Tell webhook subscribers that a follow-up email failed (step.error is set)
+const publishFailure = (tracker, step) => webhooks.publish('feedback-email.failed', {
+  ...webhooks.describeTracker(tracker),
+  step: {
+    stepKey: step.stepKey,
+    delayDays: step.delayDays,
+    scheduledDate: step.scheduledDate,
+    error: step.error
+  }
+});
+
+// Helper: Provider response as text for the attempt history
+const describeResponse = (response) => {
+  if (response === undefined || response === null) return undefined;
+  const text = typeof response === 'string' ? response : JSON.stringify(response);
+  return text.slice(0, DELIVERY.RESPONSE_LIMIT);
+};
+
+// Helper: Add an attempt to the step's history (saved with the tracker)
+const recordAttempt = (step, options, outcome) => {
+  step.attempts.push({
+    at: new Date(),
+    trigger: options.trigger,
+    by: options.admin ? options.admin.email : undefined,
+    provider: mailProvider.getProviderName(),
+    ...outcome
+  });
+  while (step.attempts.length > DELIVERY.ATTEMPT_HISTORY) {
+    step.attempts.shift();
+  }
+};
+
+// Helper: Atomically claim a step for sending so the scheduler and admins never
+// send it at the same time. Unless resending, a step that was sent since the
+// tracker was loaded is not claimed either.
+const claimStep = async (tracker, step, resend) => {
+  const now = new Date();
+  const result = await FeedbackTracker.updateOne(
+    {
+      _id: tracker._id,
+      emailSteps: {
+        $elemMatch: {
+          stepKey: step.stepKey,
+          ...(resend ? {} : { sent: { $ne: true } }),
+          $or: [{ sendingUntil: null }, { sendingUntil: { $lt: now } }]
+        }
+      }
+    },
+    { $set: { 'emailSteps.$.sendingUntil': new Date(now.getTime() + DELIVERY.LOCK_DURATION) } }
+  );
+  return result.modifiedCount === 1;
 };
 
+// Helper: Release a claimed step
+const releaseStep = (tracker, step) => FeedbackTracker.updateOne(
+  { _id: tracker._id, 'emailSteps.stepKey': step.stepKey },
+  { $set: { 'emailSteps.$.sendingUntil': null } }
+);
+
 /**
- * Send a single feedback email
+ * Send a single feedback email for one step of the tracker's sequence
+ * (stepKey, or a legacy day number such as 3). Every attempt is added to
+ * the step's attempts history.
+ *
+ * @param {object} options - { trigger: 'scheduler' | 'manual', admin, resend }.
+ *   resend allows sending a step that was already sent; without it a step
+ *   sent in the meantime is left alone. Returns { busy: true } when the step
+ *   is being sent by someone else.
  */
-async function sendFeedbackEmail(tracker, dayNumber) {
+async function sendFeedbackEmail(tracker, stepKey, options = {}) {
+  const step = tracker.getEmailStep(stepKey);
+  if (!step) {
+    console.error(`❌ Tracker ${tracker.orderId} has no email step "${stepKey}"`);
+    return { success: false, error: `Unknown email step: ${stepKey}` };
+  }
+  
+  const attemptOptions = { trigger: 'scheduler', ...options };
+  if (!(await claimStep(tracker, step, attemptOptions.resend))) {
+    console.log(`⏳ ${step.stepKey} email for ${tracker.orderId} was just sent or is being sent elsewhere, skipping`);
+    return { success: false, busy: true, error: 'This email was just sent or is being sent right now' };
+  }
+  
+  try {
+    return await deliverStep(tracker, step, attemptOptions);
+  } finally {
+    await releaseStep(tracker, step);
+  }
+}
+
+// Helper: Send a claimed step and record the attempt (see sendFeedbackEmail)
+async function deliverStep(tracker, step, options) {
+  // A failed resend leaves the earlier send in place
+  const wasSent = Boolean(step.sent);
+  
   console.log(`\n========================================`);
-  console.log(`📧 Attempting to send Day ${dayNumber} email`);
+  console.log(`📧 Attempting to send ${step.stepKey} email (day ${step.delayDays})`);
   console.log(`Order ID: ${tracker.orderId}`);
   console.log(`Customer: ${tracker.customerName} <${tracker.customerEmail}>`);
   console.log(`Product: ${tracker.productName || 'N/A'}`);
@@ -154,87 +454,103 @@ async function sendFeedbackEmail(tracker, dayNumber) {
   console.log(`========================================`);
   
   try {
-    // Check for Gmail configuration
-    console.log(`🔍 Checking Gmail configuration...`);
-    if (!process.env.GMAIL_USER) {
-      const error = 'GMAIL_USER not configured. Cannot send email.';
-      console.error(`❌ ${error}`);
-      tracker.emailSchedule[`day${dayNumber}`].error = error;
-      await tracker.save();
-      return { success: false, error: error };
+    // Never email an address that opted out
+    const suppression = await findSuppression(tracker.customerEmail);
+    if (suppression) {
+      console.log(`⛔ ${tracker.customerEmail} is suppressed (${suppression.reason}), skipping`);
+      recordAttempt(step, options, { error: `Not sent: address is suppressed (${suppression.reason})` });
+      if (wasSent) {
+        // A blocked resend doesn't undo the earlier delivery
+        await tracker.save();
+      } else {
+        await tracker.markEmailSkipped(step.stepKey, SKIP_REASONS.SUPPRESSED);
+      }
+      console.log(`========================================\n`);
+      return { success: false, skipped: true, reason: SKIP_REASONS.SUPPRESSED };
     }
-    if (!process.env.GMAIL_PASS) {
-      const error = 'GMAIL_PASS not configured. Cannot send email.';
-      console.error(`❌ ${error}`);
-      tracker.emailSchedule[`day${dayNumber}`].error = error;
+    
+    // Check mail provider configuration
+    const provider = mailProvider.getProviderName();
+    console.log(`🔍 Checking ${provider} configuration...`);
+    const configError = mailProvider.checkConfig(provider);
+    if (configError) {
+      console.error(`❌ ${configError}`);
+      step.error = configError;
+      recordAttempt(step, options, { error: configError });
       await tracker.save();
-      return { success: false, error: error };
+      await publishFailure(tracker, step);
+      return { success: false, error: configError };
     }
-    console.log(`✅ GMAIL_USER found: ${process.env.GMAIL_USER}`);
-    console.log(`✅ GMAIL_PASS configured: ${process.env.GMAIL_PASS.substring(0, 4)}...`);
+    console.log(`✅ Mail provider configured: ${provider}`);
     
     console.log(`\n📝 Loading email template...`);
-    const emailHtml = await loadEmailTemplate(
-      dayNumber, 
-      tracker.customerName,
-      tracker.productName || '',
-      tracker.reviewUrl || '',
-      tracker.productUrl || ''
-    );
+    const emailHtml = emailTracking.addTracking(await loadEmailTemplate(step, tracker), {
+      orderId: tracker.orderId,
+      stepKey: step.stepKey,
+      links: {
+        review: tracker.reviewUrl || DEFAULT_REVIEW_URL,
+        product: tracker.productUrl || DEFAULT_PRODUCT_URL
+      }
+    });
     console.log(`✅ Template loaded (${emailHtml.length} characters)`);
     
-    const subject = await getEmailSubject(dayNumber, tracker.customerName);
+    const subject = await getEmailSubject(step, tracker.customerName);
     console.log(`✅ Subject: "${subject}"`);
     
-    console.log(`\n📤 Sending via Gmail SMTP...`);
-    console.log(`From: ${process.env.GMAIL_USER}`);
+    console.log(`\n📤 Sending via ${provider}...`);
+    console.log(`From: ${mailProvider.getFromAddress()}`);
     console.log(`To: ${tracker.customerEmail}`);
     
-    // Send email via Gmail
-    const info = await transporter.sendMail({
-      from: `"Study Key" <${process.env.GMAIL_USER}>`,
+    // Send email via the configured provider
+    const info = await mailProvider.sendMail({
       to: tracker.customerEmail,
       subject: subject,
-      html: emailHtml
+      html: emailHtml,
+      headers: emailLinks.getUnsubscribeHeaders(
+        emailLinks.getUnsubscribeUrl(tracker.customerEmail, tracker.orderId)
+      )
     });
     
-    console.log(`\nGmail Response:`, JSON.stringify(info, null, 2));
+    console.log(`\nProvider Response:`, JSON.stringify(info, null, 2));
     
     // Check if email was accepted
     if (!info.accepted || info.accepted.length === 0) {
       const errorMessage = info.rejected ? `Email rejected: ${info.rejected.join(', ')}` : 'Email failed to send';
       
-      console.error(`\n❌ Gmail rejected the email!`);
+      console.error(`\n❌ ${provider} rejected the email!`);
       console.error(`Error: ${errorMessage}`);
       
       // Mark as FAILED (don't mark as sent)
-      tracker.emailSchedule[`day${dayNumber}`].error = errorMessage;
-      tracker.emailSchedule[`day${dayNumber}`].sent = false;
+      step.error = errorMessage;
+      step.sent = wasSent;
+      recordAttempt(step, options, { messageId: info.messageId, response: describeResponse(info.response), error: errorMessage });
       await tracker.save();
+      await publishFailure(tracker, step);
       console.log(`❌ Marked as FAILED in database (NOT sent)`);
       console.log(`========================================\n`);
       
       return { success: false, error: errorMessage };
     }
     
-    console.log(`\n✅ SUCCESS! Email sent via Gmail`);
+    console.log(`\n✅ SUCCESS! Email sent via ${provider}`);
     console.log(`Message ID: ${info.messageId}`);
     console.log(`Accepted: ${info.accepted.join(', ')}`);
     console.log(`Response: ${info.response}`);
     
     // Mark as sent
-    tracker.emailSchedule[`day${dayNumber}`].sent = true;
-    tracker.emailSchedule[`day${dayNumber}`].sentAt = new Date();
-    tracker.emailSchedule[`day${dayNumber}`].error = null;
+    step.sent = true;
+    step.sentAt = new Date();
+    step.error = null;
+    recordAttempt(step, options, { success: true, messageId: info.messageId, response: describeResponse(info.response) });
     await tracker.save();
     console.log(`✅ Marked as sent in database`);
     
-    console.log(`\n✓ Day ${dayNumber} email completed successfully!`);
+    console.log(`\n✓ ${step.stepKey} email completed successfully!`);
     console.log(`========================================\n`);
     return { success: true, emailId: info.messageId };
     
   } catch (error) {
-    console.error(`\n❌ FAILED to send Day ${dayNumber} email!`);
+    console.error(`\n❌ FAILED to send ${step.stepKey} email!`);
     console.error(`Error Type: ${error.name}`);
     console.error(`Error Message: ${error.message}`);
     
@@ -254,9 +570,11 @@ async function sendFeedbackEmail(tracker, dayNumber) {
     }
     
     // Log error but DON'T mark as sent (this was the bug!)
-    tracker.emailSchedule[`day${dayNumber}`].error = error.message || 'Unknown error';
-    tracker.emailSchedule[`day${dayNumber}`].sent = false; // ← Keep as NOT sent
+    step.error = error.message || 'Unknown error';
+    step.sent = wasSent; // ← Keep as NOT sent (unless this was a resend)
+    recordAttempt(step, options, { response: describeResponse(error.response), error: step.error });
     await tracker.save();
+    await publishFailure(tracker, step);
     console.log(`❌ Marked as FAILED in database (NOT sent)`);
     
     console.log(`========================================\n`);
@@ -264,8 +582,46 @@ async function sendFeedbackEmail(tracker, dayNumber) {
   }
 }
 
+/**
+ * Reasons an admin should confirm before sending a step by hand: it was
+ * already sent, the customer got an email recently, or the tracker is no
+ * longer waiting for a review. Returns [{ code, message }] (empty when none).
+ */
+function checkManualSend(tracker, step, now = new Date()) {
+  const warnings = [];
+  
+  if (step.sent) {
+    warnings.push({
+      code: MANUAL_SEND_WARNINGS.ALREADY_SENT,
+      message: `The ${step.stepKey} email was already sent${step.sentAt ? ` on ${step.sentAt.toISOString()}` : ''}`
+    });
+  }
+  
+  const cooldownStart = new Date(now.getTime() - DELIVERY.RESEND_COOLDOWN_HOURS * 60 * 60 * 1000);
+  const lastSentAt = tracker.emailSteps
+    .map(s => s.sentAt)
+    .filter(Boolean)
+    .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+  if (lastSentAt && lastSentAt > cooldownStart) {
+    warnings.push({
+      code: MANUAL_SEND_WARNINGS.RECENTLY_EMAILED,
+      message: `${tracker.customerEmail} was emailed less than ${DELIVERY.RESEND_COOLDOWN_HOURS} hours ago (${lastSentAt.toISOString()})`
+    });
+  }
+  
+  if (tracker.status !== 'pending' || !tracker.isActive) {
+    warnings.push({
+      code: MANUAL_SEND_WARNINGS.NOT_PENDING,
+      message: `This tracker is ${tracker.isActive ? tracker.status : `${tracker.status} and inactive`}`
+    });
+  }
+  
+  return warnings;
+}
+
 /**
  * Process all pending emails (called by cron job)
+ * Picks up emails due today plus any overdue ones still inside the grace window.
  */
 async function processPendingEmails() {
   const startTime = Date.now();
@@ -274,86 +630,107 @@ async function processPendingEmails() {
     sent: 0,
     failed: 0,
     skipped: 0,
-    errors: []
+    expired: 0,
+    errors: [],
+    skips: []
   };
   
   try {
+    // Convert any trackers still on the fixed day 3/7/14/30 layout
+    await ensureLegacyMigrated();
+    
     const today = new Date();
     today.setHours(0, 0, 0, 0); // Start of today
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1); // Start of tomorrow
+    const graceStart = new Date(today);
+    graceStart.setDate(graceStart.getDate() - CATCHUP.GRACE_DAYS); // Oldest date we still catch up
+    
+    // Record emails that are too old to send
+    results.expired = await expireOverdueEmails(graceStart);
+    if (results.expired > 0) {
+      console.log(`Expired ${results.expired} emails older than ${CATCHUP.GRACE_DAYS} days`);
+    }
     
-    // Find all active trackers with emails due today
+    // Find all active trackers with emails due today or overdue within the grace window
     const trackers = await FeedbackTracker.find({
       isActive: true,
       status: 'pending',
-      $or: [
-        {
-          'emailSchedule.day3.sent': false,
-          'emailSchedule.day3.scheduledDate': { $gte: today, $lt: tomorrow }
-        },
-        {
-          'emailSchedule.day7.sent': false,
-          'emailSchedule.day7.scheduledDate': { $gte: today, $lt: tomorrow }
-        },
-        {
-          'emailSchedule.day14.sent': false,
-          'emailSchedule.day14.scheduledDate': { $gte: today, $lt: tomorrow }
-        },
-        {
-          'emailSchedule.day30.sent': false,
-          'emailSchedule.day30.scheduledDate': { $gte: today, $lt: tomorrow }
+      emailSteps: {
+        $elemMatch: {
+          sent: false,
+          skipped: { $ne: true },
+          scheduledDate: { $gte: graceStart, $lt: tomorrow }
         }
-      ]
-    }).limit(RATE_LIMIT.MAX_EMAILS_PER_RUN);
+      }
+    })
+      .sort({ submissionDate: 1 }) // Oldest first so backlogs drain in order
+      .limit(RATE_LIMIT.MAX_EMAILS_PER_RUN);
     
-    console.log(`Found ${trackers.length} trackers with pending emails for today`);
+    console.log(`Found ${trackers.length} trackers with pending or overdue emails`);
     
     // Process each tracker
     for (const tracker of trackers) {
-      // Check which day to send
-      const daysToCheck = [30, 14, 7, 3]; // Priority: later days first
+      const plan = planTrackerEmails(tracker, today);
+      
+      // Record stale steps we won't send
+      for (const skip of plan.skips) {
+        await tracker.markEmailSkipped(skip.stepKey, skip.reason);
+        results.skipped++;
+        results.skips.push({ orderId: tracker.orderId, step: skip.stepKey, reason: skip.reason });
+        console.log(`Skipped ${skip.stepKey} email for ${tracker.orderId} (${skip.reason})`);
+      }
       
-      for (const day of daysToCheck) {
-        const dayKey = `day${day}`;
-        const emailData = tracker.emailSchedule[dayKey];
+      // Only send one email per tracker per run
+      if (plan.send) {
+        results.processed++;
         
-        if (!emailData.sent && 
-            emailData.scheduledDate >= today && 
-            emailData.scheduledDate < tomorrow) {
-          
-          results.processed++;
-          
-          // Send email with rate limiting
-          const result = await sendFeedbackEmail(tracker, day);
-          
-          if (result.success) {
-            results.sent++;
-          } else {
-            results.failed++;
-            results.errors.push({
-              orderId: tracker.orderId,
-              day: day,
-              error: result.error
-            });
-          }
-          
-          // Rate limiting delay
-          if (results.processed < trackers.length) {
-            await sleep(RATE_LIMIT.DELAY_BETWEEN_EMAILS);
-          }
-          
-          break; // Only send one email per tracker per run
+        // Send email with rate limiting
+        const result = await sendFeedbackEmail(tracker, plan.send);
+        
+        if (result.success) {
+          results.sent++;
+        } else if (result.skipped) {
+          // Suppressed address - nothing went out
+          results.skipped++;
+          results.skips.push({ orderId: tracker.orderId, step: plan.send, reason: result.reason });
+        } else if (!result.busy) {
+          // Failed (busy means it is being sent elsewhere right now)
+          results.failed++;
+          results.errors.push({
+            orderId: tracker.orderId,
+            step: plan.send,
+            error: result.error
+          });
+        }
+        
+        // Rate limiting delay
+        if (!result.skipped && !result.busy && results.processed < trackers.length) {
+          await sleep(RATE_LIMIT.DELAY_BETWEEN_EMAILS);
         }
       }
       
-      // Check if we should stop after day 30
-      if (tracker.emailSchedule.day30.sent && tracker.status === 'pending') {
+      // Check if we should stop after the last step
+      if (tracker.isSequenceComplete() && tracker.status === 'pending') {
         await tracker.markAsUnreviewed();
-        console.log(`Marked tracker ${tracker.orderId} as unreviewed (all emails sent, no review)`);
+        console.log(`Marked tracker ${tracker.orderId} as unreviewed (all emails done, no review)`);
+        await webhooks.publish('tracker.unreviewed', { ...webhooks.describeTracker(tracker), source: 'scheduler' });
       }
     }
     
+    // Trackers whose remaining emails expired without being picked up
+    const finished = await FeedbackTracker.find({
+      isActive: true,
+      status: 'pending',
+      'emailSteps.0': { $exists: true },
+      emailSteps: { $not: { $elemMatch: { sent: false, skipped: { $ne: true } } } }
+    });
+    for (const tracker of finished) {
+      await tracker.markAsUnreviewed();
+      console.log(`Marked tracker ${tracker.orderId} as unreviewed (remaining emails expired)`);
+      await webhooks.publish('tracker.unreviewed', { ...webhooks.describeTracker(tracker), source: 'scheduler' });
+    }
+    
     const duration = Date.now() - startTime;
     
     console.log(`\n=== Email Processing Summary ===`);
@@ -362,10 +739,11 @@ async function processPendingEmails() {
     console.log(`Sent: ${results.sent}`);
     console.log(`Failed: ${results.failed}`);
     console.log(`Skipped: ${results.skipped}`);
+    console.log(`Expired: ${results.expired}`);
     if (results.errors.length > 0) {
       console.log(`\n❌ Errors:`);
       results.errors.forEach(err => {
-        console.log(`  Order: ${err.orderId} | Day: ${err.day} | Error: ${err.error}`);
+        console.log(`  Order: ${err.orderId} | Step: ${err.step} | Error: ${err.error}`);
       });
     }
     console.log(`==============================\n`);
@@ -379,18 +757,39 @@ async function processPendingEmails() {
 }
 
 /**
- * Send a test email (for testing purposes)
+ * Send a test email: a template rendered with sample data (or a real tracker),
+ * subject prefixed with [TEST]. Never touches the tracker's email steps.
+ *
+ * @param {string} email - Recipient
+ * @param {object} options - { step, tracker, draft } (defaults to the day 3 template and sample data)
  */
-async function sendTestEmail(email, name = 'Test User') {
+async function sendTestEmail(email, options = {}) {
+  const {
+    step = { stepKey: 'day3', templateKey: 'day3', delayDays: 3 },
+    tracker = SAMPLE_TRACKER,
+    draft
+  } = options;
+  
   try {
-    const info = await transporter.sendMail({
-      from: `"Study Key" <${process.env.GMAIL_USER}>`,
+    const configError = mailProvider.checkConfig();
+    if (configError) {
+      return { success: false, error: configError };
+    }
+    
+    // Unsubscribe link and header act on the test recipient, not the customer
+    const { subject, html } = await renderFeedbackEmail(step, tracker, { draft, recipient: email });
+    const info = await mailProvider.sendMail({
       to: email,
-      subject: 'Test Email - Study Key Feedback System',
-      html: getDefaultEmailContent(3, name)
+      subject: `[TEST] ${subject}`,
+      html,
+      headers: emailLinks.getUnsubscribeHeaders(emailLinks.getUnsubscribeUrl(email, tracker.orderId))
     });
     
-    return { success: true, emailId: info.messageId };
+    if (!info.accepted || info.accepted.length === 0) {
+      return { success: false, error: info.rejected ? `Email rejected: ${info.rejected.join(', ')}` : 'Email failed to send' };
+    }
+    
+    return { success: true, emailId: info.messageId, subject };
   } catch (error) {
     console.error('Test email error:', error);
     return { success: false, error: error.message };
@@ -399,7 +798,20 @@ async function sendTestEmail(email, name = 'Test User') {
 
 module.exports = {
   sendFeedbackEmail,
+  checkManualSend,
   processPendingEmails,
   sendTestEmail,
-  RATE_LIMIT
+  planTrackerEmails,
+  expireOverdueEmails,
+  renderFeedbackEmail,
+  loadEmailTemplate,
+  getEmailSubject,
+  getBuiltInTemplate,
+  getDefaultEmailContent,
+  SAMPLE_TRACKER,
+  RATE_LIMIT,
+  CATCHUP,
+  DELIVERY,
+  MANUAL_SEND_WARNINGS,
+  SKIP_REASONS
 };
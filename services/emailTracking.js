@@ -0,0 +1,187 @@
+const FeedbackTracker = require('../models/FeedbackTracker');
+const emailLinks = require('./emailLinks');
+
+/**
+ * Open and click tracking for feedback emails
+ *
+ * Outgoing emails get a 1x1 pixel and their http(s) links rewritten to a
+ * signed redirect. Both tokens carry the tracker's orderId and the step key,
+ * so opens and clicks are counted on the exact email step that was sent.
+ *
+ * EMAIL_TRACKING=false turns tracking off (links are then left untouched).
+ */
+
+// Labels stored in emailSteps[].linkClicks
+const LINK_LABELS = ['review', 'product', 'other'];
+
+// Transparent 1x1 GIF served by the open pixel
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const isEnabled = () => process.env.EMAIL_TRACKING !== 'false';
+
+// Helper: Attribute values are HTML-escaped in templates
+const decodeHref = (href) => href.replace(/&amp;/g, '&');
+
+/**
+ * Pixel URL for one email step
+ */
+function getOpenUrl(orderId, stepKey) {
+  const token = emailLinks.sign({ t: 'open', o: orderId, s: stepKey });
+  return token ? `${emailLinks.getBaseUrl()}/email/open/${token}` : null;
+}
+
+/**
+ * Redirect URL for a link in one email step
+ */
+function getClickUrl(orderId, stepKey, label, url) {
+  const token = emailLinks.sign({ t: 'click', o: orderId, s: stepKey, l: label, u: url });
+  return token ? `${emailLinks.getBaseUrl()}/email/click/${token}` : null;
+}
+
+/**
+ * { type, orderId, stepKey, label, url } from a tracking token, or null
+ */
+function verifyTrackingToken(token, type) {
+  const data = emailLinks.verify(token);
+  if (!data || data.t !== type || typeof data.o !== 'string' || typeof data.s !== 'string') return null;
+  if (type === 'click' && !/^https?:\/\//i.test(data.u || '')) return null;
+
+  return {
+    type: data.t,
+    orderId: data.o,
+    stepKey: data.s,
+    label: LINK_LABELS.includes(data.l) ? data.l : 'other',
+    url: data.u
+  };
+}
+
+/**
+ * Add the open pixel and route links through the click redirect.
+ * links maps labels to the URLs the template filled in ({ review, product }).
+ * Unsubscribe links are left alone so opting out never depends on tracking.
+ */
+function addTracking(html, { orderId, stepKey, links = {} }) {
+  if (!isEnabled()) return html;
+
+  const openUrl = getOpenUrl(orderId, stepKey);
+  if (!openUrl) return html;
+
+  const unsubscribePrefix = `${emailLinks.getBaseUrl()}/unsubscribe/`;
+  const tracked = html.replace(/href=(["'])(https?:\/\/[^"']+)\1/gi, (match, quote, href) => {
+    const url = decodeHref(href);
+    if (url.startsWith(unsubscribePrefix)) return match;
+
+    const label = Object.keys(links).find(key => links[key] === url) || 'other';
+    return `href=${quote}${getClickUrl(orderId, stepKey, label, url)}${quote}`;
+  });
+
+  const pixel = `<img src="${openUrl}" width="1" height="1" alt="" style="display: block; width: 1px; height: 1px; border: 0;">`;
+  return /<\/body>/i.test(tracked) ? tracked.replace(/<\/body>/i, `${pixel}</body>`) : tracked + pixel;
+}
+
+/**
+ * Count an open on a tracker's email step
+ */
+function recordOpen(orderId, stepKey) {
+  const now = new Date();
+  return FeedbackTracker.updateOne(
+    { orderId, 'emailSteps.stepKey': stepKey },
+    {
+      $inc: { 'emailSteps.$.openCount': 1 },
+      $min: { 'emailSteps.$.firstOpenedAt': now },
+      $set: { 'emailSteps.$.lastOpenedAt': now }
+    }
+  );
+}
+
+/**
+ * Count a click on a tracker's email step (a click also proves the email was opened)
+ */
+function recordClick(orderId, stepKey, label) {
+  const now = new Date();
+  return FeedbackTracker.updateOne(
+    { orderId, 'emailSteps.stepKey': stepKey },
+    {
+      $inc: {
+        'emailSteps.$.clickCount': 1,
+        [`emailSteps.$.linkClicks.${label}`]: 1
+      },
+      $min: {
+        'emailSteps.$.firstClickedAt': now,
+        'emailSteps.$.firstOpenedAt': now
+      },
+      $set: { 'emailSteps.$.lastClickedAt': now }
+    }
+  );
+}
+
+// Helper: 1 when a date field is set, else 0
+const countIfSet = (field) => ({ $cond: [{ $ifNull: [field, false] }, 1, 0] });
+
+/**
+ * Opens and clicks of sent emails, per sequence step and overall.
+ * Rates are fractions of the emails sent.
+ */
+async function getEngagementStats() {
+  const steps = await FeedbackTracker.aggregate([
+    { $unwind: '$emailSteps' },
+    { $match: { 'emailSteps.sent': true } },
+    {
+      $group: {
+        _id: {
+          sequenceKey: '$sequenceKey',
+          stepKey: '$emailSteps.stepKey'
+        },
+        delayDays: { $first: '$emailSteps.delayDays' },
+        sent: { $sum: 1 },
+        opened: { $sum: countIfSet('$emailSteps.firstOpenedAt') },
+        clicked: { $sum: countIfSet('$emailSteps.firstClickedAt') },
+        opens: { $sum: { $ifNull: ['$emailSteps.openCount', 0] } },
+        clicks: { $sum: { $ifNull: ['$emailSteps.clickCount', 0] } },
+        reviewClicks: { $sum: { $ifNull: ['$emailSteps.linkClicks.review', 0] } },
+        productClicks: { $sum: { $ifNull: ['$emailSteps.linkClicks.product', 0] } }
+      }
+    },
+    { $sort: { '_id.sequenceKey': 1, delayDays: 1 } }
+  ]);
+
+  const rate = (count, sent) => (sent ? count / sent : 0);
+  const byStep = steps.map(step => ({
+    sequenceKey: step._id.sequenceKey,
+    stepKey: step._id.stepKey,
+    delayDays: step.delayDays,
+    sent: step.sent,
+    opened: step.opened,
+    clicked: step.clicked,
+    opens: step.opens,
+    clicks: step.clicks,
+    reviewClicks: step.reviewClicks,
+    productClicks: step.productClicks,
+    openRate: rate(step.opened, step.sent),
+    clickRate: rate(step.clicked, step.sent)
+  }));
+
+  const totals = byStep.reduce((sum, step) => {
+    ['sent', 'opened', 'clicked', 'opens', 'clicks', 'reviewClicks', 'productClicks'].forEach(field => {
+      sum[field] += step[field];
+    });
+    return sum;
+  }, { sent: 0, opened: 0, clicked: 0, opens: 0, clicks: 0, reviewClicks: 0, productClicks: 0 });
+  totals.openRate = rate(totals.opened, totals.sent);
+  totals.clickRate = rate(totals.clicked, totals.sent);
+
+  return { totals, byStep };
+}
+
+module.exports = {
+  PIXEL,
+  LINK_LABELS,
+  isEnabled,
+  getOpenUrl,
+  getClickUrl,
+  verifyTrackingToken,
+  addTracking,
+  recordOpen,
+  recordClick,
+  getEngagementStats
+};
@@ -0,0 +1,266 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const TicketClaim = require('../models/TicketClaim');
+const Order = require('../models/Order');
+const FeedbackTracker = require('../models/FeedbackTracker');
+const filters = require('./filters');
+const csv = require('./csv');
+const xlsx = require('./xlsx');
+
+/**
+ * Streaming exports of ticket claims, gift orders and feedback trackers
+ *
+ * Rows are read from a Mongo cursor and written straight to the response as
+ * they're formatted, so an export never holds the whole collection in memory.
+ * Each export takes the same filters as its dashboard (services/filters.js),
+ * a format and an optional comma-separated list of columns ("fields").
+ */
+
+// Documents fetched from Mongo per round trip
+const CURSOR_BATCH_SIZE = 500;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Error codes returned by parseExportOptions()
+const EXPORT_ERRORS = {
+  UNKNOWN_EXPORT: 'UNKNOWN_EXPORT',
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  INVALID_FIELDS: 'INVALID_FIELDS'
+};
+
+// Helper: Emails of a tracker's sequence that matched a condition
+const countSteps = (doc, test) => (doc.emailSteps || []).filter(test).length;
+
+// Helper: Sum of a counter over a tracker's emails
+const sumSteps = (doc, field) => (doc.emailSteps || []).reduce((sum, step) => sum + (step[field] || 0), 0);
+
+// Columns computed from tracker email steps (the rest are stored fields)
+const TRACKER_COMPUTED = {
+  emailsScheduled: (doc) => (doc.emailSteps || []).length,
+  emailsSent: (doc) => countSteps(doc, step => step.sent),
+  emailsSkipped: (doc) => countSteps(doc, step => step.skipped),
+  nextEmailAt: (doc) => {
+    if (!doc.isActive) return null;
+    const next = (doc.emailSteps || [])
+      .filter(step => !step.sent && !step.skipped)
+      .map(step => step.scheduledDate)
+      .sort((a, b) => a - b)[0];
+    return next || null;
+  },
+  opens: (doc) => sumSteps(doc, 'openCount'),
+  clicks: (doc) => sumSteps(doc, 'clickCount')
+};
+
+const ORDER_COLUMNS = [
+  'orderId', 'campaignKey', 'createdAt', 'status', 'fraudScore', 'ip',
+  'fullName', 'name', 'email', 'phoneNumber', 'language',
+  'streetAddress', 'city', 'state', 'stateCode', 'zipCode', 'country', 'countryCode',
+  'fulfillmentStatus', 'carrier', 'trackingNumber', 'packedAt', 'shippedAt', 'deliveredAt', 'returnedAt'
+];
+
+/**
+ * What can be exported. columns lists every column (default: defaultFields);
+ * computed columns are derived from the document and can't be sorted on.
+ */
+const EXPORT_TYPES = {
+  claims: {
+    model: TicketClaim,
+    sheetName: 'Ticket Claims',
+    auditTarget: 'TicketClaim',
+    auditAction: 'ticket-claim.export',
+    buildQuery: filters.buildClaimQuery,
+    columns: [
+      'orderId', 'campaignKey', 'name', 'email', 'phoneNumber',
+      'asin', 'productName', 'productUrl',
+      'status', 'statusReason', 'statusChangedAt', 'fraudScore', 'ip', 'createdAt'
+    ],
+    defaultFields: ['orderId', 'campaignKey', 'name', 'email', 'phoneNumber', 'createdAt']
+  },
+  orders: {
+    model: Order,
+    sheetName: 'Gift Orders',
+    auditTarget: 'Order',
+    auditAction: 'order.export',
+    buildQuery: filters.buildOrderQuery,
+    columns: ORDER_COLUMNS,
+    defaultFields: ORDER_COLUMNS.filter(field => !['fraudScore', 'ip'].includes(field))
+  },
+  trackers: {
+    model: FeedbackTracker,
+    sheetName: 'Feedback Trackers',
+    auditTarget: 'FeedbackTracker',
+    auditAction: 'tracker.export',
+    buildQuery: filters.buildTrackerQuery,
+    columns: [
+      'orderId', 'customerName', 'customerEmail', 'phoneNumber',
+      'asin', 'productName', 'campaignKey', 'sequenceKey',
+      'status', 'isActive', 'submissionDate', 'reviewedAt', 'reviewedOnDay', 'notes', 'createdAt',
+      ...Object.keys(TRACKER_COMPUTED)
+    ],
+    computed: TRACKER_COMPUTED,
+    defaultFields: [
+      'orderId', 'customerName', 'customerEmail', 'campaignKey', 'sequenceKey',
+      'status', 'submissionDate', 'reviewedAt', 'emailsSent', 'nextEmailAt', 'opens', 'clicks'
+    ]
+  }
+};
+
+// Helper: Column names from "a,b" or ["a", "b"]
+const parseFieldList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(field => String(field).trim()).filter(Boolean))];
+};
+
+/**
+ * Validate export options from a query string. Returns { options } or { error }.
+ * options: { type, format, fields, query, sort, filters }
+ *
+ * @param {string} type - claims, orders or trackers
+ * @param {object} params - format, fields, sortBy, sortOrder and the dashboard filters
+ */
+function parseExportOptions(type, params = {}) {
+  const spec = EXPORT_TYPES[type];
+  if (!spec) {
+    return { error: { code: EXPORT_ERRORS.UNKNOWN_EXPORT, message: `Unknown export "${type}". Use one of: ${Object.keys(EXPORT_TYPES).join(', ')}` } };
+  }
+
+  const format = params.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    return { error: { code: EXPORT_ERRORS.INVALID_FORMAT, message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` } };
+  }
+
+  const requested = parseFieldList(params.fields);
+  const unknown = requested.filter(field => !spec.columns.includes(field));
+  if (unknown.length) {
+    return { error: { code: EXPORT_ERRORS.INVALID_FIELDS, message: `Unknown field(s): ${unknown.join(', ')}` } };
+  }
+
+  const computed = spec.computed || {};
+  const sortBy = spec.columns.includes(params.sortBy) && !computed[params.sortBy] ? params.sortBy : 'createdAt';
+  const sortOrder = params.sortOrder === 'asc' ? 1 : -1;
+
+  // The filters that shaped the export, for the audit log (never the admin token)
+  const applied = { ...params };
+  ['token', 'format', 'fields'].forEach(key => { delete applied[key]; });
+
+  return {
+    options: {
+      type,
+      format,
+      fields: requested.length ? requested : spec.defaultFields,
+      query: spec.buildQuery(params),
+      sort: { [sortBy]: sortOrder, _id: sortOrder },
+      filters: applied
+    }
+  };
+}
+
+/**
+ * Columns, formats and defaults of every export (for the admin UI)
+ */
+function describeExports() {
+  return {
+    formats: Object.keys(EXPORT_FORMATS),
+    types: Object.keys(EXPORT_TYPES).map(type => ({
+      type,
+      columns: EXPORT_TYPES[type].columns,
+      defaultFields: EXPORT_TYPES[type].defaultFields
+    }))
+  };
+}
+
+// Helper: { field: value } for JSON formats
+const toRecord = (fields, values) => {
+  const record = {};
+  fields.forEach((field, i) => { record[field] = values[i] === undefined ? null : values[i]; });
+  return record;
+};
+
+// Body chunks of each format, from an async iterable of row values
+const FORMAT_WRITERS = {
+  async *csv(rows, fields) {
+    yield '\uFEFF' + csv.formatRow(fields); // BOM so Excel reads UTF-8
+    for await (const values of rows) yield csv.formatRow(values);
+  },
+
+  xlsx: (rows, fields, spec) => xlsx.writeWorkbook(rows, { columns: fields, sheetName: spec.sheetName }),
+
+  async *json(rows, fields) {
+    let separator = '\n';
+    yield '[';
+    for await (const values of rows) {
+      yield separator + JSON.stringify(toRecord(fields, values));
+      separator = ',\n';
+    }
+    yield '\n]\n';
+  },
+
+  async *ndjson(rows, fields) {
+    for await (const values of rows) yield JSON.stringify(toRecord(fields, values)) + '\n';
+  }
+};
+
+/**
+ * File name for an export, e.g. claims-2024-05-01.csv
+ */
+function getFilename({ type, format }) {
+  return `${type}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Stream an export to a writable (an Express response). Sets the download
+ * headers when out is a response. Resolves with the number of rows written.
+ *
+ * @param {object} out - Writable stream
+ * @param {object} options - Output of parseExportOptions
+ */
+async function streamExport(out, options) {
+  const spec = EXPORT_TYPES[options.type];
+  const computed = spec.computed || {};
+  const getters = options.fields.map(field => computed[field] || ((doc) => doc[field]));
+
+  const projection = {};
+  options.fields.forEach(field => { projection[computed[field] ? 'emailSteps' : field] = 1; });
+  if (options.fields.some(field => computed[field])) projection.isActive = 1;
+
+  const cursor = spec.model.find(options.query, projection)
+    .sort(options.sort)
+    .lean()
+    .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+  let count = 0;
+  async function* rows() {
+    try {
+      for await (const doc of cursor) {
+        count++;
+        yield getters.map(get => get(doc));
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  if (typeof out.setHeader === 'function') {
+    out.setHeader('Content-Type', EXPORT_FORMATS[options.format].contentType);
+    out.setHeader('Content-Disposition', `attachment; filename="${getFilename(options)}"`);
+    out.setHeader('Cache-Control', 'no-store');
+  }
+
+  await pipeline(Readable.from(FORMAT_WRITERS[options.format](rows(), options.fields, spec)), out);
+  return count;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_TYPES,
+  EXPORT_ERRORS,
+  parseExportOptions,
+  describeExports,
+  getFilename,
+  streamExport
+};
@@ -0,0 +1,143 @@
+const FeedbackTracker = require('../models/FeedbackTracker');
+const fulfillment = require('./fulfillment');
+
+/**
+ * Dashboard filters, shared by the admin pages and the exports (services/exports.js)
+ * so a download always matches what the page shows
+ */
+
+const HOLD_STATUSES = ['active', 'flagged', 'cancelled'];
+
+// Helper: Escape user input for a regex filter
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper: Date from a query string value, or null when missing or invalid
+const parseDate = (value) => {
+  if (typeof value !== 'string' || !value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Helper: createdAt range from startDate / endDate (like the /admin dashboard)
+const addDateRange = (query, filters) => {
+  const startDate = parseDate(filters.startDate);
+  const endDate = parseDate(filters.endDate);
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = startDate;
+    if (endDate) query.createdAt.$lte = endDate;
+  }
+};
+
+// Helper: Review status filter; submissions saved before screening existed have none and count as active
+const holdQuery = (status) => (status === 'active' ? { $in: ['active', null] } : status);
+
+/**
+ * Mongo query from Orders page filters:
+ *   search (order ID, names, email, tracking number), campaign,
+ *   status (fulfillment state), hold (active, flagged, cancelled),
+ *   startDate / endDate (on createdAt, like the /admin dashboard)
+ */
+function buildOrderQuery(filters = {}) {
+  const query = {};
+  const and = [];
+
+  const search = typeof filters.search === 'string' ? filters.search.trim() : '';
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    and.push({
+      $or: [
+        { orderId: pattern },
+        { fullName: pattern },
+        { name: pattern },
+        { email: pattern },
+        { trackingNumber: pattern }
+      ]
+    });
+  }
+
+  if (typeof filters.campaign === 'string' && filters.campaign) {
+    query.campaignKey = filters.campaign;
+  }
+
+  if (fulfillment.STATES.includes(filters.status)) {
+    Object.assign(query, fulfillment.statusQuery(filters.status));
+  }
+
+  if (HOLD_STATUSES.includes(filters.hold)) {
+    and.push({ status: holdQuery(filters.hold) });
+  }
+
+  addDateRange(query, filters);
+
+  if (and.length) query.$and = and;
+  return query;
+}
+
+/**
+ * Mongo query from /admin dashboard filters:
+ *   search (order ID, name, email), campaign,
+ *   status (active, flagged, cancelled), startDate / endDate (on createdAt)
+ */
+function buildClaimQuery(filters = {}) {
+  const query = {};
+
+  const search = typeof filters.search === 'string' ? filters.search.trim() : '';
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    query.$or = [
+      { orderId: pattern },
+      { name: pattern },
+      { email: pattern }
+    ];
+  }
+
+  if (typeof filters.campaign === 'string' && filters.campaign) {
+    query.campaignKey = filters.campaign;
+  }
+
+  if (HOLD_STATUSES.includes(filters.status)) {
+    query.status = holdQuery(filters.status);
+  }
+
+  addDateRange(query, filters);
+  return query;
+}
+
+/**
+ * Mongo query from feedback manager filters:
+ *   search (order ID, customer name, email), status (review status),
+ *   campaign, sequence, startDate / endDate (on createdAt)
+ */
+function buildTrackerQuery(filters = {}) {
+  const query = {};
+
+  const search = typeof filters.search === 'string' ? filters.search.trim() : '';
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    query.$or = [
+      { orderId: pattern },
+      { customerName: pattern },
+      { customerEmail: pattern }
+    ];
+  }
+
+  if (FeedbackTracker.schema.path('status').enumValues.includes(filters.status)) {
+    query.status = filters.status;
+  }
+  if (typeof filters.campaign === 'string' && filters.campaign) {
+    query.campaignKey = filters.campaign;
+  }
+  if (typeof filters.sequence === 'string' && filters.sequence) {
+    query.sequenceKey = filters.sequence;
+  }
+
+  addDateRange(query, filters);
+  return query;
+}
+
+module.exports = {
+  buildOrderQuery,
+  buildClaimQuery,
+  buildTrackerQuery
+};
@@ -0,0 +1,361 @@
+const Order = require('../models/Order');
+const TicketClaim = require('../models/TicketClaim');
+const FraudReview = require('../models/FraudReview');
+const migrations = require('./migrations');
+
+/**
+ * Duplicate screening for /submit-review orders and /claim-ticket entries
+ *
+ * Each submission stores normalized fingerprints (email, street address + ZIP,
+ * name + ZIP) and the submitter's IP. After it's saved, every fingerprint is
+ * looked up across both Orders and TicketClaims; each one that matches another
+ * submission adds its weight to the score. At FRAUD_FLAG_SCORE (default 50)
+ * the submission is flagged and a FraudReview waits in the admin queue, where
+ * approving reactivates it and rejecting cancels it.
+ *
+ * Submissions from before screening get their fingerprints from
+ * backfillFingerprints on database connection; until that has finished,
+ * emails are also matched against the raw email field.
+ */
+
+const SIGNAL_WEIGHTS = {
+  email: 60,
+  nameZip: 50,
+  address: 40,
+  ip: 20 // Households and offices share one
+};
+
+const FLAG_SCORE = parseInt(process.env.FRAUD_FLAG_SCORE) || 50;
+
+// Most matches kept per signal
+const MAX_MATCHES = 20;
+
+// Fingerprints each kind of submission has (TicketClaims carry no address)
+const FINGERPRINT_FIELDS = {
+  Order: ['email', 'address', 'nameZip'],
+  TicketClaim: ['email']
+};
+
+const MODELS = { Order, TicketClaim };
+
+// Marker recorded once older submissions have fingerprints (see services/migrations.js)
+const BACKFILL_MIGRATION_KEY = 'fraud-fingerprints';
+
+// Error codes returned by decide()
+const FRAUD_ERRORS = {
+  INVALID_DECISION: 'INVALID_DECISION',
+  TARGET_NOT_FOUND: 'TARGET_NOT_FOUND'
+};
+
+// Street words written several ways; unit designators are dropped so "Apt 4", "Unit 4" and "#4" agree
+const STREET_WORDS = {
+  street: 'st', avenue: 'ave', av: 'ave', road: 'rd', drive: 'dr', boulevard: 'blvd',
+  lane: 'ln', court: 'ct', place: 'pl', circle: 'cir', terrace: 'ter', highway: 'hwy',
+  parkway: 'pkwy', north: 'n', south: 's', east: 'e', west: 'w',
+  apartment: '', apt: '', suite: '', ste: '', unit: '', no: ''
+};
+
+// Helper: Lowercase words without accents or punctuation
+const words = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(Boolean);
+
+/**
+ * Email as one mailbox: lowercase, no "+tag", and no dots for Gmail
+ */
+function normalizeEmail(email) {
+  const [local, domain] = String(email || '').trim().toLowerCase().split('@');
+  if (!local || !domain) return null;
+
+  let mailbox = local.split('+')[0];
+  let host = domain;
+  if (host === 'gmail.com' || host === 'googlemail.com') {
+    mailbox = mailbox.replace(/\./g, '');
+    host = 'gmail.com';
+  }
+  return `${mailbox}@${host}`;
+}
+
+/**
+ * ZIP / postal code without spaces; US ZIP+4 cut to five digits
+ */
+function normalizeZip(zipCode) {
+  const zip = String(zipCode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (!zip) return null;
+  return /^\d{9}$/.test(zip) ? zip.slice(0, 5) : zip;
+}
+
+/**
+ * Street address and ZIP with spelling differences ironed out
+ */
+function normalizeAddress(streetAddress, zipCode) {
+  const zip = normalizeZip(zipCode);
+  const street = words(streetAddress)
+    .map(word => (STREET_WORDS[word] !== undefined ? STREET_WORDS[word] : word))
+    .filter(Boolean)
+    .join(' ');
+  return street && zip ? `${street}|${zip}` : null;
+}
+
+/**
+ * Name (word order ignored) and ZIP
+ */
+function normalizeNameZip(name, zipCode) {
+  const zip = normalizeZip(zipCode);
+  const nameKey = words(name).filter(word => !/\d/.test(word)).sort().join(' ');
+  return nameKey && zip ? `${nameKey}|${zip}` : null;
+}
+
+/**
+ * Fingerprints of a submission, stored on the document
+ *
+ * @param {string} targetType - "Order" or "TicketClaim"
+ * @param {object} data - Submitted fields
+ */
+function getFingerprints(targetType, data) {
+  const fingerprints = { email: normalizeEmail(data.email) };
+  if (targetType === 'Order') {
+    fingerprints.address = normalizeAddress(data.streetAddress, data.zipCode);
+    fingerprints.nameZip = normalizeNameZip(data.fullName || data.name, data.zipCode);
+  }
+  return fingerprints;
+}
+
+// Helper: Escape text for use in a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper: Raw email values that normalize to a normalized email (any case,
+// "+tag", and dots or googlemail.com for Gmail)
+const rawEmailPattern = (email) => {
+  const [mailbox, host] = email.split('@');
+  const isGmail = host === 'gmail.com';
+  const local = isGmail ? mailbox.split('').map(escapeRegExp).join('\\.*') : escapeRegExp(mailbox);
+  const domain = isGmail ? '(gmail|googlemail)\\.com' : escapeRegExp(host);
+  return new RegExp(`^\\s*${local}(\\+[^@]*)?@${domain}\\s*$`, 'i');
+};
+
+// Remembered once true, so screening stops checking the marker
+let fingerprintsBackfilled = false;
+
+// Helper: Have older submissions been given fingerprints?
+const isBackfilled = async () => {
+  if (!fingerprintsBackfilled) {
+    fingerprintsBackfilled = await migrations.isComplete(BACKFILL_MIGRATION_KEY);
+  }
+  return fingerprintsBackfilled;
+};
+
+// Helper: Query for submissions with a field value. Until the backfill has
+// run, submissions without fingerprints are matched on their raw email.
+const matchQuery = async (field, value) => {
+  if (field === 'ip') return { ip: value };
+
+  const path = `fingerprints.${field}`;
+  if (field !== 'email' || await isBackfilled()) return { [path]: value };
+  return {
+    $or: [
+      { [path]: value },
+      { [path]: { $exists: false }, email: rawEmailPattern(value) }
+    ]
+  };
+};
+
+// Helper: Other submissions, of both kinds, with a field value
+const findMatches = async (field, value, orderId) => {
+  const query = await matchQuery(field, value);
+  const lookups = Object.keys(MODELS)
+    .filter(targetType => field === 'ip' || FINGERPRINT_FIELDS[targetType].includes(field))
+    .map(async targetType => {
+      const docs = await MODELS[targetType].find({ ...query, orderId: { $ne: orderId } })
+        .select('orderId')
+        .limit(MAX_MATCHES);
+      return docs.map(doc => ({ targetType, orderId: doc.orderId }));
+    });
+  return (await Promise.all(lookups)).flat().slice(0, MAX_MATCHES);
+};
+
+/**
+ * Give fingerprints to Orders and TicketClaims saved before screening existed.
+ * Safe to run repeatedly - only touches documents without an email fingerprint.
+ * (The submitter's IP was never stored for them, so it can't be filled in.)
+ */
+async function backfillFingerprints() {
+  const results = { orders: 0, claims: 0 };
+  const counts = { Order: 'orders', TicketClaim: 'claims' };
+
+  for (const targetType of Object.keys(MODELS)) {
+    const cursor = MODELS[targetType].collection.find(
+      { 'fingerprints.email': { $exists: false } },
+      { projection: { email: 1, name: 1, fullName: 1, streetAddress: 1, zipCode: 1 } }
+    );
+
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await MODELS[targetType].collection.bulkWrite(batch, { ordered: false });
+      results[counts[targetType]] += batch.length;
+      batch = [];
+    };
+
+    for await (const doc of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: { fingerprints: getFingerprints(targetType, doc) } }
+        }
+      });
+      if (batch.length >= 500) await flush();
+    }
+    await flush();
+  }
+
+  if (results.orders > 0 || results.claims > 0) {
+    console.log(`✓ Added duplicate-screening fingerprints to ${results.orders} orders and ${results.claims} claims`);
+  }
+
+  return results;
+}
+
+// Run the fingerprint backfill until it has completed once
+function ensureFingerprintsBackfilled() {
+  return migrations.runOnce(BACKFILL_MIGRATION_KEY, backfillFingerprints);
+}
+
+/**
+ * Score a saved submission against every other one. Flags it and queues a
+ * FraudReview when the score reaches FLAG_SCORE. Returns { score, signals, flagged }.
+ *
+ * @param {string} targetType - "Order" or "TicketClaim"
+ * @param {object} doc - Saved Order or TicketClaim document
+ */
+async function screen(targetType, doc) {
+  const fields = [...FINGERPRINT_FIELDS[targetType], 'ip'];
+  const signals = [];
+
+  for (const field of fields) {
+    const value = field === 'ip' ? doc.ip : doc.fingerprints && doc.fingerprints[field];
+    if (!value) continue;
+
+    const matches = await findMatches(field, value, doc.orderId);
+    if (matches.length) {
+      signals.push({ type: field, weight: SIGNAL_WEIGHTS[field], value, matches });
+    }
+  }
+
+  const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.weight, 0));
+  const flagged = score >= FLAG_SCORE;
+
+  doc.fraudScore = score;
+  if (flagged) {
+    doc.status = 'flagged';
+    if (targetType === 'TicketClaim') {
+      doc.statusReason = 'Possible duplicate entry';
+      doc.statusChangedAt = new Date();
+    }
+  }
+  await doc.save();
+
+  if (flagged) {
+    await FraudReview.findOneAndUpdate(
+      { targetType, orderId: doc.orderId },
+      {
+        $set: {
+          campaignKey: doc.campaignKey,
+          name: doc.fullName || doc.name,
+          email: doc.email,
+          score,
+          signals,
+          status: 'pending'
+        },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+
+  return { score, signals, flagged };
+}
+
+/**
+ * The flagged submission and everything it matched, for the review page
+ */
+async function getReviewDetails(review) {
+  const ids = { Order: new Set(), TicketClaim: new Set() };
+  review.signals.forEach(signal => {
+    signal.matches.forEach(match => {
+      if (ids[match.targetType]) ids[match.targetType].add(match.orderId);
+    });
+  });
+
+  const [target, orders, claims] = await Promise.all([
+    MODELS[review.targetType].findOne({ orderId: review.orderId }),
+    Order.find({ orderId: { $in: [...ids.Order] } }),
+    TicketClaim.find({ orderId: { $in: [...ids.TicketClaim] } })
+  ]);
+
+  return {
+    target,
+    matches: [
+      ...orders.map(doc => ({ targetType: 'Order', doc })),
+      ...claims.map(doc => ({ targetType: 'TicketClaim', doc }))
+    ]
+  };
+}
+
+/**
+ * Approve (reactivate) or reject (cancel) a flagged submission. A decision can
+ * be changed later. Returns { review, target, before } or { error }.
+ *
+ * @param {object} review - FraudReview document
+ * @param {string} decision - "approved" or "rejected"
+ * @param {object} details - { note }
+ * @param {object} admin - req.admin
+ */
+async function decide(review, decision, { note } = {}, admin) {
+  if (!['approved', 'rejected'].includes(decision)) {
+    return { error: { code: FRAUD_ERRORS.INVALID_DECISION, message: 'Decision must be approved or rejected' } };
+  }
+
+  const target = await MODELS[review.targetType].findOne({ orderId: review.orderId });
+  if (!target) {
+    return { error: { code: FRAUD_ERRORS.TARGET_NOT_FOUND, message: `${review.targetType} ${review.orderId} no longer exists` } };
+  }
+
+  const before = target.toObject();
+  const reviewer = admin ? admin.email || admin.name : undefined;
+  const reason = typeof note === 'string' && note.trim() ? note.trim() : undefined;
+
+  target.status = decision === 'approved' ? 'active' : 'cancelled';
+  if (review.targetType === 'TicketClaim') {
+    target.statusReason = reason || (decision === 'approved' ? 'Cleared in duplicate review' : 'Rejected in duplicate review');
+    target.statusChangedAt = new Date();
+  }
+  await target.save();
+
+  review.status = decision;
+  review.reviewedBy = reviewer;
+  review.reviewedAt = new Date();
+  review.note = reason;
+  await review.save();
+
+  return { review, target, before };
+}
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  FLAG_SCORE,
+  FRAUD_ERRORS,
+  normalizeEmail,
+  normalizeAddress,
+  normalizeNameZip,
+  getFingerprints,
+  backfillFingerprints,
+  ensureFingerprintsBackfilled,
+  screen,
+  getReviewDetails,
+  decide
+};
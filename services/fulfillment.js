@@ -0,0 +1,195 @@
+const Order = require('../models/Order');
+const outbox = require('./outbox');
+
+/**
+ * Fulfillment lifecycle of free-gift orders
+ *
+ *   pending -> packed -> shipped -> delivered
+ *                           \-> returned <-/
+ *
+ * Packing can be skipped, a packed order can go back to pending, and a
+ * returned order can be reshipped (back to pending). Marking an order shipped
+ * requires a carrier and tracking number and queues the "order-shipped" email.
+ * Flagged or cancelled orders (services/fraud.js) can't be packed or shipped.
+ */
+
+const STATES = Order.schema.path('fulfillmentStatus').enumValues;
+
+const TRANSITIONS = {
+  pending: ['packed', 'shipped'],
+  packed: ['pending', 'shipped'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  returned: ['pending']
+};
+
+// Timestamp set when an order enters a state
+const STATE_DATES = {
+  packed: 'packedAt',
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  returned: 'returnedAt'
+};
+
+// Known carriers and their tracking pages ({number} is replaced)
+const CARRIERS = {
+  usps: { name: 'USPS', trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={number}' },
+  ups: { name: 'UPS', trackingUrl: 'https://www.ups.com/track?tracknum={number}' },
+  fedex: { name: 'FedEx', trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr={number}' },
+  dhl: { name: 'DHL', trackingUrl: 'https://www.dhl.com/global-en/home/tracking/tracking-express.html?tracking-id={number}' },
+  canadapost: { name: 'Canada Post', trackingUrl: 'https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor={number}' },
+  other: { name: 'Other', trackingUrl: null }
+};
+
+// Customer email sent when an order is marked shipped (handlebars template in views/email)
+const SHIPPED_EMAIL = {
+  type: 'order-shipped',
+  subject: 'Your Study Key gift is on its way! 📦',
+  template: 'order-shipped'
+};
+
+// Error codes returned by transition()
+const FULFILLMENT_ERRORS = {
+  INVALID_STATUS: 'INVALID_STATUS',
+  INVALID_TRANSITION: 'INVALID_TRANSITION',
+  TRACKING_REQUIRED: 'TRACKING_REQUIRED',
+  INVALID_CARRIER: 'INVALID_CARRIER',
+  ORDER_ON_HOLD: 'ORDER_ON_HOLD'
+};
+
+// Helper: Orders saved before fulfillment existed have no status and count as pending
+const getStatus = (order) => order.fulfillmentStatus || 'pending';
+
+/**
+ * Mongo filter for orders in a fulfillment state
+ */
+function statusQuery(status) {
+  return status === 'pending'
+    ? { fulfillmentStatus: { $in: ['pending', null] } }
+    : { fulfillmentStatus: status };
+}
+
+/**
+ * Tracking page for a carrier and number, or null
+ */
+function getTrackingUrl(carrier, trackingNumber) {
+  const entry = CARRIERS[carrier];
+  if (!entry || !entry.trackingUrl || !trackingNumber) return null;
+  return entry.trackingUrl.replace('{number}', encodeURIComponent(trackingNumber));
+}
+
+/**
+ * Move an order to a new state (not saved). Returns { error: { code, message } }
+ * when the move isn't allowed, otherwise { from, to }.
+ *
+ * @param {object} order - Order document
+ * @param {object} change - { status, carrier, trackingNumber, note }
+ * @param {object} admin - req.admin, recorded in the history
+ */
+function transition(order, { status, carrier, trackingNumber, note }, admin) {
+  const from = getStatus(order);
+
+  if (!STATES.includes(status)) {
+    return { error: { code: FULFILLMENT_ERRORS.INVALID_STATUS, message: `Status must be one of: ${STATES.join(', ')}` } };
+  }
+  if (!TRANSITIONS[from].includes(status)) {
+    return { error: { code: FULFILLMENT_ERRORS.INVALID_TRANSITION, message: `Cannot move an order from ${from} to ${status}` } };
+  }
+  // Flagged orders wait for the duplicate review; cancelled ones never go out
+  if ((status === 'packed' || status === 'shipped') && order.status && order.status !== 'active') {
+    return { error: { code: FULFILLMENT_ERRORS.ORDER_ON_HOLD, message: `Order is ${order.status} and cannot be ${status}` } };
+  }
+
+  if (status === 'shipped') {
+    const nextCarrier = carrier || order.carrier;
+    const nextTracking = typeof trackingNumber === 'string' ? trackingNumber.trim() : order.trackingNumber;
+    if (!nextCarrier || !nextTracking) {
+      return { error: { code: FULFILLMENT_ERRORS.TRACKING_REQUIRED, message: 'Carrier and tracking number are required to ship an order' } };
+    }
+    if (!CARRIERS[nextCarrier]) {
+      return { error: { code: FULFILLMENT_ERRORS.INVALID_CARRIER, message: `Carrier must be one of: ${Object.keys(CARRIERS).join(', ')}` } };
+    }
+    order.carrier = nextCarrier;
+    order.trackingNumber = nextTracking;
+  }
+
+  // Reshipping starts over with new tracking details
+  if (status === 'pending' && from === 'returned') {
+    order.carrier = undefined;
+    order.trackingNumber = undefined;
+  }
+
+  order.fulfillmentStatus = status;
+  if (STATE_DATES[status]) order[STATE_DATES[status]] = new Date();
+  order.fulfillmentHistory.push({
+    from,
+    to: status,
+    carrier: order.carrier,
+    trackingNumber: order.trackingNumber,
+    note: typeof note === 'string' && note.trim() ? note.trim() : undefined,
+    by: admin ? admin.email || admin.name : undefined
+  });
+
+  return { from, to: status };
+}
+
+/**
+ * Queue the shipped email for an order. Returns the queued outbox messages.
+ */
+function queueShippedEmail(order) {
+  const carrier = CARRIERS[order.carrier];
+  return outbox.enqueue({
+    type: SHIPPED_EMAIL.type,
+    orderId: order.orderId,
+    mailOptions: {
+      to: order.email,
+      subject: SHIPPED_EMAIL.subject,
+      template: SHIPPED_EMAIL.template,
+      context: {
+        layout: false, // Render this template on its own, not inside reward.html
+        name: order.fullName || order.name,
+        orderId: order.orderId,
+        carrier: carrier && order.carrier !== 'other' ? carrier.name : null,
+        trackingNumber: order.trackingNumber,
+        trackingUrl: getTrackingUrl(order.carrier, order.trackingNumber)
+      }
+    }
+  });
+}
+
+/**
+ * Apply a change to an order, save it and queue the shipped email when it ships.
+ * Returns { order, from, to, queued } or { error }.
+ */
+async function updateFulfillment(order, change, admin) {
+  const result = transition(order, change, admin);
+  if (result.error) return result;
+
+  await order.save();
+
+  let queued = [];
+  if (result.to === 'shipped') {
+    try {
+      queued = await queueShippedEmail(order);
+    } catch (error) {
+      // The status change stands even when the email could not be queued
+      console.error(`Error queuing shipped email for ${order.orderId}:`, error);
+    }
+  }
+
+  return { order, from: result.from, to: result.to, queued };
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  CARRIERS,
+  SHIPPED_EMAIL,
+  FULFILLMENT_ERRORS,
+  getStatus,
+  statusQuery,
+  getTrackingUrl,
+  transition,
+  queueShippedEmail,
+  updateFulfillment
+};
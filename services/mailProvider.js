@@ -0,0 +1,309 @@
+const nodemailer = require('nodemailer');
+const handlebars = require('nodemailer-express-handlebars');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Mail provider
+ * One transporter shared by the API handlers and the feedback scheduler.
+ *
+ * Every backend is exposed as a nodemailer transporter so the handlebars
+ * "compile" plugin (template + context) works the same whichever one is used.
+ *
+ * Selected with MAIL_PROVIDER:
+ *   gmail  - Gmail SMTP (GMAIL_USER / GMAIL_PASS) - default
+ *   smtp   - Generic SMTP (SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS)
+ *   resend - Resend API (RESEND_API_KEY / RESEND_FROM_EMAIL)
+ *   file   - Writes each message as JSON to MAIL_FILE_DIR (development and tests)
+ */
+const PROVIDERS = ['gmail', 'smtp', 'resend', 'file'];
+
+const DEFAULT_SENDER_NAME = 'Study Key';
+
+let cachedTransporter = null;
+let cachedProvider = null;
+
+// Helper: Provider name from configuration
+const getProviderName = () => {
+  const provider = (process.env.MAIL_PROVIDER || 'gmail').trim().toLowerCase();
+  if (!PROVIDERS.includes(provider)) {
+    console.warn(`⚠️  Unknown MAIL_PROVIDER "${provider}", falling back to gmail`);
+    return 'gmail';
+  }
+  return provider;
+};
+
+// Helper: Directory used by the file provider
+const getFileDir = () => process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'studykey-mail');
+
+// Helper: Turn a nodemailer address field into a list of strings
+const toAddressList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list
+    .map(entry => {
+      if (typeof entry === 'string') return entry.trim();
+      return entry.name ? `"${entry.name}" <${entry.address}>` : entry.address;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Check that the selected provider has the settings it needs.
+ * Returns an error message, or null when the provider is usable.
+ */
+function checkConfig(provider = getProviderName()) {
+  switch (provider) {
+    case 'gmail':
+      if (!process.env.GMAIL_USER) return 'GMAIL_USER not configured. Cannot send email.';
+      if (!process.env.GMAIL_PASS) return 'GMAIL_PASS not configured. Cannot send email.';
+      return null;
+    case 'smtp':
+      if (!process.env.SMTP_HOST) return 'SMTP_HOST not configured. Cannot send email.';
+      if (!process.env.SMTP_USER && !process.env.MAIL_FROM) {
+        return 'MAIL_FROM (or SMTP_USER) not configured. Cannot send email.';
+      }
+      return null;
+    case 'resend':
+      if (!process.env.RESEND_API_KEY) return 'RESEND_API_KEY not configured. Cannot send email.';
+      if (!process.env.RESEND_FROM_EMAIL && !process.env.MAIL_FROM) {
+        return 'RESEND_FROM_EMAIL not configured. Cannot send email.';
+      }
+      return null;
+    case 'file':
+      return null;
+    default:
+      return `Unknown mail provider: ${provider}`;
+  }
+}
+
+/**
+ * Default "from" address for the selected provider.
+ * MAIL_FROM overrides the provider-specific setting.
+ * Undefined when the provider has none (checkConfig reports it).
+ */
+function getFromAddress(name = DEFAULT_SENDER_NAME) {
+  if (process.env.MAIL_FROM) return process.env.MAIL_FROM;
+
+  const withName = (address) => (address ? `"${name}" <${address}>` : undefined);
+  switch (getProviderName()) {
+    case 'resend':
+      return process.env.RESEND_FROM_EMAIL;
+    case 'smtp':
+      return withName(process.env.SMTP_USER);
+    case 'file':
+      return withName(process.env.GMAIL_USER || 'noreply@localhost');
+    default:
+      return withName(process.env.GMAIL_USER);
+  }
+}
+
+// Helper: Bare email address from a "Name <address>" value
+const toBareAddress = (value) => {
+  if (!value) return undefined;
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim() || undefined;
+};
+
+/**
+ * Address that receives admin notifications (new claims etc.).
+ * Defaults to the selected provider's "from" address.
+ */
+function getAdminAddress() {
+  return process.env.ADMIN_NOTIFY_EMAIL || toBareAddress(getFromAddress());
+}
+
+// Custom nodemailer transport that delivers through the Resend API
+const createResendTransport = () => {
+  const { Resend } = require('resend');
+  const resend = new Resend(process.env.RESEND_API_KEY);
+
+  return {
+    name: 'resend',
+    version: '1.0.0',
+    send(mail, callback) {
+      const data = mail.data;
+      const to = toAddressList(data.to);
+
+      resend.emails.send({
+        from: toAddressList(data.from)[0],
+        to,
+        cc: toAddressList(data.cc),
+        bcc: toAddressList(data.bcc),
+        replyTo: toAddressList(data.replyTo),
+        subject: data.subject,
+        html: data.html,
+        text: data.text,
+        headers: data.headers
+      })
+        .then(({ data: result, error }) => {
+          if (error) {
+            const err = new Error(error.message || 'Resend rejected the email');
+            err.statusCode = error.statusCode;
+            err.response = error;
+            return callback(err);
+          }
+          callback(null, {
+            messageId: result.id,
+            accepted: to,
+            rejected: [],
+            response: `Resend accepted: ${result.id}`
+          });
+        })
+        .catch(callback);
+    }
+  };
+};
+
+// Custom nodemailer transport that writes messages to disk as JSON
+const createFileTransport = () => {
+  const dir = getFileDir();
+
+  return {
+    name: 'file',
+    version: '1.0.0',
+    send(mail, callback) {
+      mail.normalize((err, data) => {
+        if (err) return callback(err);
+
+        const messageId = mail.message.messageId();
+        const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+        const envelope = mail.message.getEnvelope();
+
+        fs.mkdir(dir, { recursive: true }, (mkdirErr) => {
+          if (mkdirErr) return callback(mkdirErr);
+
+          const record = { ...data, messageId, envelope, writtenAt: new Date().toISOString() };
+          fs.writeFile(path.join(dir, fileName), JSON.stringify(record, null, 2), (writeErr) => {
+            if (writeErr) return callback(writeErr);
+            callback(null, {
+              messageId,
+              envelope,
+              accepted: envelope.to,
+              rejected: [],
+              response: `Written to ${path.join(dir, fileName)}`
+            });
+          });
+        });
+      });
+    }
+  };
+};
+
+// Helper: Build the underlying transport for a provider
+const createTransport = (provider) => {
+  switch (provider) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'resend':
+      return nodemailer.createTransport(createResendTransport());
+    case 'file':
+      return nodemailer.createTransport(createFileTransport());
+    default:
+      return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+          user: process.env.GMAIL_USER,
+          pass: process.env.GMAIL_PASS
+        }
+      });
+  }
+};
+
+/**
+ * Get the shared transporter (created on first use)
+ */
+function getTransporter() {
+  const provider = getProviderName();
+  if (cachedTransporter && cachedProvider === provider) {
+    return cachedTransporter;
+  }
+
+  const transporter = createTransport(provider);
+
+  // Handlebars templates from views/email (reward, ticket-claim, ...)
+  transporter.use(
+    'compile',
+    handlebars({
+      viewEngine: {
+        extName: '.html',
+        partialsDir: path.join(__dirname, '..', 'views', 'email'),
+        layoutsDir: path.join(__dirname, '..', 'views', 'email'),
+        defaultLayout: 'reward.html'
+      },
+      viewPath: path.join(__dirname, '..', 'views', 'email'),
+      extName: '.html'
+    })
+  );
+
+  cachedTransporter = transporter;
+  cachedProvider = provider;
+  return transporter;
+}
+
+/**
+ * Send one message through the configured provider.
+ * Accepts nodemailer mail options (html, or template + context).
+ * Resolves with { provider, messageId, accepted, rejected, response }.
+ */
+async function sendMail(mailOptions) {
+  const provider = getProviderName();
+  const configError = checkConfig(provider);
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  const info = await getTransporter().sendMail({
+    from: getFromAddress(),
+    ...mailOptions
+  });
+
+  return {
+    provider,
+    messageId: info.messageId,
+    accepted: info.accepted || [],
+    rejected: info.rejected || [],
+    response: info.response
+  };
+}
+
+/**
+ * Verify the provider configuration (SMTP handshake where applicable)
+ */
+async function verifyConnection() {
+  const provider = getProviderName();
+  const configError = checkConfig(provider);
+  if (configError) {
+    return { success: false, provider, error: configError };
+  }
+
+  if (provider === 'resend' || provider === 'file') {
+    return { success: true, provider };
+  }
+
+  try {
+    await getTransporter().verify();
+    return { success: true, provider };
+  } catch (error) {
+    return { success: false, provider, error: error.message };
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  getProviderName,
+  getFromAddress,
+  getAdminAddress,
+  checkConfig,
+  getTransporter,
+  sendMail,
+  verifyConnection
+};
@@ -0,0 +1,57 @@
+const Migration = require('../models/Migration');
+
+/**
+ * One-off data migrations run on database connection
+ *
+ * A finished migration leaves a marker document, so later cold starts only
+ * look up the marker instead of scanning collections again. Migrations must
+ * still be safe to repeat: two instances starting together may both run one.
+ */
+
+// Per-process promises, so concurrent callers share one run
+const running = new Map();
+
+/**
+ * Has the migration finished (in any process)?
+ */
+async function isComplete(key) {
+  return Boolean(await Migration.exists({ key }));
+}
+
+// Helper: Record that a migration finished, with its results
+function markComplete(key, results) {
+  return Migration.updateOne(
+    { key },
+    { $set: { results, completedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Run a migration unless its marker exists. Errors are logged and the next
+ * call tries again.
+ *
+ * @param {string} key - Marker key
+ * @param {function} migrate - Async function returning a results object
+ */
+function runOnce(key, migrate) {
+  if (!running.has(key)) {
+    const promise = (async () => {
+      if (await isComplete(key)) return null;
+
+      const results = await migrate();
+      await markComplete(key, results);
+      return results;
+    })().catch(error => {
+      running.delete(key);
+      console.error(`Error running migration "${key}":`, error);
+    });
+    running.set(key, promise);
+  }
+  return running.get(key);
+}
+
+module.exports = {
+  isComplete,
+  runOnce
+};
@@ -0,0 +1,198 @@
+const OutboxMessage = require('../models/OutboxMessage');
+const mailProvider = require('./mailProvider');
+
+// Delivery configuration for the outbox worker
+const OUTBOX = {
+  MAX_ATTEMPTS: 6, // Then the message is dead-lettered
+  BASE_DELAY: 60 * 1000, // 1 minute, doubled after every failure
+  MAX_DELAY: 6 * 60 * 60 * 1000, // 6 hours
+  LOCK_DURATION: 2 * 60 * 1000, // A "sending" message is considered stuck after 2 minutes
+  BATCH_SIZE: 20 // Safe limit for Vercel 10s timeout
+};
+
+// Helper: Delay before the next attempt (exponential backoff)
+const getBackoffDelay = (attempts) => {
+  return Math.min(OUTBOX.BASE_DELAY * Math.pow(2, Math.max(attempts - 1, 0)), OUTBOX.MAX_DELAY);
+};
+
+/**
+ * Store messages in the outbox.
+ * Each entry is { type, orderId, mailOptions }.
+ */
+async function enqueue(entries) {
+  const list = Array.isArray(entries) ? entries : [entries];
+  return OutboxMessage.insertMany(
+    list.map(entry => ({
+      type: entry.type,
+      orderId: entry.orderId,
+      mailOptions: entry.mailOptions,
+      maxAttempts: entry.maxAttempts || OUTBOX.MAX_ATTEMPTS
+    }))
+  );
+}
+
+// Helper: Atomically claim a message so two workers never send it twice
+const claimMessage = (query) => {
+  const now = new Date();
+  return OutboxMessage.findOneAndUpdate(
+    {
+      ...query,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'sending',
+        lockedUntil: new Date(now.getTime() + OUTBOX.LOCK_DURATION),
+        updatedAt: now
+      }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * Try to send one claimed message and record the outcome
+ */
+async function attemptDelivery(message) {
+  message.attempts += 1;
+
+  try {
+    const info = await mailProvider.sendMail(message.mailOptions);
+
+    if (!info.accepted || info.accepted.length === 0) {
+      throw new Error(info.rejected.length ? `Email rejected: ${info.rejected.join(', ')}` : 'Email failed to send');
+    }
+
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.provider = info.provider;
+    message.providerMessageId = info.messageId;
+    message.lastError = null;
+    message.lockedUntil = null;
+    await message.save();
+
+    console.log(`✅ Outbox ${message.type} sent to ${message.mailOptions.to} (${info.messageId})`);
+    return { success: true, id: message._id, messageId: info.messageId };
+
+  } catch (error) {
+    message.lastError = error.message || 'Unknown error';
+    message.lockedUntil = null;
+
+    if (message.attempts >= message.maxAttempts) {
+      message.status = 'dead';
+      console.error(`❌ Outbox ${message.type} for ${message.orderId || 'n/a'} dead-lettered after ${message.attempts} attempts: ${message.lastError}`);
+    } else {
+      message.status = 'pending';
+      message.nextAttemptAt = new Date(Date.now() + getBackoffDelay(message.attempts));
+      console.error(`⚠️  Outbox ${message.type} attempt ${message.attempts} failed, retrying at ${message.nextAttemptAt.toISOString()}: ${message.lastError}`);
+    }
+
+    await message.save();
+    return { success: false, id: message._id, error: message.lastError, status: message.status };
+  }
+}
+
+/**
+ * Deliver specific messages right away (used after a claim is stored)
+ */
+async function deliverNow(messages) {
+  const results = [];
+  for (const message of messages) {
+    const claimed = await claimMessage({ _id: message._id });
+    if (claimed) {
+      results.push(await attemptDelivery(claimed));
+    }
+  }
+  return results;
+}
+
+/**
+ * Fire-and-forget delivery so the HTTP response does not wait on the mail provider.
+ * Anything that fails here stays in the outbox for the cron worker.
+ */
+function deliverInBackground(messages) {
+  setImmediate(() => {
+    deliverNow(messages).catch(error => {
+      console.error('Error delivering outbox messages (will retry):', error);
+    });
+  });
+}
+
+/**
+ * Process due messages (called by cron job)
+ */
+async function processOutbox(limit = OUTBOX.BATCH_SIZE) {
+  const results = {
+    processed: 0,
+    sent: 0,
+    failed: 0,
+    dead: 0,
+    errors: []
+  };
+
+  while (results.processed < limit) {
+    const message = await claimMessage({});
+    if (!message) break;
+
+    results.processed++;
+    const result = await attemptDelivery(message);
+
+    if (result.success) {
+      results.sent++;
+    } else {
+      results.failed++;
+      if (result.status === 'dead') results.dead++;
+      results.errors.push({ id: result.id, orderId: message.orderId, type: message.type, error: result.error });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Put a dead or pending message back in the queue for an immediate attempt.
+ * A message that is being sent is left alone (unless its lock expired), so a
+ * retry from the admin can't race the worker into a double send.
+ */
+async function requeue(id) {
+  const now = new Date();
+  const message = await OutboxMessage.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: { $in: ['pending', 'dead'] } },
+        { status: 'sending', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lockedUntil: null,
+        updatedAt: now
+      }
+    },
+    { new: true }
+  );
+  if (message) return message;
+
+  const current = await OutboxMessage.findById(id).select('status');
+  if (!current) return null;
+  if (current.status === 'sent') {
+    throw new Error('Message was already sent');
+  }
+  throw new Error('Message is being sent right now - try again in a few minutes');
+}
+
+module.exports = {
+  enqueue,
+  deliverNow,
+  deliverInBackground,
+  processOutbox,
+  requeue,
+  OUTBOX
+};
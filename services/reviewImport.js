@@ -0,0 +1,224 @@
+const FeedbackTracker = require('../models/FeedbackTracker');
+const csv = require('./csv');
+
+/**
+ * Match an export of Amazon reviews against feedback trackers
+ *
+ * Rows identify the order directly (orderId) or through the product and the
+ * reviewer (asin + reviewerName, narrowed by reviewDate). Each row ends up:
+ *   matched   - exactly one tracker, ready to mark as reviewed
+ *   ambiguous - several trackers fit; the admin picks one (resolutions)
+ *   unmatched - no tracker, or the row can't be used
+ *   skipped   - tracker already reviewed, or taken by an earlier row
+ */
+
+const MAX_ROWS = 5000;
+
+// Column names accepted for each field (compared without case, spaces, "-" or "_")
+const COLUMN_ALIASES = {
+  orderId: ['orderid', 'order', 'amazonorderid', 'ordernumber'],
+  asin: ['asin', 'productasin'],
+  reviewerName: ['reviewername', 'reviewer', 'name', 'author', 'customername', 'profilename'],
+  reviewDate: ['reviewdate', 'date', 'reviewedat', 'submissiondate', 'createdat'],
+  rating: ['rating', 'stars', 'starrating'],
+  title: ['title', 'reviewtitle']
+};
+
+// Helper: Canonical form of a column name
+const columnKey = (name) => String(name).toLowerCase().replace(/[\s_-]/g, '');
+
+// Helper: Map a record's columns onto the import fields
+const normalizeRecord = (record) => {
+  const columns = {};
+  Object.keys(record || {}).forEach(column => {
+    columns[columnKey(column)] = record[column];
+  });
+
+  const row = {};
+  Object.keys(COLUMN_ALIASES).forEach(field => {
+    const alias = COLUMN_ALIASES[field].find(name => columns[name] !== undefined && columns[name] !== null && String(columns[name]).trim() !== '');
+    if (alias) row[field] = String(columns[alias]).trim();
+  });
+  return row;
+};
+
+/**
+ * Import rows from an uploaded file (CSV, or JSON as an array / { reviews: [...] })
+ */
+function parseReviewFile(content, filename = '') {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+  const looksLikeJson = /\.json$/i.test(filename) || /^\s*[[{]/.test(text);
+
+  let records;
+  if (looksLikeJson) {
+    const data = JSON.parse(text);
+    records = Array.isArray(data) ? data : data && Array.isArray(data.reviews) ? data.reviews : null;
+    if (!records) throw new Error('JSON must be an array of reviews or { "reviews": [...] }');
+  } else {
+    records = csv.parse(text);
+  }
+
+  if (records.length > MAX_ROWS) {
+    throw new Error(`Too many rows (${records.length}); import at most ${MAX_ROWS} at a time`);
+  }
+  return records.map(normalizeRecord);
+}
+
+// Helper: Name as comparable tokens ("José  D." -> ["jose", "d"])
+const nameTokens = (name) => String(name || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+/**
+ * Whether an Amazon reviewer name fits a customer name. Amazon often shows
+ * "First L." so a matching first name and last initial counts.
+ */
+function namesMatch(reviewerName, customerName) {
+  const reviewer = nameTokens(reviewerName);
+  const customer = nameTokens(customerName);
+  if (!reviewer.length || !customer.length) return false;
+  if (reviewer.join(' ') === customer.join(' ')) return true;
+  if (reviewer.length < 2 || customer.length < 2) return false;
+
+  const reviewerLast = reviewer[reviewer.length - 1];
+  const customerLast = customer[customer.length - 1];
+  return reviewer[0] === customer[0] &&
+    (reviewerLast === customerLast || (reviewerLast.length === 1 && customerLast[0] === reviewerLast));
+}
+
+/**
+ * delayDays of the last email sent before the review (0 = reviewed before any email)
+ */
+function getReviewedOnDay(tracker, reviewDate) {
+  const sentBefore = tracker.emailSteps
+    .filter(step => step.sent && step.sentAt && (!reviewDate || step.sentAt <= reviewDate))
+    .sort((a, b) => a.sentAt - b.sentAt);
+  return sentBefore.length ? sentBefore[sentBefore.length - 1].delayDays : 0;
+}
+
+// Helper: Short description of a tracker for the report
+const describeTracker = (tracker) => ({
+  orderId: tracker.orderId,
+  customerName: tracker.customerName,
+  asin: tracker.asin,
+  status: tracker.status,
+  submissionDate: tracker.submissionDate
+});
+
+/**
+ * Match rows against trackers. Returns the per-row report and a summary.
+ *
+ * @param {Array} rows - Output of parseReviewFile
+ * @param {object} resolutions - { rowNumber: orderId } choices for ambiguous rows
+ */
+async function matchReviews(rows, resolutions = {}) {
+  const orderIds = [...new Set(rows.map(row => row.orderId).filter(Boolean))];
+  const asins = [...new Set(rows.filter(row => !row.orderId && row.asin).map(row => row.asin))];
+
+  const [byOrder, byAsin] = await Promise.all([
+    orderIds.length ? FeedbackTracker.find({ orderId: { $in: orderIds } }) : [],
+    asins.length ? FeedbackTracker.find({ asin: { $in: asins } }) : []
+  ]);
+
+  const claimed = new Set();
+  const report = rows.map((row, index) => {
+    const entry = { row: index + 1, ...row };
+
+    let reviewDate = null;
+    if (row.reviewDate) {
+      reviewDate = new Date(row.reviewDate);
+      if (Number.isNaN(reviewDate.getTime())) {
+        return { ...entry, result: 'unmatched', reason: `Invalid review date "${row.reviewDate}"` };
+      }
+    }
+
+    let candidates;
+    if (row.orderId) {
+      candidates = byOrder.filter(tracker => tracker.orderId === row.orderId);
+    } else if (row.asin && row.reviewerName) {
+      candidates = byAsin.filter(tracker =>
+        tracker.asin === row.asin &&
+        namesMatch(row.reviewerName, tracker.customerName) &&
+        (!reviewDate || tracker.submissionDate <= reviewDate)
+      );
+    } else {
+      return { ...entry, result: 'unmatched', reason: 'Row needs an order ID, or an ASIN and reviewer name' };
+    }
+
+    // The admin's pick for a row that was ambiguous on the dry run
+    const resolved = resolutions[entry.row];
+    if (resolved && candidates.length > 1) {
+      candidates = candidates.filter(tracker => tracker.orderId === resolved);
+    }
+
+    if (candidates.length === 0) {
+      return { ...entry, result: 'unmatched', reason: 'No feedback tracker found' };
+    }
+    if (candidates.length > 1) {
+      return {
+        ...entry,
+        result: 'ambiguous',
+        reason: `${candidates.length} trackers fit this row`,
+        candidates: candidates.map(describeTracker)
+      };
+    }
+
+    const tracker = candidates[0];
+    if (tracker.status === 'reviewed') {
+      return { ...entry, result: 'skipped', reason: 'Tracker already reviewed', tracker: describeTracker(tracker) };
+    }
+    if (claimed.has(tracker.orderId)) {
+      return { ...entry, result: 'skipped', reason: 'Tracker matched by an earlier row', tracker: describeTracker(tracker) };
+    }
+    claimed.add(tracker.orderId);
+
+    return {
+      ...entry,
+      result: 'matched',
+      tracker: describeTracker(tracker),
+      reviewedOnDay: getReviewedOnDay(tracker, reviewDate || new Date()),
+      _tracker: tracker
+    };
+  });
+
+  const summary = { total: report.length, matched: 0, ambiguous: 0, unmatched: 0, skipped: 0 };
+  report.forEach(entry => { summary[entry.result]++; });
+
+  return { summary, report };
+}
+
+/**
+ * Mark every matched tracker as reviewed. Calls onReviewed(entry, before, tracker)
+ * after each one (used for the audit log).
+ */
+async function applyReviews(report, onReviewed) {
+  let reviewed = 0;
+  for (const entry of report) {
+    if (entry.result !== 'matched') continue;
+
+    const tracker = entry._tracker;
+    const before = tracker.toObject();
+    await tracker.markAsReviewed(entry.reviewedOnDay, entry.reviewDate ? new Date(entry.reviewDate) : undefined);
+    entry.applied = true;
+    reviewed++;
+    if (onReviewed) await onReviewed(entry, before, tracker);
+  }
+  return reviewed;
+}
+
+// Helper: Report rows without the tracker documents
+const toReport = (report) => report.map(({ _tracker, ...entry }) => entry);
+
+module.exports = {
+  MAX_ROWS,
+  parseReviewFile,
+  namesMatch,
+  getReviewedOnDay,
+  matchReviews,
+  applyReviews,
+  toReport
+};
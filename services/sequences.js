@@ -0,0 +1,169 @@
+const FeedbackTracker = require('../models/FeedbackTracker');
+const EmailTemplate = require('../models/FeedbackTracker').EmailTemplate;
+const FollowUpSequence = require('../models/FollowUpSequence');
+const migrations = require('./migrations');
+
+// Marker recorded once the legacy layout has been converted (see services/migrations.js)
+const LEGACY_MIGRATION_KEY = 'feedback-sequences';
+
+// Built-in sequence, used until an admin saves a default sequence of their own
+const DEFAULT_SEQUENCE = {
+  key: 'default',
+  name: 'Review follow-up (built-in)',
+  description: 'Review requests 3, 7, 14 and 30 days after the claim',
+  isDefault: true,
+  isActive: true,
+  isBuiltIn: true,
+  steps: [
+    { key: 'day3', label: 'Day 3', delayDays: 3, templateKey: 'day3' },
+    { key: 'day7', label: 'Day 7', delayDays: 7, templateKey: 'day7' },
+    { key: 'day14', label: 'Day 14', delayDays: 14, templateKey: 'day14' },
+    { key: 'day30', label: 'Day 30', delayDays: 30, templateKey: 'day30' }
+  ]
+};
+
+/**
+ * Sequence used for new trackers when nothing more specific is configured
+ */
+async function getDefaultSequence() {
+  const sequence = await FollowUpSequence.findOne({ isDefault: true, isActive: true });
+  return sequence || DEFAULT_SEQUENCE;
+}
+
+/**
+ * Look up a sequence by key (the built-in one is always available as "default")
+ */
+async function getSequence(key) {
+  if (!key) return getDefaultSequence();
+
+  const sequence = await FollowUpSequence.findOne({ key });
+  if (sequence) return sequence;
+  if (key === DEFAULT_SEQUENCE.key) return DEFAULT_SEQUENCE;
+  return null;
+}
+
+/**
+ * All sequences, with the built-in one listed when it has not been overridden
+ */
+async function listSequences() {
+  const sequences = await FollowUpSequence.find().sort({ createdAt: 1 });
+  const hasDefaultKey = sequences.some(sequence => sequence.key === DEFAULT_SEQUENCE.key);
+  const hasDefault = sequences.some(sequence => sequence.isDefault && sequence.isActive);
+
+  if (hasDefaultKey) return sequences;
+  return [{ ...DEFAULT_SEQUENCE, isDefault: !hasDefault }, ...sequences];
+}
+
+/**
+ * Template keys used anywhere (sequence steps and saved templates)
+ */
+async function listTemplateKeys() {
+  const [sequences, templates] = await Promise.all([
+    listSequences(),
+    EmailTemplate.find({}, { key: 1 })
+  ]);
+
+  const keys = new Set();
+  sequences.forEach(sequence => sequence.steps.forEach(step => keys.add(step.templateKey)));
+  templates.forEach(template => template.key && keys.add(template.key));
+  return [...keys];
+}
+
+/**
+ * Convert trackers and templates from the fixed day 3/7/14/30 layout.
+ * Safe to run repeatedly - only touches documents still in the old shape.
+ */
+async function migrateLegacyData() {
+  const results = { trackers: 0, templates: 0 };
+
+  // Trackers: emailSchedule.dayN -> emailSteps[]
+  const cursor = FeedbackTracker.collection.find(
+    {
+      emailSchedule: { $exists: true },
+      $or: [{ emailSteps: { $exists: false } }, { emailSteps: { $size: 0 } }]
+    },
+    { projection: { emailSchedule: 1 } }
+  );
+
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await FeedbackTracker.collection.bulkWrite(batch, { ordered: false });
+    results.trackers += batch.length;
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    const emailSteps = Object.entries(doc.emailSchedule || {})
+      .map(([stepKey, entry]) => {
+        const delayDays = parseInt(stepKey.replace('day', ''), 10);
+        return {
+          stepKey,
+          delayDays,
+          templateKey: stepKey,
+          scheduledDate: entry.scheduledDate,
+          sent: !!entry.sent,
+          sentAt: entry.sentAt,
+          error: entry.error,
+          skipped: !!entry.skipped,
+          skippedAt: entry.skippedAt,
+          skipReason: entry.skipReason
+        };
+      })
+      .filter(step => !Number.isNaN(step.delayDays) && step.scheduledDate)
+      .sort((a, b) => a.delayDays - b.delayDays);
+
+    batch.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set: { emailSteps, sequenceKey: DEFAULT_SEQUENCE.key },
+          $unset: { emailSchedule: '' }
+        }
+      }
+    });
+
+    if (batch.length >= 500) await flush();
+  }
+  await flush();
+
+  // Templates: unique "day" index -> unique "key"
+  try {
+    await EmailTemplate.collection.dropIndex('day_1');
+  } catch (error) {
+    // Index already gone (or never created)
+  }
+
+  const legacyTemplates = await EmailTemplate.collection
+    .find({ key: { $exists: false }, day: { $exists: true } })
+    .toArray();
+  for (const template of legacyTemplates) {
+    await EmailTemplate.collection.updateOne(
+      { _id: template._id },
+      { $set: { key: `day${template.day}` } }
+    );
+    results.templates++;
+  }
+
+  if (results.trackers > 0 || results.templates > 0) {
+    console.log(`✓ Migrated ${results.trackers} trackers and ${results.templates} templates to follow-up sequences`);
+  }
+
+  return results;
+}
+
+// Run the legacy migration until it has completed once; new data is never
+// written in the old layout, so later starts only check its marker
+function ensureLegacyMigrated() {
+  return migrations.runOnce(LEGACY_MIGRATION_KEY, migrateLegacyData);
+}
+
+module.exports = {
+  DEFAULT_SEQUENCE,
+  getDefaultSequence,
+  getSequence,
+  listSequences,
+  listTemplateKeys,
+  migrateLegacyData,
+  ensureLegacyMigrated
+};
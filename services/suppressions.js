@@ -0,0 +1,59 @@
+const Suppression = require('../models/Suppression');
+
+// Helper: Suppression lookups are case-insensitive
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+/**
+ * Suppression entry for an address, or null when it may be emailed
+ */
+function findSuppression(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return Promise.resolve(null);
+  return Suppression.findOne({ email: normalized });
+}
+
+/**
+ * Add an address to the suppression list. Adding it again keeps the original
+ * entry, so the first opt-out (and its reason) is what stays on record.
+ * Returns { suppression, created }
+ *
+ * @param {string} email
+ * @param {object} details - { reason, source, orderId, note, admin }
+ */
+async function suppress(email, { reason, source, orderId, note, admin } = {}) {
+  const normalized = normalizeEmail(email);
+  const existing = await Suppression.findOne({ email: normalized });
+  if (existing) return { suppression: existing, created: false };
+
+  try {
+    const suppression = await Suppression.create({
+      email: normalized,
+      reason,
+      source,
+      orderId,
+      note,
+      addedBy: admin ? { id: admin.id, email: admin.email, name: admin.name } : undefined
+    });
+    return { suppression, created: true };
+  } catch (error) {
+    // Two opt-outs for the same address at once
+    if (error.code === 11000) {
+      return { suppression: await Suppression.findOne({ email: normalized }), created: false };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove an address from the suppression list. Returns the removed entry or null.
+ */
+function unsuppress(email) {
+  return Suppression.findOneAndDelete({ email: normalizeEmail(email) });
+}
+
+module.exports = {
+  normalizeEmail,
+  findSuppression,
+  suppress,
+  unsuppress
+};
@@ -0,0 +1,137 @@
+const EmailTemplate = require('../models/FeedbackTracker').EmailTemplate;
+const EmailTemplateVersion = require('../models/EmailTemplateVersion');
+
+// Helper: Author fields from the signed-in admin
+const toAuthor = (admin) => (admin ? { id: admin.id, email: admin.email, name: admin.name } : {});
+
+// Helper: Label stored in EmailTemplate.modifiedBy
+const authorLabel = (admin) => (admin ? admin.email || admin.name : undefined);
+
+// Helper: Versioned fields of a template
+const stateOf = (template, isBuiltIn = false) => ({
+  subject: template.subject,
+  htmlContent: template.htmlContent,
+  isActive: isBuiltIn ? false : template.isActive,
+  isBuiltIn
+});
+
+/**
+ * Append a version (retries if two saves race for the same number)
+ */
+async function addVersion(key, state, { action, admin, restoredFrom }) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await EmailTemplateVersion.findOne({ templateKey: key }).sort({ version: -1 }).select('version');
+    try {
+      return await EmailTemplateVersion.create({
+        templateKey: key,
+        version: latest ? latest.version + 1 : 1,
+        action,
+        restoredFrom,
+        ...state,
+        author: toAuthor(admin)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Could not record template version, please try again');
+}
+
+/**
+ * Keep the pre-history state of templates saved before versioning existed
+ */
+async function ensureBaseline(template) {
+  if (!template || await EmailTemplateVersion.exists({ templateKey: template.key })) return;
+  await addVersion(template.key, stateOf(template), {
+    action: 'baseline',
+    admin: template.modifiedBy ? { email: template.modifiedBy } : null
+  });
+}
+
+// Helper: Create or update the custom template
+const writeTemplate = async (key, { subject, htmlContent, isActive }, admin) => {
+  let template = await EmailTemplate.findOne({ key });
+  if (!template) template = new EmailTemplate({ key });
+
+  template.subject = subject;
+  template.htmlContent = htmlContent;
+  template.isActive = isActive !== undefined ? isActive : true;
+  template.lastModified = new Date();
+  template.modifiedBy = authorLabel(admin);
+  await template.save();
+  return template;
+};
+
+/**
+ * Save a custom template and record the new version
+ */
+async function saveTemplate(key, fields, admin) {
+  await ensureBaseline(await EmailTemplate.findOne({ key }));
+
+  const template = await writeTemplate(key, fields, admin);
+  const version = await addVersion(key, stateOf(template), { action: 'save', admin });
+  return { template, version };
+}
+
+/**
+ * Drop the custom template (back to built-in content). Undo by rolling back
+ * to the version before the reset.
+ */
+async function resetTemplate(key, builtIn, admin) {
+  const template = await EmailTemplate.findOne({ key });
+  if (!template) return { template: null, version: null };
+
+  await ensureBaseline(template);
+  await template.deleteOne();
+  const version = await addVersion(key, stateOf(builtIn, true), { action: 'reset', admin });
+  return { template, version };
+}
+
+/**
+ * Restore an earlier version (a built-in version resets the template)
+ */
+async function rollbackTemplate(key, versionNumber, admin) {
+  const target = await EmailTemplateVersion.findOne({ templateKey: key, version: versionNumber });
+  if (!target) return null;
+
+  const existing = await EmailTemplate.findOne({ key });
+  await ensureBaseline(existing);
+
+  let template = null;
+  if (target.isBuiltIn) {
+    if (existing) await existing.deleteOne();
+  } else {
+    template = await writeTemplate(key, target, admin);
+  }
+
+  const version = await addVersion(key, {
+    subject: target.subject,
+    htmlContent: target.htmlContent,
+    isActive: target.isActive,
+    isBuiltIn: target.isBuiltIn
+  }, { action: 'rollback', admin, restoredFrom: target.version });
+
+  return { template, previous: existing, version };
+}
+
+/**
+ * Version list for a template, newest first (without content)
+ */
+function listVersions(key) {
+  return EmailTemplateVersion.find({ templateKey: key }, { htmlContent: 0 }).sort({ version: -1 });
+}
+
+/**
+ * Single version with content
+ */
+function getVersion(key, versionNumber) {
+  return EmailTemplateVersion.findOne({ templateKey: key, version: versionNumber });
+}
+
+module.exports = {
+  saveTemplate,
+  resetTemplate,
+  rollbackTemplate,
+  listVersions,
+  getVersion
+};
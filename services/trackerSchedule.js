@@ -0,0 +1,220 @@
+const { SKIP_REASONS } = require('./emailScheduler');
+
+/**
+ * Admin changes to a feedback tracker's email schedule
+ *
+ * Only outstanding steps (not sent, not skipped) move, except that giving a
+ * skipped step a new date puts it back in the schedule. The scheduler sends
+ * whatever is due by scheduledDate (see planTrackerEmails in emailScheduler.js),
+ * so the dates set here are all it needs. Changes are made on the tracker
+ * without saving; each function returns { changes: [{ stepKey, from, to }] }
+ * or { error: { code, message } }.
+ */
+
+const SCHEDULE_ERRORS = {
+  NOT_PENDING: 'NOT_PENDING',
+  NOT_CANCELLED: 'NOT_CANCELLED',
+  INVALID_DAYS: 'INVALID_DAYS',
+  INVALID_DATE: 'INVALID_DATE',
+  DATE_IN_PAST: 'DATE_IN_PAST',
+  UNKNOWN_STEP: 'UNKNOWN_STEP',
+  STEP_SENT: 'STEP_SENT',
+  STEP_SUPPRESSED: 'STEP_SUPPRESSED',
+  NOTHING_OUTSTANDING: 'NOTHING_OUTSTANDING'
+};
+
+// Longest snooze accepted in one go
+const MAX_SNOOZE_DAYS = 365;
+
+// Helper: Midnight at the start of a date's day
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+// Helper: Date plus a number of calendar days
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Helper: Whole calendar days between two dates
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / (24 * 60 * 60 * 1000));
+
+// Helper: Date from a request value ("YYYY-MM-DD" is that calendar day, not UTC midnight), or null
+const parseDate = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value !== 'string' || !value) return null;
+
+  const day = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Helper: Steps still waiting to be sent, in delayDays order
+const getOutstanding = (tracker) => tracker.emailSteps
+  .filter(step => !step.sent && !step.skipped)
+  .sort((a, b) => a.delayDays - b.delayDays);
+
+// Helper: Move a step and note the change
+const moveStep = (step, to, changes) => {
+  changes.push({ stepKey: step.stepKey, from: step.scheduledDate, to });
+  step.scheduledDate = to;
+};
+
+// Helper: Error unless the tracker is still sending emails
+const checkPending = (tracker) => {
+  if (tracker.status === 'pending' && tracker.isActive) return null;
+  return {
+    code: SCHEDULE_ERRORS.NOT_PENDING,
+    message: tracker.status === 'cancelled'
+      ? 'This tracker is cancelled - reactivate it to schedule its emails again'
+      : `This tracker is ${tracker.status}; only pending trackers can be rescheduled`
+  };
+};
+
+/**
+ * Postpone the remaining emails so none goes out for the next `days` days.
+ * Steps keep their spacing; an overdue schedule moves far enough that its
+ * first email lands `days` days from today.
+ */
+function snooze(tracker, days, today = new Date()) {
+  const pendingError = checkPending(tracker);
+  if (pendingError) return { error: pendingError };
+
+  const count = Number(days);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_SNOOZE_DAYS) {
+    return { error: { code: SCHEDULE_ERRORS.INVALID_DAYS, message: `Snooze for 1 to ${MAX_SNOOZE_DAYS} days` } };
+  }
+
+  const outstanding = getOutstanding(tracker);
+  if (outstanding.length === 0) {
+    return { error: { code: SCHEDULE_ERRORS.NOTHING_OUTSTANDING, message: 'This tracker has no emails left to send' } };
+  }
+
+  const earliest = outstanding.reduce((min, step) => (step.scheduledDate < min ? step.scheduledDate : min), outstanding[0].scheduledDate);
+  const shift = Math.max(count, daysBetween(earliest, addDays(startOfDay(today), count)));
+
+  const changes = [];
+  outstanding.forEach(step => moveStep(step, addDays(step.scheduledDate, shift), changes));
+  return { changes, days: shift };
+}
+
+/**
+ * Set the date of individual steps ({ stepKey: "YYYY-MM-DD" }). Nothing
+ * changes unless every date is valid. A skipped step given a date is
+ * scheduled again, except when the address was suppressed.
+ */
+function setStepDates(tracker, dates, today = new Date()) {
+  const pendingError = checkPending(tracker);
+  if (pendingError) return { error: pendingError };
+
+  const entries = dates && typeof dates === 'object' ? Object.keys(dates) : [];
+  if (entries.length === 0) {
+    return { error: { code: SCHEDULE_ERRORS.INVALID_DATE, message: 'Give a new date for at least one step' } };
+  }
+
+  const updates = [];
+  for (const stepKey of entries) {
+    const step = tracker.getEmailStep(stepKey);
+    if (!step) {
+      return { error: { code: SCHEDULE_ERRORS.UNKNOWN_STEP, message: `This tracker has no "${stepKey}" step` } };
+    }
+    if (step.sent) {
+      return { error: { code: SCHEDULE_ERRORS.STEP_SENT, message: `The ${stepKey} email was already sent` } };
+    }
+    if (step.skipped && step.skipReason === SKIP_REASONS.SUPPRESSED) {
+      return { error: { code: SCHEDULE_ERRORS.STEP_SUPPRESSED, message: `The ${stepKey} email was skipped because the address is suppressed` } };
+    }
+
+    const date = parseDate(dates[stepKey]);
+    if (!date) {
+      return { error: { code: SCHEDULE_ERRORS.INVALID_DATE, message: `"${dates[stepKey]}" is not a valid date for ${stepKey}` } };
+    }
+    if (date < startOfDay(today)) {
+      return { error: { code: SCHEDULE_ERRORS.DATE_IN_PAST, message: `Pick today or a later date for ${stepKey}` } };
+    }
+    updates.push({ step, date });
+  }
+
+  const changes = [];
+  updates.forEach(({ step, date }) => {
+    if (step.skipped) {
+      step.skipped = false;
+      step.skippedAt = undefined;
+      step.skipReason = undefined;
+    }
+    moveStep(step, date, changes);
+  });
+  return { changes };
+}
+
+// Helper: Lay out the outstanding steps from a start date, keeping the sequence's spacing
+const layOut = (tracker, startDate, today) => {
+  const start = startDate === undefined || startDate === null || startDate === '' ? startOfDay(today) : parseDate(startDate);
+  if (!start) {
+    return { error: { code: SCHEDULE_ERRORS.INVALID_DATE, message: `"${startDate}" is not a valid start date` } };
+  }
+  if (start < startOfDay(today)) {
+    return { error: { code: SCHEDULE_ERRORS.DATE_IN_PAST, message: 'Pick today or a later start date' } };
+  }
+
+  const outstanding = getOutstanding(tracker);
+  const changes = [];
+  if (outstanding.length > 0) {
+    const firstDelay = outstanding[0].delayDays;
+    outstanding.forEach(step => moveStep(step, addDays(start, step.delayDays - firstDelay), changes));
+  }
+  return { changes, startDate: start };
+};
+
+/**
+ * Rebuild the remaining schedule: the first outstanding email goes out on
+ * startDate (default today) and the rest follow with the sequence's gaps
+ */
+function rebuildSchedule(tracker, startDate, today = new Date()) {
+  const pendingError = checkPending(tracker);
+  if (pendingError) return { error: pendingError };
+
+  const result = layOut(tracker, startDate, today);
+  if (!result.error && result.changes.length === 0) {
+    return { error: { code: SCHEDULE_ERRORS.NOTHING_OUTSTANDING, message: 'This tracker has no emails left to send' } };
+  }
+  return result;
+}
+
+/**
+ * Make a cancelled tracker pending again and rebuild its remaining schedule
+ * from startDate (default today), so dates that passed while it was inactive
+ * are not expired or superseded by the next scheduler run. Reviewed and
+ * unreviewed trackers are finished and can't be reactivated.
+ */
+function reactivate(tracker, startDate, today = new Date()) {
+  if (tracker.status !== 'cancelled') {
+    return {
+      error: {
+        code: SCHEDULE_ERRORS.NOT_CANCELLED,
+        message: `This tracker is ${tracker.status}; only cancelled trackers can be reactivated`
+      }
+    };
+  }
+
+  const result = layOut(tracker, startDate, today);
+  if (result.error) return result;
+
+  tracker.isActive = true;
+  tracker.status = 'pending';
+  return result;
+}
+
+module.exports = {
+  SCHEDULE_ERRORS,
+  MAX_SNOOZE_DAYS,
+  parseDate,
+  snooze,
+  setStepDates,
+  rebuildSchedule,
+  reactivate
+};
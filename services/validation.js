@@ -0,0 +1,243 @@
+/**
+ * Request schemas for the public submission endpoints
+ *
+ * validate(schema, body) checks a request body field by field and returns
+ * { value } (only the schema's fields, trimmed and normalized) or
+ * { errors: { field: message } }. Fields the schema doesn't know are errors.
+ *
+ * Country / state contract: country may be an ISO 3166-1 alpha-2 code ("US"),
+ * an English country name ("United States") or { name, isoCode }; it's stored
+ * as country (English name) + countryCode. State may be a name, a code or
+ * { name, isoCode }; it's stored as state + stateCode (when a code is known).
+ */
+
+const ORDER_ID_PATTERN = /^\d{3}-\d{7}-\d{7}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/i;
+const PHONE_PATTERN = /^\+?[0-9][0-9\s().-]{4,24}$/;
+const STATE_CODE_PATTERN = /^[A-Z0-9]{1,3}$/i;
+
+// Country names people type that Intl doesn't use
+const COUNTRY_ALIASES = {
+  'usa': 'US',
+  'united states of america': 'US',
+  'uk': 'GB',
+  'great britain': 'GB',
+  'england': 'GB'
+};
+
+// Retired or transitionally reserved codes Intl still names (UK, SU, YU, ...);
+// they would shadow the current code of the same country
+const RETIRED_COUNTRY_CODES = new Set([
+  'AN', 'BU', 'CS', 'DD', 'DY', 'FX', 'HV', 'NH', 'RH', 'SU', 'TP', 'UK', 'VD', 'YD', 'YU', 'ZR'
+]);
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+let countryCodesByName = null;
+
+// Helper: English name -> code for every ISO region Intl knows (built once)
+const getCountryCodesByName = () => {
+  if (!countryCodesByName) {
+    countryCodesByName = {};
+    const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    for (const first of letters) {
+      for (const second of letters) {
+        const code = first + second;
+        if (RETIRED_COUNTRY_CODES.has(code)) continue;
+        let name;
+        try {
+          name = regionNames.of(code);
+        } catch (error) {
+          continue;
+        }
+        if (!name || name === code || name === 'Unknown Region') continue;
+        // First code wins if two still share a name
+        if (!countryCodesByName[name.toLowerCase()]) countryCodesByName[name.toLowerCase()] = code;
+      }
+    }
+  }
+  return countryCodesByName;
+};
+
+/**
+ * { country, countryCode } for a submitted country, or null when it isn't recognised
+ */
+function normalizeCountry(input) {
+  const raw = input && typeof input === 'object' ? input.isoCode || input.code || input.name : input;
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+
+  const text = raw.trim();
+  let code = COUNTRY_ALIASES[text.toLowerCase()] || null;
+  if (!code && /^[A-Z]{2}$/i.test(text)) {
+    code = text.toUpperCase();
+    if (getCountryCodesByName()[regionNames.of(code).toLowerCase()] !== code) code = null;
+  } else if (!code) {
+    code = getCountryCodesByName()[text.toLowerCase()] || null;
+  }
+
+  return code ? { country: regionNames.of(code), countryCode: code } : null;
+}
+
+/**
+ * { state, stateCode } for a submitted state / province / region
+ */
+function normalizeState(input) {
+  if (input && typeof input === 'object') {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const code = typeof input.isoCode === 'string' ? input.isoCode.trim().toUpperCase() : '';
+    return name ? { state: name, stateCode: STATE_CODE_PATTERN.test(code) ? code : undefined } : null;
+  }
+  if (typeof input !== 'string' || !input.trim()) return null;
+
+  const text = input.trim();
+  return /^[A-Z]{2,3}$/.test(text)
+    ? { state: text, stateCode: text }
+    : { state: text };
+}
+
+// Helper: Trimmed string from a string or number, or undefined when empty
+const toText = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  if (typeof value !== 'string') return value === undefined || value === null ? undefined : null;
+  const text = value.trim();
+  return text === '' ? undefined : text;
+};
+
+// Field checks: (value, spec) -> { value } or { error }
+const FIELD_TYPES = {
+  string(value, spec) {
+    const text = toText(value);
+    if (text === null) return { error: 'Must be text' };
+    if (text === undefined) return {};
+    if (spec.maxLength && text.length > spec.maxLength) return { error: `Must be at most ${spec.maxLength} characters` };
+    if (spec.pattern && !spec.pattern.test(text)) return { error: spec.patternMessage || 'Is not in the expected format' };
+    return { value: text };
+  },
+
+  email(value) {
+    const text = toText(value);
+    if (text === null) return { error: 'Must be text' };
+    if (text === undefined) return {};
+    if (text.length > 254 || !EMAIL_PATTERN.test(text)) return { error: 'Enter a valid email address' };
+    return { value: text };
+  },
+
+  // One ASIN or a list of them
+  asin(value) {
+    if (value === undefined || value === null || value === '') return {};
+    const list = Array.isArray(value) ? value : [value];
+    if (list.length > 20 || list.some(item => typeof item !== 'string' || !ASIN_PATTERN.test(item.trim()))) {
+      return { error: 'Must be a 10 character ASIN or a list of them' };
+    }
+    const asins = list.map(item => item.trim().toUpperCase());
+    return { value: Array.isArray(value) ? asins : asins[0] };
+  },
+
+  country(value) {
+    if (value === undefined || value === null || value === '') return {};
+    const country = normalizeCountry(value);
+    return country ? { fields: country } : { error: 'Choose a country from the list' };
+  },
+
+  state(value) {
+    if (value === undefined || value === null || value === '') return {};
+    const state = normalizeState(value);
+    if (!state) return { error: 'Must be a state name or { name, isoCode }' };
+    if (state.state.length > 100) return { error: 'Must be at most 100 characters' };
+    return { fields: state };
+  }
+};
+
+/**
+ * Check a request body against a schema. Returns { value } or { errors }.
+ */
+function validate(schema, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: { _body: 'Request body must be a JSON object' } };
+  }
+
+  const errors = {};
+  const value = {};
+
+  Object.keys(body).forEach(field => {
+    if (!schema[field]) errors[field] = 'Unknown field';
+  });
+
+  Object.keys(schema).forEach(field => {
+    const spec = schema[field];
+    const result = FIELD_TYPES[spec.type](body[field], spec);
+
+    if (result.error) {
+      errors[field] = result.error;
+    } else if (result.value === undefined && !result.fields) {
+      if (spec.required) errors[field] = 'Required';
+    } else if (result.fields) {
+      Object.assign(value, result.fields);
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  return Object.keys(errors).length ? { errors } : { value };
+}
+
+const ORDER_ID = {
+  type: 'string',
+  required: true,
+  pattern: ORDER_ID_PATTERN,
+  patternMessage: 'Enter an Amazon order ID like 123-1234567-1234567'
+};
+const PHONE = {
+  type: 'string',
+  maxLength: 30,
+  pattern: PHONE_PATTERN,
+  patternMessage: 'Enter a valid phone number'
+};
+const CAMPAIGN = { type: 'string', maxLength: 100 };
+
+// POST /submit-review (free gift; becomes an Order)
+const SUBMIT_REVIEW_SCHEMA = {
+  campaign: CAMPAIGN,
+  orderId: ORDER_ID,
+  name: { type: 'string', maxLength: 100 },
+  fullName: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email', required: true },
+  phoneNumber: PHONE,
+  language: { type: 'string', maxLength: 20 },
+  streetAddress: { type: 'string', required: true, maxLength: 200 },
+  city: { type: 'string', required: true, maxLength: 100 },
+  state: { type: 'state' },
+  zipCode: { type: 'string', required: true, maxLength: 20 },
+  country: { type: 'country', required: true },
+  asin: { type: 'asin' },
+  productName: { type: 'string', maxLength: 300 }
+};
+
+// POST /claim-ticket (ticket draw; becomes a TicketClaim)
+const CLAIM_TICKET_SCHEMA = {
+  campaign: CAMPAIGN,
+  orderId: ORDER_ID,
+  name: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email', required: true },
+  phoneNumber: PHONE,
+  asin: { type: 'asin' },
+  productName: { type: 'string', maxLength: 300 }
+};
+
+// PUT /api/admin/orders/:orderId - the customer and shipping fields of SUBMIT_REVIEW_SCHEMA
+const ORDER_UPDATE_SCHEMA = {};
+['name', 'fullName', 'email', 'phoneNumber', 'language', 'streetAddress', 'city', 'state', 'zipCode', 'country']
+  .forEach(field => { ORDER_UPDATE_SCHEMA[field] = SUBMIT_REVIEW_SCHEMA[field]; });
+
+// Order fields an update replaces (including the normalized codes)
+const ORDER_UPDATE_FIELDS = [...Object.keys(ORDER_UPDATE_SCHEMA), 'countryCode', 'stateCode'];
+
+module.exports = {
+  SUBMIT_REVIEW_SCHEMA,
+  CLAIM_TICKET_SCHEMA,
+  ORDER_UPDATE_SCHEMA,
+  ORDER_UPDATE_FIELDS,
+  normalizeCountry,
+  normalizeState,
+  validate
+};
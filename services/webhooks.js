@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Events a subscription can ask for
+const WEBHOOK_EVENTS = {
+  'ticket-claim.created': 'A ticket claim was submitted',
+  'tracker.reviewed': 'A feedback tracker was marked as reviewed',
+  'tracker.unreviewed': 'A feedback tracker was marked as unreviewed',
+  'tracker.cancelled': 'A feedback tracker\'s emails were cancelled',
+  'feedback-email.failed': 'A follow-up email could not be sent'
+};
+
+// Sent by "Send test" on the admin page, whatever the subscription's events
+const TEST_EVENT = 'webhook.test';
+
+// Delivery configuration for the webhook worker (same backoff as the email outbox)
+const WEBHOOKS = {
+  MAX_ATTEMPTS: 6, // Then the delivery is dead-lettered
+  BASE_DELAY: 60 * 1000, // 1 minute, doubled after every failure
+  MAX_DELAY: 6 * 60 * 60 * 1000, // 6 hours
+  LOCK_DURATION: 2 * 60 * 1000, // A "sending" delivery is considered stuck after 2 minutes
+  TIMEOUT: 5000, // Per request; endpoints should answer quickly and do the work later
+  RESPONSE_LIMIT: 500, // Characters of the response body kept for the delivery log
+  BATCH_SIZE: 20 // Safe limit for Vercel 10s timeout
+};
+
+// Helper: Delay before the next attempt (exponential backoff)
+const getBackoffDelay = (attempts) => {
+  return Math.min(WEBHOOKS.BASE_DELAY * Math.pow(2, Math.max(attempts - 1, 0)), WEBHOOKS.MAX_DELAY);
+};
+
+/**
+ * New signing secret for a subscription
+ */
+function createSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature header value for a request body: "t=<unix seconds>,v1=<hex HMAC-SHA256>".
+ * Receivers recompute the HMAC of "<t>.<raw body>" with the subscription secret,
+ * compare it in constant time and reject old timestamps to stop replays.
+ */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Helper: Payload fields for a ticket claim
+const describeClaim = (claim) => ({
+  orderId: claim.orderId,
+  campaignKey: claim.campaignKey,
+  name: claim.name,
+  email: claim.email,
+  phoneNumber: claim.phoneNumber,
+  asin: claim.asin,
+  productName: claim.productName,
+  status: claim.status,
+  createdAt: claim.createdAt
+});
+
+// Helper: Payload fields for a feedback tracker
+const describeTracker = (tracker) => ({
+  orderId: tracker.orderId,
+  campaignKey: tracker.campaignKey,
+  sequenceKey: tracker.sequenceKey,
+  customerName: tracker.customerName,
+  customerEmail: tracker.customerEmail,
+  asin: tracker.asin,
+  productName: tracker.productName,
+  status: tracker.status,
+  isActive: tracker.isActive,
+  submissionDate: tracker.submissionDate,
+  reviewedAt: tracker.reviewedAt,
+  reviewedOnDay: tracker.reviewedOnDay
+});
+
+// Helper: Store one delivery per subscription for an event
+const createDeliveries = (subscriptions, event, data) => {
+  const eventId = crypto.randomUUID();
+  const payload = {
+    id: eventId,
+    event,
+    createdAt: new Date().toISOString(),
+    data: JSON.parse(JSON.stringify(data || {}))
+  };
+
+  return WebhookDelivery.insertMany(
+    subscriptions.map(subscription => ({
+      subscriptionId: subscription._id,
+      event,
+      eventId,
+      payload,
+      maxAttempts: WEBHOOKS.MAX_ATTEMPTS
+    }))
+  );
+};
+
+// Helper: Atomically claim a delivery so two workers never send it twice
+const claimDelivery = (query) => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      ...query,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'sending',
+        lockedUntil: new Date(now.getTime() + WEBHOOKS.LOCK_DURATION),
+        updatedAt: now
+      }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Helper: POST the payload to the subscription's URL; throws unless it answers 2xx
+const postPayload = async (subscription, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'amazon-server-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Signature': sign(subscription.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOKS.TIMEOUT)
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text()).slice(0, WEBHOOKS.RESPONSE_LIMIT);
+
+    if (!response.ok) {
+      throw new Error(`Endpoint responded with HTTP ${response.status}`);
+    }
+  } finally {
+    delivery.durationMs = Date.now() - started;
+  }
+};
+
+/**
+ * Try to send one claimed delivery and record the outcome
+ */
+async function attemptDelivery(delivery) {
+  delivery.attempts += 1;
+  delivery.responseStatus = undefined;
+  delivery.responseBody = undefined;
+
+  try {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+    if (!subscription) {
+      delivery.maxAttempts = delivery.attempts;
+      throw new Error('Subscription was deleted');
+    }
+    if (!subscription.isActive) {
+      delivery.maxAttempts = delivery.attempts;
+      throw new Error('Subscription is disabled');
+    }
+
+    await postPayload(subscription, delivery);
+
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    delivery.lastError = null;
+    delivery.lockedUntil = null;
+    await delivery.save();
+
+    console.log(`✅ Webhook ${delivery.event} delivered to ${subscription.url} (HTTP ${delivery.responseStatus})`);
+    return { success: true, id: delivery._id, responseStatus: delivery.responseStatus };
+
+  } catch (error) {
+    delivery.lastError = error.message || 'Unknown error';
+    delivery.lockedUntil = null;
+
+    if (delivery.attempts >= delivery.maxAttempts) {
+      delivery.status = 'dead';
+      console.error(`❌ Webhook ${delivery.event} ${delivery._id} dead-lettered after ${delivery.attempts} attempts: ${delivery.lastError}`);
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + getBackoffDelay(delivery.attempts));
+      console.error(`⚠️  Webhook ${delivery.event} attempt ${delivery.attempts} failed, retrying at ${delivery.nextAttemptAt.toISOString()}: ${delivery.lastError}`);
+    }
+
+    await delivery.save();
+    return { success: false, id: delivery._id, error: delivery.lastError, status: delivery.status, responseStatus: delivery.responseStatus };
+  }
+}
+
+/**
+ * Deliver specific deliveries right away
+ */
+async function deliverNow(deliveries) {
+  const results = [];
+  for (const delivery of deliveries) {
+    const claimed = await claimDelivery({ _id: delivery._id });
+    if (claimed) {
+      results.push(await attemptDelivery(claimed));
+    }
+  }
+  return results;
+}
+
+/**
+ * Fire-and-forget delivery so the triggering request does not wait on the endpoints.
+ * Anything that fails here stays queued for the cron worker.
+ */
+function deliverInBackground(deliveries) {
+  if (!deliveries || deliveries.length === 0) return;
+  setImmediate(() => {
+    deliverNow(deliveries).catch(error => {
+      console.error('Error delivering webhooks (will retry):', error);
+    });
+  });
+}
+
+/**
+ * Queue an event for every active subscription that wants it and start delivering.
+ * Never throws - a webhook problem must not break the action that triggered it.
+ *
+ * @param {string} event - Key of WEBHOOK_EVENTS
+ * @param {object} data - Event details (see describeClaim / describeTracker)
+ */
+async function publish(event, data) {
+  try {
+    const subscriptions = await WebhookSubscription.find({ isActive: true, events: event }).select('_id');
+    if (subscriptions.length === 0) return [];
+
+    const deliveries = await createDeliveries(subscriptions, event, data);
+    deliverInBackground(deliveries);
+    return deliveries;
+  } catch (error) {
+    console.error(`Error queuing ${event} webhooks (non-critical):`, error);
+    return [];
+  }
+}
+
+/**
+ * Queue a test event for one subscription (not delivered yet)
+ */
+async function queueTest(subscription, admin) {
+  const [delivery] = await createDeliveries([subscription], TEST_EVENT, {
+    subscription: { id: String(subscription._id), name: subscription.name },
+    sentBy: admin ? admin.email : undefined
+  });
+  return delivery;
+}
+
+/**
+ * Process due deliveries (called by cron job)
+ */
+async function processWebhooks(limit = WEBHOOKS.BATCH_SIZE) {
+  const results = {
+    processed: 0,
+    delivered: 0,
+    failed: 0,
+    dead: 0,
+    errors: []
+  };
+
+  while (results.processed < limit) {
+    const delivery = await claimDelivery({});
+    if (!delivery) break;
+
+    results.processed++;
+    const result = await attemptDelivery(delivery);
+
+    if (result.success) {
+      results.delivered++;
+    } else {
+      results.failed++;
+      if (result.status === 'dead') results.dead++;
+      results.errors.push({ id: result.id, event: delivery.event, subscriptionId: delivery.subscriptionId, error: result.error });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Queue the same payload again as a new delivery (the original stays in the log).
+ * Returns the new delivery, or null when the original does not exist.
+ */
+async function redeliver(id) {
+  const original = await WebhookDelivery.findById(id);
+  if (!original) return null;
+
+  return WebhookDelivery.create({
+    subscriptionId: original.subscriptionId,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    redeliveryOf: original._id,
+    maxAttempts: WEBHOOKS.MAX_ATTEMPTS
+  });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  WEBHOOKS,
+  createSecret,
+  sign,
+  describeClaim,
+  describeTracker,
+  publish,
+  queueTest,
+  deliverNow,
+  deliverInBackground,
+  processWebhooks,
+  redeliver
+};
@@ -0,0 +1,214 @@
+const zlib = require('zlib');
+const { escapeFormula } = require('./csv');
+
+/**
+ * Minimal streaming XLSX writer for admin exports
+ *
+ * Writes one worksheet of inline strings, numbers and booleans. The sheet is
+ * compressed batch by batch (each batch is an independent sync-flushed deflate
+ * segment, which concatenate into one valid stream) and zipped with a data
+ * descriptor, so rows never pile up in memory however large the export is.
+ */
+
+// Rows compressed together
+const BATCH_ROWS = 500;
+
+// Excel's cell text limit
+const MAX_CELL_LENGTH = 32767;
+
+const ZIP_VERSION = 20;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// Helper: CRC-32 of a buffer, continuing from a previous value
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Helper: Time and date in MS-DOS format (zip timestamps)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Helper: Text safe inside XML (characters XML 1.0 forbids are dropped)
+const escapeXml = (value) => String(value)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Helper: Spreadsheet column letters (0 -> A, 26 -> AA)
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Helper: One <c> element
+const cellXml = (value, ref) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+
+  const text = (value instanceof Date ? value.toISOString() : String(escapeFormula(value))).slice(0, MAX_CELL_LENGTH);
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+// Helper: One <row> element (rowNumber starts at 1)
+const rowXml = (values, rowNumber) =>
+  `<row r="${rowNumber}">${values.map((value, i) => cellXml(value, `${columnName(i)}${rowNumber}`)).join('')}</row>`;
+
+const workbookFiles = (sheetName) => ({
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>',
+  'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '</Relationships>'
+});
+
+const SHEET_START = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+const SHEET_END = '</sheetData></worksheet>';
+
+// Helper: Zip local file header
+const localHeader = (entry, stamp) => {
+  const name = Buffer.from(entry.name);
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(ZIP_VERSION, 4);
+  header.writeUInt16LE(entry.flags, 6);
+  header.writeUInt16LE(METHOD_DEFLATE, 8);
+  header.writeUInt16LE(stamp.time, 10);
+  header.writeUInt16LE(stamp.date, 12);
+  header.writeUInt32LE(entry.crc, 14);
+  header.writeUInt32LE(entry.compressedSize, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(name.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, name]);
+};
+
+// Helper: Zip central directory and end record
+const centralDirectory = (entries, stamp, offset) => {
+  const records = entries.map(entry => {
+    const name = Buffer.from(entry.name);
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(ZIP_VERSION, 4);
+    record.writeUInt16LE(ZIP_VERSION, 6);
+    record.writeUInt16LE(entry.flags, 8);
+    record.writeUInt16LE(METHOD_DEFLATE, 10);
+    record.writeUInt16LE(stamp.time, 12);
+    record.writeUInt16LE(stamp.date, 14);
+    record.writeUInt32LE(entry.crc, 16);
+    record.writeUInt32LE(entry.compressedSize, 20);
+    record.writeUInt32LE(entry.size, 24);
+    record.writeUInt16LE(name.length, 28);
+    record.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([record, name]);
+  });
+  const directory = Buffer.concat(records);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([directory, end]);
+};
+
+/**
+ * XLSX file as an async iterable of buffers (for stream.Readable.from)
+ *
+ * @param {AsyncIterable<Array>} rows - Cell values per row (strings, numbers, booleans, dates)
+ * @param {object} options - { columns: header row, sheetName }
+ */
+async function* writeWorkbook(rows, { columns = [], sheetName = 'Export' } = {}) {
+  const stamp = dosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(workbookFiles(sheetName))) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const entry = { name, flags: FLAG_UTF8, crc: crc32(data), size: data.length, compressedSize: compressed.length, offset };
+    const header = localHeader(entry, stamp);
+    entries.push(entry);
+    offset += header.length + compressed.length;
+    yield Buffer.concat([header, compressed]);
+  }
+
+  // Sizes and checksum follow the data (data descriptor)
+  const sheet = { name: 'xl/worksheets/sheet1.xml', flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR, crc: 0, size: 0, compressedSize: 0, offset };
+  const sheetHeader = localHeader(sheet, stamp);
+  entries.push(sheet);
+  offset += sheetHeader.length;
+  yield sheetHeader;
+
+  const compress = (xml, final) => {
+    const data = Buffer.from(xml);
+    const compressed = zlib.deflateRawSync(data, final ? {} : { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    sheet.crc = crc32(data, sheet.crc);
+    sheet.size += data.length;
+    sheet.compressedSize += compressed.length;
+    offset += compressed.length;
+    return compressed;
+  };
+
+  let rowNumber = 1;
+  let batch = [SHEET_START, rowXml(columns, rowNumber)];
+  for await (const values of rows) {
+    rowNumber++;
+    batch.push(rowXml(values, rowNumber));
+    if (batch.length >= BATCH_ROWS) {
+      yield compress(batch.join(''), false);
+      batch = [];
+    }
+  }
+  batch.push(SHEET_END);
+  yield compress(batch.join(''), true);
+
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(sheet.crc, 4);
+  descriptor.writeUInt32LE(sheet.compressedSize, 8);
+  descriptor.writeUInt32LE(sheet.size, 12);
+  offset += descriptor.length;
+  yield descriptor;
+
+  yield centralDirectory(entries, stamp, offset);
+}
+
+module.exports = {
+  writeWorkbook
+};
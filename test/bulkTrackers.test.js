@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOrderIdFile, planAction, summarize, toResults } = require('../services/bulkTrackers');
+
+const ID_1 = '111-1111111-1111111';
+const ID_2 = '222-2222222-2222222';
+const ID_3 = '333-3333333-3333333';
+
+// Helper: Plain tracker with the fields planAction reads
+const buildTracker = (orderId, status) => ({ orderId, status, customerName: 'Jane Doe', submissionDate: new Date(2024, 5, 1) });
+
+test('parseOrderIdFile reads the order ID column of a file with a header row', () => {
+  const file = `Customer,Amazon Order ID,Rating\nJane,${ID_1},5\nJoe,${ID_2},4\nJim,,3\n`;
+  assert.deepEqual(parseOrderIdFile(file), [ID_1, ID_2]);
+  assert.deepEqual(parseOrderIdFile(`order_id\r\n${ID_2}\r\n`), [ID_2]);
+  assert.deepEqual(parseOrderIdFile(`x,Order-Number\ny,${ID_1}`), [ID_1]);
+});
+
+test('parseOrderIdFile reads the first column of a headerless file or plain list', () => {
+  assert.deepEqual(parseOrderIdFile(`${ID_1},Jane\n${ID_2},Joe`), [ID_1, ID_2]);
+  assert.deepEqual(parseOrderIdFile(Buffer.from(`\uFEFF ${ID_1} \n\n${ID_2}\n${ID_1}\n`)), [ID_1, ID_2]);
+  assert.deepEqual(parseOrderIdFile(''), []);
+  assert.deepEqual(parseOrderIdFile(undefined), []);
+});
+
+test('planAction marks each order ID ready, skipped or not found, in selection order', () => {
+  const trackers = [buildTracker(ID_1, 'pending'), buildTracker(ID_2, 'reviewed')];
+  const plan = planAction('mark-reviewed', trackers, [ID_3, ID_2, ID_1]);
+
+  assert.deepEqual(toResults(plan), [
+    { orderId: ID_3, result: 'not-found', reason: 'No tracker for this order ID' },
+    { orderId: ID_2, customerName: 'Jane Doe', status: 'reviewed', submissionDate: trackers[1].submissionDate, result: 'skipped', reason: 'Already reviewed' },
+    { orderId: ID_1, customerName: 'Jane Doe', status: 'pending', submissionDate: trackers[0].submissionDate, result: 'ready', reason: undefined }
+  ]);
+  assert.equal(plan[2]._tracker, trackers[0]);
+  assert.deepEqual(summarize(plan), { total: 3, ready: 1, updated: 0, skipped: 1, 'not-found': 1, failed: 0 });
+});
+
+test('planAction applies each action\'s skip rules', () => {
+  const trackers = ['pending', 'reviewed', 'unreviewed', 'cancelled'].map((status, index) => buildTracker(`${index}`, status));
+  const orderIds = trackers.map(tracker => tracker.orderId);
+  const results = (actionKey) => planAction(actionKey, trackers, orderIds).map(entry => entry.result);
+
+  assert.deepEqual(results('mark-reviewed'), ['ready', 'skipped', 'ready', 'ready']);
+  assert.deepEqual(results('mark-unreviewed'), ['ready', 'skipped', 'skipped', 'ready']);
+  assert.deepEqual(results('cancel'), ['ready', 'skipped', 'skipped', 'skipped']);
+  assert.deepEqual(results('reactivate'), ['skipped', 'skipped', 'skipped', 'ready']);
+  assert.deepEqual(results('delete'), ['ready', 'ready', 'ready', 'ready']);
+});
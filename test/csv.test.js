@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const csv = require('../services/csv');
+
+test('parseRows splits plain fields and lines', () => {
+  assert.deepEqual(csv.parseRows('a,b,c\n1,2,3\n'), [['a', 'b', 'c'], ['1', '2', '3']]);
+  assert.deepEqual(csv.parseRows('a,,c'), [['a', '', 'c']]);
+});
+
+test('parseRows handles quotes, escaped quotes and embedded separators', () => {
+  assert.deepEqual(csv.parseRows('"Doe, Jane","She said ""hi""","line 1\nline 2"'), [
+    ['Doe, Jane', 'She said "hi"', 'line 1\nline 2']
+  ]);
+});
+
+test('parseRows accepts CRLF, a BOM and blank lines', () => {
+  assert.deepEqual(csv.parseRows('\uFEFFid,name\r\n\r\n1,Jane\r\n  ,\r\n2,Joe'), [['id', 'name'], ['1', 'Jane'], ['2', 'Joe']]);
+  assert.deepEqual(csv.parseRows(''), []);
+});
+
+test('parse keys rows by the trimmed header', () => {
+  assert.deepEqual(csv.parse(' Order ID ,Rating,\n 123-1234567-1234567 ,5,extra\n123-7654321-7654321'), [
+    { 'Order ID': '123-1234567-1234567', Rating: '5' },
+    { 'Order ID': '123-7654321-7654321', Rating: '' }
+  ]);
+  assert.deepEqual(csv.parse(''), []);
+});
+
+test('escapeFormula neutralizes text a spreadsheet would run', () => {
+  ['=HYPERLINK("http://evil")', '+1+1', '-2+3', '@SUM(A1)', '\t=1', '\r=1'].forEach(value => {
+    assert.equal(csv.escapeFormula(value), `'${value}`);
+  });
+});
+
+test('escapeFormula leaves other values alone', () => {
+  assert.equal(csv.escapeFormula('Jane Doe'), 'Jane Doe');
+  assert.equal(csv.escapeFormula('a=b'), 'a=b');
+  assert.equal(csv.escapeFormula(''), '');
+  assert.equal(csv.escapeFormula(-5), -5);
+  assert.equal(csv.escapeFormula(true), true);
+  assert.equal(csv.escapeFormula(null), null);
+});
+
+test('formatRow quotes, escapes formulas and writes dates as ISO', () => {
+  const date = new Date('2024-06-15T12:00:00Z');
+  assert.equal(csv.formatRow(['Doe, Jane', 'say "hi"', '=1+1', -5, null, undefined, date]),
+    '"Doe, Jane","say ""hi""",\'=1+1,-5,,,2024-06-15T12:00:00.000Z\r\n');
+  assert.equal(csv.formatRow(['=A1,B1']), '"\'=A1,B1"\r\n');
+});
+
+test('formatRow output reads back through parseRows', () => {
+  const values = ['multi\nline', 'a,b', '"quoted"', 'plain'];
+  assert.deepEqual(csv.parseRows(csv.formatRow(values)), [values]);
+});
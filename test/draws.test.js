@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { DRAW_ALGORITHM, getTicket, rankEntrants, hashEntrants, verifyDraw } = require('../services/draws');
+
+const SEED = 'test-seed';
+const ENTRANTS = Array.from({ length: 8 }, (_, index) => ({ orderId: `111-0000000-000000${index}` }));
+
+// Helper: Draw as runDraw() records it, with `winnerCount` winners from the seeded ranking
+const buildDraw = (winnerCount = 2) => {
+  const ranking = rankEntrants(ENTRANTS, SEED);
+  return {
+    algorithm: DRAW_ALGORITHM,
+    seed: SEED,
+    winnerCount,
+    entrantsHash: hashEntrants(ENTRANTS),
+    winners: ranking.slice(0, winnerCount).map((entrant, index) => ({
+      orderId: entrant.orderId,
+      rank: index + 1,
+      round: 0,
+      status: 'winner'
+    }))
+  };
+};
+
+// Helper: Add redraw `round`, won by the entrant ranked `rank`, passing over `passedOver`
+const addRedraw = (draw, round, rank, passedOver = []) => {
+  const ranking = rankEntrants(ENTRANTS, SEED);
+  draw.winners.push({ orderId: ranking[rank - 1].orderId, rank, round, passedOver, status: 'winner' });
+};
+
+test('getTicket is the sha256 of seed and order ID', () => {
+  const expected = crypto.createHash('sha256').update(`${SEED}:${ENTRANTS[0].orderId}`).digest('hex');
+  assert.equal(getTicket(SEED, ENTRANTS[0].orderId), expected);
+});
+
+test('rankEntrants orders entrants by ticket, whatever the input order', () => {
+  const ranking = rankEntrants(ENTRANTS, SEED);
+  const tickets = ranking.map(entrant => getTicket(SEED, entrant.orderId));
+  assert.deepEqual(tickets, [...tickets].sort());
+  assert.deepEqual(rankEntrants([...ENTRANTS].reverse(), SEED), ranking);
+  assert.equal(ranking.length, ENTRANTS.length);
+});
+
+test('rankEntrants depends on the seed', () => {
+  const orderIds = (seed) => rankEntrants(ENTRANTS, seed).map(entrant => entrant.orderId).join();
+  assert.notEqual(orderIds('seed-a'), orderIds('seed-b'));
+});
+
+test('hashEntrants ignores snapshot order', () => {
+  assert.equal(hashEntrants([...ENTRANTS].reverse()), hashEntrants(ENTRANTS));
+  assert.notEqual(hashEntrants(ENTRANTS.slice(1)), hashEntrants(ENTRANTS));
+});
+
+test('verifyDraw accepts a draw recomputed from its seed', () => {
+  assert.deepEqual(verifyDraw(buildDraw(), ENTRANTS), { valid: true, problems: [] });
+});
+
+test('verifyDraw accepts redraws that take the next entrant in the ranking', () => {
+  const draw = buildDraw();
+  draw.winners[0].status = 'disqualified';
+  addRedraw(draw, 1, 3);
+  addRedraw(draw, 2, 5, [rankEntrants(ENTRANTS, SEED)[3].orderId]);
+
+  assert.deepEqual(verifyDraw(draw, ENTRANTS), { valid: true, problems: [] });
+});
+
+test('verifyDraw reports a changed entrant snapshot', () => {
+  const { valid, problems } = verifyDraw(buildDraw(), ENTRANTS.slice(0, -1).concat({ orderId: '999-0000000-0000000' }));
+  assert.equal(valid, false);
+  assert.ok(problems.includes('Entrant snapshot does not match its recorded hash'));
+});
+
+test('verifyDraw reports winners that are not the top of the ranking', () => {
+  const draw = buildDraw();
+  const ranking = rankEntrants(ENTRANTS, SEED);
+  draw.winners[1] = { orderId: ranking[4].orderId, rank: 5, round: 0, status: 'winner' };
+
+  const { valid, problems } = verifyDraw(draw, ENTRANTS);
+  assert.equal(valid, false);
+  assert.deepEqual(problems, ['Original winners are not the top of the seeded ranking']);
+});
+
+test('verifyDraw reports a redraw that skipped entrants without recording them', () => {
+  const draw = buildDraw();
+  addRedraw(draw, 1, 4);
+
+  const { problems } = verifyDraw(draw, ENTRANTS);
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /^Redraw 1 .* is not the next entrant/);
+});
+
+test('verifyDraw reports a redraw passing over lower-ranked entrants', () => {
+  const draw = buildDraw();
+  addRedraw(draw, 1, 3, [rankEntrants(ENTRANTS, SEED)[6].orderId]);
+
+  assert.ok(verifyDraw(draw, ENTRANTS).problems.includes('Redraw 1 passed over entrants ranked below its winner'));
+});
+
+test('verifyDraw reports wrong recorded ranks and unknown algorithms', () => {
+  const draw = buildDraw();
+  draw.winners[0].rank = 7;
+  assert.deepEqual(verifyDraw(draw, ENTRANTS).problems, [`Recorded rank of ${draw.winners[0].orderId} does not match the ranking`]);
+
+  assert.deepEqual(verifyDraw({ ...buildDraw(), algorithm: 'other' }, ENTRANTS), {
+    valid: false,
+    problems: ['Unknown draw algorithm "other"']
+  });
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getRules, checkOrder, verifyOrder, getFailureStatus, ELIGIBILITY_ERRORS } = require('../services/eligibility');
+
+const NOW = new Date('2024-06-15T12:00:00Z');
+const US = 'ATVPDKIKX0DER';
+
+// Helper: SP-API order placed a number of days before NOW
+const buildOrder = (overrides = {}, ageDays = 10) => ({
+  OrderStatus: 'Shipped',
+  MarketplaceId: US,
+  PurchaseDate: new Date(NOW.getTime() - ageDays * 24 * 60 * 60 * 1000).toISOString(),
+  ShippingAddress: { CountryCode: 'US' },
+  ...overrides
+});
+
+const ITEMS = [{ ASIN: 'B000000001' }, { ASIN: 'B000000002' }];
+
+// Helper: Code of the failed check, or null
+const check = (order, rules, options = {}) => {
+  const failure = checkOrder(order, ITEMS, getRules(rules), { now: NOW, ...options });
+  return failure && failure.code;
+};
+
+test('getRules falls back to shipped orders with no other limits', () => {
+  assert.deepEqual(getRules(null), {
+    allowedAsins: [],
+    orderStatuses: ['Shipped'],
+    minOrderAgeDays: null,
+    maxOrderAgeDays: null,
+    marketplaceIds: [],
+    buyerCountries: []
+  });
+  assert.deepEqual(getRules({ eligibility: { buyerCountries: ['us', ''] } }).buyerCountries, ['US']);
+});
+
+test('checkOrder accepts a shipped order under the default rules', () => {
+  assert.equal(check(buildOrder(), null), null);
+});
+
+test('checkOrder checks the order status', () => {
+  const failure = checkOrder(buildOrder({ OrderStatus: 'Canceled' }), ITEMS, getRules(null), { now: NOW });
+  assert.equal(failure.code, ELIGIBILITY_ERRORS.ORDER_STATUS_NOT_ALLOWED);
+  assert.equal(failure.rule, 'orderStatuses');
+  assert.match(failure.message, /canceled/);
+
+  assert.equal(check(buildOrder({ OrderStatus: 'Unshipped' }), null), ELIGIBILITY_ERRORS.ORDER_STATUS_NOT_ALLOWED);
+  assert.equal(check(buildOrder({ OrderStatus: 'Unshipped' }), { eligibility: { orderStatuses: ['Shipped', 'Unshipped'] } }), null);
+});
+
+test('checkOrder checks the marketplace and shipping country', () => {
+  assert.equal(check(buildOrder({ MarketplaceId: 'A1F83G8C2ARO7P' }), { eligibility: { marketplaceIds: [US] } }),
+    ELIGIBILITY_ERRORS.MARKETPLACE_NOT_ALLOWED);
+  assert.equal(check(buildOrder(), { eligibility: { buyerCountries: ['us'] } }), null);
+  assert.equal(check(buildOrder({ ShippingAddress: { CountryCode: 'GB' } }), { eligibility: { buyerCountries: ['US'] } }),
+    ELIGIBILITY_ERRORS.COUNTRY_NOT_ALLOWED);
+  assert.equal(check(buildOrder({ ShippingAddress: undefined }), { eligibility: { buyerCountries: ['US'] } }),
+    ELIGIBILITY_ERRORS.COUNTRY_NOT_ALLOWED);
+});
+
+test('checkOrder checks the order age, inclusive at both ends', () => {
+  const rules = { eligibility: { minOrderAgeDays: 7, maxOrderAgeDays: 30 } };
+  assert.equal(check(buildOrder({}, 7), rules), null);
+  assert.equal(check(buildOrder({}, 30), rules), null);
+  assert.equal(check(buildOrder({}, 6), rules), ELIGIBILITY_ERRORS.ORDER_TOO_RECENT);
+  assert.equal(check(buildOrder({}, 31), rules), ELIGIBILITY_ERRORS.ORDER_TOO_OLD);
+  assert.equal(check(buildOrder({ PurchaseDate: 'garbage' }), rules), ELIGIBILITY_ERRORS.ORDER_TOO_RECENT);
+});
+
+test('checkOrder checks the picked products', () => {
+  assert.equal(check(buildOrder(), null, { asin: 'B000000002' }), null);
+  assert.equal(check(buildOrder(), null, { asin: ['B000000001', 'B000000009'] }), ELIGIBILITY_ERRORS.PRODUCT_NOT_IN_ORDER);
+
+  const campaign = { eligibleAsins: ['B000000002'] };
+  assert.equal(check(buildOrder(), campaign), null);
+  assert.equal(check(buildOrder(), campaign, { asin: 'B000000002' }), null);
+  assert.equal(check(buildOrder(), campaign, { asin: 'B000000001' }), ELIGIBILITY_ERRORS.INELIGIBLE_PRODUCT);
+});
+
+test('verifyOrder reports a missing or blank order ID', async () => {
+  const notFound = { callAPI: async () => { throw Object.assign(new Error('Not found'), { code: 'NotFound' }); } };
+  const { failure } = await verifyOrder(notFound, '123-1234567-1234567', null);
+  assert.equal(failure.code, ELIGIBILITY_ERRORS.ORDER_NOT_FOUND);
+  assert.equal(getFailureStatus(failure), 404);
+
+  const { failure: blank } = await verifyOrder(notFound, '  ', null);
+  assert.equal(blank.code, ELIGIBILITY_ERRORS.ORDER_NOT_FOUND);
+});
+
+test('verifyOrder returns the order products with the eligibility result', async () => {
+  const sellingPartner = {
+    callAPI: async ({ operation }) => (operation === 'getOrder'
+      ? buildOrder({ PurchaseDate: new Date().toISOString() })
+      : { OrderItems: [{ ASIN: 'B000000001', Title: 'Widget', QuantityOrdered: 2 }] })
+  };
+  const result = await verifyOrder(sellingPartner, '123-1234567-1234567', null);
+  assert.equal(result.failure, null);
+  assert.deepEqual(result.products, [{ asin: 'B000000001', title: 'Widget', quantity: 2 }]);
+  assert.deepEqual(result.asins, ['B000000001']);
+  assert.equal(getFailureStatus({ code: ELIGIBILITY_ERRORS.ORDER_TOO_OLD }), 400);
+});
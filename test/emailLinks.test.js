@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.EMAIL_LINK_SECRET = 'test-link-secret';
+process.env.PUBLIC_BASE_URL = 'https://api.example.com/';
+
+const emailLinks = require('../services/emailLinks');
+
+// Helper: Run fn with EMAIL_LINK_SECRET (and CRON_SECRET) unset
+const withoutSecret = (fn) => {
+  const saved = { link: process.env.EMAIL_LINK_SECRET, cron: process.env.CRON_SECRET };
+  delete process.env.EMAIL_LINK_SECRET;
+  delete process.env.CRON_SECRET;
+  try {
+    return fn();
+  } finally {
+    process.env.EMAIL_LINK_SECRET = saved.link;
+    if (saved.cron !== undefined) process.env.CRON_SECRET = saved.cron;
+  }
+};
+
+test('sign and verify round-trip a payload', () => {
+  const data = { e: 'jane@example.com', o: '123-1234567-1234567' };
+  const token = emailLinks.sign(data);
+
+  assert.match(token, /^[\w-]+\.[\w-]+$/);
+  assert.deepEqual(emailLinks.verify(token), data);
+});
+
+test('verify rejects tampered and malformed tokens', () => {
+  const token = emailLinks.sign({ e: 'jane@example.com' });
+  const [, sig] = token.split('.');
+  const forged = `${Buffer.from(JSON.stringify({ e: 'someone@example.com' })).toString('base64url')}.${sig}`;
+
+  assert.equal(emailLinks.verify(forged), null);
+  assert.equal(emailLinks.verify(`${token}x`), null);
+  assert.equal(emailLinks.verify(token.split('.')[0]), null);
+  assert.equal(emailLinks.verify(''), null);
+  assert.equal(emailLinks.verify(undefined), null);
+});
+
+test('verify rejects tokens signed with another secret', () => {
+  const token = emailLinks.sign({ e: 'jane@example.com' });
+  process.env.EMAIL_LINK_SECRET = 'rotated-secret';
+  try {
+    assert.equal(emailLinks.verify(token), null);
+  } finally {
+    process.env.EMAIL_LINK_SECRET = 'test-link-secret';
+  }
+});
+
+test('links are disabled without a secret', () => {
+  const token = emailLinks.sign({ e: 'jane@example.com' });
+  withoutSecret(() => {
+    assert.equal(emailLinks.sign({ e: 'jane@example.com' }), null);
+    assert.equal(emailLinks.verify(token), null);
+    assert.equal(emailLinks.getUnsubscribeUrl('jane@example.com', '123-1234567-1234567'), null);
+  });
+});
+
+test('unsubscribe URLs carry a normalized email and the order ID', () => {
+  const url = emailLinks.getUnsubscribeUrl(' Jane@Example.com ', '123-1234567-1234567');
+  assert.ok(url.startsWith('https://api.example.com/unsubscribe/'));
+
+  const token = url.split('/').pop();
+  assert.deepEqual(emailLinks.verifyUnsubscribeToken(token), { email: 'jane@example.com', orderId: '123-1234567-1234567' });
+  assert.equal(emailLinks.verifyUnsubscribeToken(emailLinks.sign({ o: '123-1234567-1234567' })), null);
+});
+
+test('getUnsubscribeHeaders sets one-click List-Unsubscribe headers', () => {
+  assert.deepEqual(emailLinks.getUnsubscribeHeaders('https://api.example.com/unsubscribe/abc'), {
+    'List-Unsubscribe': '<https://api.example.com/unsubscribe/abc>',
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  });
+  assert.deepEqual(emailLinks.getUnsubscribeHeaders(null), {});
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FeedbackTracker = require('../models/FeedbackTracker');
+const { planTrackerEmails, expireOverdueEmails, SKIP_REASONS } = require('../services/emailScheduler');
+
+const CONFIG = { GRACE_DAYS: 7, MIN_GAP_DAYS: 2 };
+const TODAY = new Date(2024, 5, 15);
+
+// Helper: Date a number of days from TODAY
+const day = (offset) => {
+  const date = new Date(TODAY);
+  date.setDate(date.getDate() + offset);
+  return date;
+};
+
+// Helper: Tracker with one step per day offset
+const trackerWith = (...offsets) => ({
+  emailSteps: offsets.map((offset, index) => ({
+    stepKey: `step-${index + 1}`,
+    scheduledDate: day(offset),
+    sent: false,
+    skipped: false
+  }))
+});
+
+test('planTrackerEmails sends a step due today', () => {
+  assert.deepEqual(planTrackerEmails(trackerWith(0, 1), TODAY, CONFIG), { send: 'step-1', skips: [] });
+});
+
+test('planTrackerEmails sends nothing before the first step is due', () => {
+  assert.deepEqual(planTrackerEmails(trackerWith(1, 5), TODAY, CONFIG), { send: null, skips: [] });
+});
+
+test('planTrackerEmails ignores sent and skipped steps', () => {
+  const tracker = trackerWith(-3, -1, 4);
+  tracker.emailSteps[0].sent = true;
+  tracker.emailSteps[1].skipped = true;
+  assert.deepEqual(planTrackerEmails(tracker, TODAY, CONFIG), { send: null, skips: [] });
+});
+
+test('planTrackerEmails supersedes earlier due steps and sends the latest', () => {
+  assert.deepEqual(planTrackerEmails(trackerWith(-6, -2, 10), TODAY, CONFIG), {
+    send: 'step-2',
+    skips: [{ stepKey: 'step-1', reason: SKIP_REASONS.SUPERSEDED }]
+  });
+});
+
+test('planTrackerEmails still sends a step at the edge of the grace period', () => {
+  assert.equal(planTrackerEmails(trackerWith(-7), TODAY, CONFIG).send, 'step-1');
+});
+
+test('planTrackerEmails expires a step past the grace period', () => {
+  assert.deepEqual(planTrackerEmails(trackerWith(-8, 10), TODAY, CONFIG), {
+    send: null,
+    skips: [{ stepKey: 'step-1', reason: SKIP_REASONS.EXPIRED }]
+  });
+});
+
+test('planTrackerEmails skips a late step when the next one is within the minimum gap', () => {
+  assert.deepEqual(planTrackerEmails(trackerWith(-3, 1), TODAY, CONFIG), {
+    send: null,
+    skips: [{ stepKey: 'step-1', reason: SKIP_REASONS.NEXT_STEP_IMMINENT }]
+  });
+});
+
+test('planTrackerEmails sends a late step when the next one is the minimum gap away', () => {
+  assert.equal(planTrackerEmails(trackerWith(-3, 2), TODAY, CONFIG).send, 'step-1');
+});
+
+test('planTrackerEmails always sends a step due today, even right before the next one', () => {
+  assert.equal(planTrackerEmails(trackerWith(0, 1), TODAY, { GRACE_DAYS: 7, MIN_GAP_DAYS: 5 }).send, 'step-1');
+});
+
+test('expireOverdueEmails marks only steps scheduled before the grace start', async (t) => {
+  const updateMany = t.mock.method(FeedbackTracker, 'updateMany', async () => ({ modifiedCount: 3 }));
+  const graceStart = day(-7);
+
+  assert.equal(await expireOverdueEmails(graceStart), 3);
+  assert.equal(updateMany.mock.callCount(), 1);
+
+  const [filter, update, options] = updateMany.mock.calls[0].arguments;
+  assert.equal(filter.isActive, true);
+  assert.equal(filter.status, 'pending');
+  assert.deepEqual(filter.emailSteps.$elemMatch, {
+    sent: false,
+    skipped: { $ne: true },
+    scheduledDate: { $lt: graceStart }
+  });
+  assert.equal(update.$set['emailSteps.$[step].skipped'], true);
+  assert.equal(update.$set['emailSteps.$[step].skipReason'], SKIP_REASONS.EXPIRED);
+  assert.deepEqual(options.arrayFilters, [{
+    'step.sent': false,
+    'step.skipped': { $ne: true },
+    'step.scheduledDate': { $lt: graceStart }
+  }]);
+});
+
+test('expireOverdueEmails reports zero when nothing changed', async (t) => {
+  t.mock.method(FeedbackTracker, 'updateMany', async () => ({}));
+  assert.equal(await expireOverdueEmails(day(-7)), 0);
+});
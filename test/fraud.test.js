@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeEmail, normalizeAddress, normalizeNameZip, getFingerprints } = require('../services/fraud');
+
+test('normalizeEmail lowercases and drops "+tag"', () => {
+  assert.equal(normalizeEmail('  Jane.Doe+promo@Example.COM '), 'jane.doe@example.com');
+  assert.equal(normalizeEmail('jane@example.com'), normalizeEmail('JANE+1@example.com'));
+});
+
+test('normalizeEmail ignores dots and googlemail.com for Gmail only', () => {
+  assert.equal(normalizeEmail('J.a.n.e+x@googlemail.com'), 'jane@gmail.com');
+  assert.equal(normalizeEmail('jane.doe@gmail.com'), 'janedoe@gmail.com');
+  assert.notEqual(normalizeEmail('jane.doe@outlook.com'), normalizeEmail('janedoe@outlook.com'));
+});
+
+test('normalizeEmail rejects values without a mailbox and domain', () => {
+  assert.equal(normalizeEmail(''), null);
+  assert.equal(normalizeEmail(undefined), null);
+  assert.equal(normalizeEmail('jane'), null);
+  assert.equal(normalizeEmail('@example.com'), null);
+});
+
+test('normalizeAddress irons out street spellings and unit designators', () => {
+  const expected = '12 n main st 4|12345';
+  assert.equal(normalizeAddress('12 North Main Street, Apt 4', '12345'), expected);
+  assert.equal(normalizeAddress('12 N. Main St #4', '12345-6789'), expected);
+  assert.equal(normalizeAddress('12 n main st unit 4', '12345 6789'), expected);
+  assert.equal(normalizeAddress('Rue de l’Église 3', 'ab1 2cd'), 'rue de l eglise 3|AB12CD');
+});
+
+test('normalizeAddress needs both a street and a ZIP', () => {
+  assert.equal(normalizeAddress('12 Main St', ''), null);
+  assert.equal(normalizeAddress('Apt', '12345'), null);
+  assert.equal(normalizeAddress(null, null), null);
+});
+
+test('normalizeNameZip ignores word order, case, accents and digits', () => {
+  assert.equal(normalizeNameZip('José García', '12345'), 'garcia jose|12345');
+  assert.equal(normalizeNameZip('GARCIA, Jose 2', '123456789'), 'garcia jose|12345');
+  assert.equal(normalizeNameZip('', '12345'), null);
+  assert.equal(normalizeNameZip('Jose', ''), null);
+});
+
+test('getFingerprints covers email for ticket claims and address and name for orders', () => {
+  const data = { email: 'Jane+x@example.com', streetAddress: '1 Main Street', zipCode: '12345', fullName: 'Jane Doe' };
+  assert.deepEqual(getFingerprints('TicketClaim', data), { email: 'jane@example.com' });
+  assert.deepEqual(getFingerprints('Order', data), {
+    email: 'jane@example.com',
+    address: '1 main st|12345',
+    nameZip: 'doe jane|12345'
+  });
+  assert.equal(getFingerprints('Order', { ...data, fullName: undefined, name: 'Doe Jane' }).nameZip, 'doe jane|12345');
+});
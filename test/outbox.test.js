@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OutboxMessage = require('../models/OutboxMessage');
+const { requeue } = require('../services/outbox');
+
+// Helper: Stub findById(id).select(...) to resolve to the given document
+const stubCurrent = (t, doc) => t.mock.method(OutboxMessage, 'findById', () => ({
+  select: async () => doc
+}));
+
+test('requeue resets a pending, dead or stale sending message', async (t) => {
+  const requeued = { _id: 'm1', status: 'pending' };
+  const findOneAndUpdate = t.mock.method(OutboxMessage, 'findOneAndUpdate', async () => requeued);
+  const findById = stubCurrent(t, null);
+
+  assert.equal(await requeue('m1'), requeued);
+  assert.equal(findById.mock.callCount(), 0);
+
+  const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.equal(filter._id, 'm1');
+  assert.deepEqual(filter.$or[0], { status: { $in: ['pending', 'dead'] } });
+  assert.equal(filter.$or[1].status, 'sending');
+  assert.ok(filter.$or[1].lockedUntil.$lt instanceof Date);
+  assert.equal(update.$set.status, 'pending');
+  assert.equal(update.$set.attempts, 0);
+  assert.equal(update.$set.lockedUntil, null);
+  assert.deepEqual(options, { new: true });
+});
+
+test('requeue never matches a sent message', async (t) => {
+  const findOneAndUpdate = t.mock.method(OutboxMessage, 'findOneAndUpdate', async () => null);
+  stubCurrent(t, { status: 'sent' });
+
+  await assert.rejects(requeue('m1'), { message: 'Message was already sent' });
+  const statuses = findOneAndUpdate.mock.calls[0].arguments[0].$or.flatMap(clause =>
+    typeof clause.status === 'string' ? [clause.status] : clause.status.$in);
+  assert.ok(!statuses.includes('sent'));
+});
+
+test('requeue refuses a message that is locked for sending', async (t) => {
+  t.mock.method(OutboxMessage, 'findOneAndUpdate', async () => null);
+  stubCurrent(t, { status: 'sending' });
+
+  await assert.rejects(requeue('m1'), /being sent right now/);
+});
+
+test('requeue returns null for a missing message', async (t) => {
+  t.mock.method(OutboxMessage, 'findOneAndUpdate', async () => null);
+  stubCurrent(t, null);
+
+  assert.equal(await requeue('missing'), null);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FeedbackTracker = require('../models/FeedbackTracker');
+const trackerSchedule = require('../services/trackerSchedule');
+const { SKIP_REASONS } = require('../services/emailScheduler');
+
+const { SCHEDULE_ERRORS } = trackerSchedule;
+const TODAY = new Date(2024, 5, 15, 9, 30);
+
+// Helper: Local midnight a number of days from TODAY
+const day = (offset) => new Date(2024, 5, 15 + offset);
+
+// Helper: Unsaved tracker with steps at the given delays, created `createdDaysAgo` days before TODAY
+const buildTracker = ({ status = 'pending', isActive = true, delays = [3, 7, 14], createdDaysAgo = 0 } = {}) => new FeedbackTracker({
+  orderId: '123-1234567-1234567',
+  customerEmail: 'jane@example.com',
+  customerName: 'Jane Doe',
+  status,
+  isActive,
+  emailSteps: delays.map(delayDays => ({
+    stepKey: `day${delayDays}`,
+    delayDays,
+    templateKey: `day${delayDays}`,
+    scheduledDate: day(delayDays - createdDaysAgo)
+  }))
+});
+
+// Helper: Mark a step skipped in memory (markEmailSkipped also saves)
+const skip = (tracker, stepKey, reason) => {
+  Object.assign(tracker.getEmailStep(stepKey), { skipped: true, skippedAt: TODAY, skipReason: reason });
+};
+
+// Helper: Scheduled dates by step key
+const datesOf = (tracker) => Object.fromEntries(tracker.emailSteps.map(step => [step.stepKey, step.scheduledDate.getTime()]));
+
+test('parseDate reads YYYY-MM-DD as a local calendar day', () => {
+  assert.equal(trackerSchedule.parseDate('2024-06-20').getTime(), day(5).getTime());
+  assert.equal(trackerSchedule.parseDate('not a date'), null);
+  assert.equal(trackerSchedule.parseDate(''), null);
+});
+
+test('reactivate makes a cancelled tracker pending and lays out its outstanding steps from today', () => {
+  const tracker = buildTracker({ status: 'cancelled', isActive: false, createdDaysAgo: 10 });
+  tracker.emailSteps[0].sent = true;
+
+  const result = trackerSchedule.reactivate(tracker, undefined, TODAY);
+  assert.equal(result.error, undefined);
+  assert.equal(tracker.status, 'pending');
+  assert.equal(tracker.isActive, true);
+  assert.deepEqual(result.changes.map(change => change.stepKey), ['day7', 'day14']);
+  assert.deepEqual(datesOf(tracker), {
+    day3: day(-7).getTime(),
+    day7: day(0).getTime(),
+    day14: day(7).getTime()
+  });
+});
+
+test('reactivate starts from a given date', () => {
+  const tracker = buildTracker({ status: 'cancelled', isActive: false, createdDaysAgo: 20 });
+
+  const result = trackerSchedule.reactivate(tracker, '2024-06-18', TODAY);
+  assert.equal(result.startDate.getTime(), day(3).getTime());
+  assert.equal(tracker.getEmailStep('day3').scheduledDate.getTime(), day(3).getTime());
+  assert.equal(tracker.getEmailStep('day14').scheduledDate.getTime(), day(14).getTime());
+});
+
+test('reactivate refuses trackers that are not cancelled', () => {
+  for (const status of ['pending', 'reviewed', 'unreviewed']) {
+    const tracker = buildTracker({ status, isActive: status === 'pending' });
+    const before = datesOf(tracker);
+
+    const result = trackerSchedule.reactivate(tracker, undefined, TODAY);
+    assert.equal(result.error.code, SCHEDULE_ERRORS.NOT_CANCELLED);
+    assert.equal(tracker.status, status);
+    assert.deepEqual(datesOf(tracker), before);
+  }
+});
+
+test('reactivate leaves a cancelled tracker alone when the start date is invalid', () => {
+  const tracker = buildTracker({ status: 'cancelled', isActive: false });
+
+  assert.equal(trackerSchedule.reactivate(tracker, '2024-06-01', TODAY).error.code, SCHEDULE_ERRORS.DATE_IN_PAST);
+  assert.equal(trackerSchedule.reactivate(tracker, 'soon', TODAY).error.code, SCHEDULE_ERRORS.INVALID_DATE);
+  assert.equal(tracker.status, 'cancelled');
+  assert.equal(tracker.isActive, false);
+});
+
+test('schedule changes are refused unless the tracker is pending and active', () => {
+  const cancelled = buildTracker({ status: 'cancelled', isActive: false });
+  const reviewed = buildTracker({ status: 'reviewed', isActive: false });
+
+  assert.equal(trackerSchedule.snooze(cancelled, 3, TODAY).error.code, SCHEDULE_ERRORS.NOT_PENDING);
+  assert.match(trackerSchedule.snooze(cancelled, 3, TODAY).error.message, /reactivate/);
+  assert.equal(trackerSchedule.setStepDates(reviewed, { day3: '2024-06-20' }, TODAY).error.code, SCHEDULE_ERRORS.NOT_PENDING);
+  assert.equal(trackerSchedule.rebuildSchedule(reviewed, undefined, TODAY).error.code, SCHEDULE_ERRORS.NOT_PENDING);
+});
+
+test('snooze keeps spacing and moves an overdue schedule past the snooze window', () => {
+  const upcoming = buildTracker();
+  const result = trackerSchedule.snooze(upcoming, 2, TODAY);
+  assert.equal(result.days, 2);
+  assert.equal(upcoming.getEmailStep('day3').scheduledDate.getTime(), day(5).getTime());
+  assert.equal(upcoming.getEmailStep('day14').scheduledDate.getTime(), day(16).getTime());
+
+  const overdue = buildTracker({ createdDaysAgo: 10 });
+  assert.equal(trackerSchedule.snooze(overdue, 2, TODAY).days, 9);
+  assert.equal(overdue.getEmailStep('day3').scheduledDate.getTime(), day(2).getTime());
+
+  assert.equal(trackerSchedule.snooze(buildTracker(), 0, TODAY).error.code, SCHEDULE_ERRORS.INVALID_DAYS);
+  assert.equal(trackerSchedule.snooze(buildTracker(), 366, TODAY).error.code, SCHEDULE_ERRORS.INVALID_DAYS);
+});
+
+test('setStepDates validates every step before changing any', () => {
+  const tracker = buildTracker();
+  tracker.emailSteps[2].sent = true;
+  const before = datesOf(tracker);
+
+  const result = trackerSchedule.setStepDates(tracker, { day3: '2024-06-20', day14: '2024-06-30' }, TODAY);
+  assert.equal(result.error.code, SCHEDULE_ERRORS.STEP_SENT);
+  assert.deepEqual(datesOf(tracker), before);
+
+  assert.equal(trackerSchedule.setStepDates(tracker, { day99: '2024-06-20' }, TODAY).error.code, SCHEDULE_ERRORS.UNKNOWN_STEP);
+  assert.equal(trackerSchedule.setStepDates(tracker, { day3: '2024-06-14' }, TODAY).error.code, SCHEDULE_ERRORS.DATE_IN_PAST);
+  assert.equal(trackerSchedule.setStepDates(tracker, {}, TODAY).error.code, SCHEDULE_ERRORS.INVALID_DATE);
+});
+
+test('setStepDates puts a skipped step back in the schedule unless it was suppressed', () => {
+  const tracker = buildTracker();
+  skip(tracker, 'day3', SKIP_REASONS.EXPIRED);
+  skip(tracker, 'day7', SKIP_REASONS.SUPPRESSED);
+
+  const result = trackerSchedule.setStepDates(tracker, { day3: '2024-06-15' }, TODAY);
+  assert.deepEqual(result.changes.map(change => change.stepKey), ['day3']);
+  const step = tracker.getEmailStep('day3');
+  assert.equal(step.skipped, false);
+  assert.equal(step.skipReason, undefined);
+  assert.equal(step.scheduledDate.getTime(), day(0).getTime());
+
+  assert.equal(trackerSchedule.setStepDates(tracker, { day7: '2024-06-20' }, TODAY).error.code, SCHEDULE_ERRORS.STEP_SUPPRESSED);
+});
+
+test('rebuildSchedule lays out outstanding steps from the start date', () => {
+  const tracker = buildTracker({ createdDaysAgo: 5 });
+  tracker.emailSteps[0].sent = true;
+
+  const result = trackerSchedule.rebuildSchedule(tracker, '2024-06-16', TODAY);
+  assert.deepEqual(result.changes.map(change => change.stepKey), ['day7', 'day14']);
+  assert.equal(tracker.getEmailStep('day7').scheduledDate.getTime(), day(1).getTime());
+  assert.equal(tracker.getEmailStep('day14').scheduledDate.getTime(), day(8).getTime());
+
+  tracker.emailSteps.forEach(step => { step.sent = true; });
+  assert.equal(trackerSchedule.rebuildSchedule(tracker, undefined, TODAY).error.code, SCHEDULE_ERRORS.NOTHING_OUTSTANDING);
+});
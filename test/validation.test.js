@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, normalizeCountry, normalizeState, SUBMIT_REVIEW_SCHEMA, CLAIM_TICKET_SCHEMA } = require('../services/validation');
+
+const submission = (overrides = {}) => ({
+  orderId: '123-1234567-1234567',
+  fullName: 'Jane Doe',
+  email: 'jane@example.com',
+  streetAddress: '1 Main St',
+  city: 'Springfield',
+  zipCode: '12345',
+  country: 'US',
+  ...overrides
+});
+
+test('normalizeCountry accepts current ISO codes that share a name with a retired one', () => {
+  assert.deepEqual(normalizeCountry('GB'), { country: 'United Kingdom', countryCode: 'GB' });
+  assert.deepEqual(normalizeCountry('RU'), { country: 'Russia', countryCode: 'RU' });
+  assert.deepEqual(normalizeCountry('DE'), { country: 'Germany', countryCode: 'DE' });
+  assert.deepEqual(normalizeCountry('FR'), { country: 'France', countryCode: 'FR' });
+  assert.deepEqual(normalizeCountry('RS'), { country: 'Serbia', countryCode: 'RS' });
+  assert.equal(normalizeCountry('bj').countryCode, 'BJ');
+});
+
+test('normalizeCountry maps names and aliases to current codes', () => {
+  assert.equal(normalizeCountry('United Kingdom').countryCode, 'GB');
+  assert.equal(normalizeCountry('russia').countryCode, 'RU');
+  assert.equal(normalizeCountry('Germany').countryCode, 'DE');
+  assert.equal(normalizeCountry('uk').countryCode, 'GB');
+  assert.equal(normalizeCountry('England').countryCode, 'GB');
+  assert.equal(normalizeCountry('USA').countryCode, 'US');
+  assert.deepEqual(normalizeCountry({ name: 'United Kingdom', isoCode: 'GB' }), { country: 'United Kingdom', countryCode: 'GB' });
+  assert.equal(normalizeCountry({ name: 'Serbia' }).countryCode, 'RS');
+});
+
+test('normalizeCountry rejects retired, unknown and empty input', () => {
+  assert.equal(normalizeCountry('SU'), null);
+  assert.equal(normalizeCountry('YU'), null);
+  assert.equal(normalizeCountry('XX'), null);
+  assert.equal(normalizeCountry('Atlantis'), null);
+  assert.equal(normalizeCountry(''), null);
+  assert.equal(normalizeCountry(42), null);
+});
+
+test('normalizeState keeps codes and names', () => {
+  assert.deepEqual(normalizeState({ name: 'California', isoCode: 'CA' }), { state: 'California', stateCode: 'CA' });
+  assert.deepEqual(normalizeState('Bavaria'), { state: 'Bavaria' });
+});
+
+test('validate returns trimmed, normalized values', () => {
+  const { value, errors } = validate(SUBMIT_REVIEW_SCHEMA, submission({ fullName: '  Jane Doe ', country: 'United Kingdom', asin: 'b000000001' }));
+  assert.equal(errors, undefined);
+  assert.equal(value.fullName, 'Jane Doe');
+  assert.equal(value.country, 'United Kingdom');
+  assert.equal(value.countryCode, 'GB');
+  assert.equal(value.asin, 'B000000001');
+});
+
+test('validate reports per-field errors', () => {
+  const { value, errors } = validate(SUBMIT_REVIEW_SCHEMA, submission({ orderId: '123', email: 'nope', fullName: '', extra: 1 }));
+  assert.equal(value, undefined);
+  assert.match(errors.orderId, /order ID/);
+  assert.equal(errors.email, 'Enter a valid email address');
+  assert.equal(errors.fullName, 'Required');
+  assert.equal(errors.extra, 'Unknown field');
+});
+
+test('validate rejects a country outside the list', () => {
+  const { errors } = validate(SUBMIT_REVIEW_SCHEMA, submission({ country: 'SU' }));
+  assert.equal(errors.country, 'Choose a country from the list');
+});
+
+test('validate rejects bodies that are not objects', () => {
+  assert.deepEqual(validate(CLAIM_TICKET_SCHEMA, null), { errors: { _body: 'Request body must be a JSON object' } });
+  assert.ok(validate(CLAIM_TICKET_SCHEMA, []).errors._body);
+});
+
+test('validate checks ticket claims', () => {
+  const { value } = validate(CLAIM_TICKET_SCHEMA, { orderId: '123-1234567-1234567', name: 'Jo', email: 'jo@example.com', phoneNumber: '+1 555 123 4567' });
+  assert.equal(value.phoneNumber, '+1 555 123 4567');
+  assert.equal(validate(CLAIM_TICKET_SCHEMA, { orderId: '123-1234567-1234567', name: 'Jo', email: 'jo@example.com', asin: ['bad'] }).errors.asin,
+    'Must be a 10 character ASIN or a list of them');
+});